@@ -1,20 +1,529 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { ScreenshotQueue } = require('./queue-processor');
-const { captureScreenshot } = require('./landingsite-screenshot');
+const { captureScreenshot, captureDevices } = require('./landingsite-screenshot');
+const { getDefaultPool, closeDefaultPool } = require('./browser-pool');
+const { getDefaultScheduler } = require('./scheduler');
+const { JobRegistry } = require('./jobs');
+const { ProfileStore } = require('./profiles');
+const { ScheduleStore, ScheduleRunner, scheduleDefinition } = require('./schedules');
+const { parseCron } = require('./cron');
+const { openEventStream } = require('./event-stream');
+const { resolveTarget } = require('./target-resolver');
+const { BatchStore } = require('./batch-store');
+const { deliverWebhook, isValidCallbackUrl } = require('./webhooks');
+const { normalizeFormat, getExtension, getContentType } = require('./output-formats');
+const { normalizeDerivativeSpec } = require('./derivatives');
+const { resolveDevice, resolveDevices } = require('./devices');
+const { resolveReadiness } = require('./readiness');
+const { resolveHeightOptions } = require('./page-height');
+const { resolveRegionOptions } = require('./capture-regions');
+const { resolvePrepareOptions } = require('./page-prep');
+const { resolveDiffOptions, compareImages, compareWithBaseline } = require('./visual-diff');
+const { ScreenshotStore } = require('./screenshot-store');
+const { createStorage, publishResult } = require('./storage');
+const { ApiAuth } = require('./auth');
+const { validateRequest } = require('./validation');
+const { buildOpenApiDocument } = require('./openapi');
+const { logger } = require('./logger');
+const { registry, httpMetrics } = require('./metrics');
+const { CaptureError, httpStatusFor } = require('./errors');
 
 // Create Express app
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Batch state lives on the persistent screenshots disk so it survives restarts
+const batchStore = new BatchStore().load();
+
+// API keys, per-key quotas and signed screenshot URLs (open when no keys are configured)
+const auth = new ApiAuth();
+const requireKey = auth.authenticate();
+const screenshotAccess = auth.screenshotAccess();
+
+// Named capture option presets, managed through /api/profiles
+const profiles = new ProfileStore().load();
+
+// Every capture is also kept as a timestamped version under screenshots/versions
+const screenshotStore = new ScreenshotStore({ dir: './screenshots' });
+
+// Where captures are published (STORAGE_DRIVER=local or s3); local copies are always kept
+const storage = createStorage({ dir: './screenshots', signUrl: url => auth.signUrl(url) });
+
+// Every capture, interactive or batch, queues here for one of the global slots
+const scheduler = getDefaultScheduler();
+
+// Async single captures, polled at /api/jobs/:id or streamed from /api/jobs/:id/events
+const jobs = new JobRegistry();
+
+// Batches processing in this process, so their progress can be streamed
+const runningBatches = new Map();
+
+// file:// targets read the server's own disk, so they are opt-in for the API
+const allowFileUrls = process.env.ALLOW_FILE_URLS === 'true';
+
+// Recurring captures, managed through /api/schedules; every run is a batch
+const schedules = new ScheduleStore().load();
+const scheduleRunner = new ScheduleRunner({
+    store: schedules,
+    profiles,
+    versions: screenshotStore,
+    queueOptions: { store: batchStore, storage, scheduler },
+    captureOptions: { allowFileUrls },
+    fileUrl: screenshotFileUrl,
+    onBatch: queue => {
+        runningBatches.set(queue.batchId, queue);
+        queue.once('complete', () => runningBatches.delete(queue.batchId));
+    }
+});
+
+/**
+ * Build capture options from a request body, dropping fields callers must not set
+ * @param {Object} body - Request body
+ * @returns {Object} Options for captureScreenshot
+ */
+function captureOptionsFromBody(body) {
+    const { id, url, ids, urls, pool, versionStore, concurrency, retries, retryDelay, callbackUrl, callbackOnItem, async, response, profile, ...options } = body;
+    return { ...options, allowFileUrls };
+}
+
+/**
+ * Capture options as they were applied, to echo back to the caller
+ * @param {Object} options - Options passed to the capture
+ * @returns {Object} Options without server-side fields
+ */
+function effectiveOptions(options) {
+    const { logger: _logger, allowFileUrls: _allowFileUrls, onProgress: _onProgress, ...applied } = options;
+    return applied;
+}
+
+/**
+ * Middleware that merges the capture profile named by `profile` under the request body
+ * @param {Object} req - Express request with a validated body
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function applyProfile(req, res, next) {
+    if (!req.body.profile) {
+        return next();
+    }
+    try {
+        req.body = profiles.apply(req.body.profile, req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    next();
+}
+
+/**
+ * List derivative files with their public URLs
+ * @param {Array<Object>} derivatives - Derivatives from captureScreenshot
+ * @param {string} baseUrl - Public URL prefix of the screenshots directory
+ * @returns {Array<Object>} { type, name, width, height, url }
+ */
+function derivativeUrls(derivatives = [], baseUrl) {
+    return derivatives.map(({ type, name, width, height, path: filePath, url }) => ({
+        type,
+        name,
+        width,
+        height,
+        url: url || auth.signUrl(`${baseUrl}/${path.basename(filePath)}`)
+    }));
+}
+
+/**
+ * Name under which a capture is stored; element and clip captures get their own file so they never replace the full page
+ * @param {Object} target - Resolved target
+ * @param {Object|null} regions - From resolveRegionOptions
+ * @returns {string} e.g. <id> or <id>-pricing
+ */
+function captureKey(target, regions) {
+    return regions && !regions.multiple ? `${target.key}-${regions.regions[0].name}` : target.key;
+}
+
+/**
+ * List the per-device or per-selector images of a capture with their public URLs
+ * @param {Object} result - Result from captureDevices, or captureScreenshot with selectors
+ * @param {string} baseUrl - Public URL prefix of the screenshots directory
+ * @returns {Array<Object>} { device, region, success, url, viewport, dimensions, version, derivatives, error }
+ */
+function deviceImages(result, baseUrl) {
+    return (result.images || []).map(image => ({
+        device: image.device,
+        region: image.region,
+        success: image.success,
+        url: image.success && (image.url || image.outputPath) ? image.url || auth.signUrl(`${baseUrl}/${path.basename(image.outputPath)}`) : null,
+        format: image.format,
+        contentType: image.contentType,
+        viewport: image.viewport,
+        dimensions: image.dimensions,
+        quality: image.quality,
+        version: image.version ? image.version.version : undefined,
+        derivatives: derivativeUrls(image.derivatives, baseUrl),
+        error: image.success ? undefined : image.error,
+        errorCode: image.success ? undefined : image.errorCode
+    }));
+}
+
+/**
+ * Check how a capture is returned: a link to the stored file, the image itself, or the image inside JSON
+ * @param {Object} body - Request body with `response` (url, binary or base64) and `store`
+ * @param {boolean} multiple - True when the capture produces several images (devices or selectors)
+ * @returns {string} url, binary or base64
+ */
+function resolveResponseMode(body, multiple) {
+    const mode = body.response || 'url';
+    if (mode !== 'url' && (body.async || body.callbackUrl)) {
+        throw new Error(`response ${mode} returns the image in the response and cannot be combined with async or callbackUrl`);
+    }
+    if (mode === 'binary' && multiple) {
+        throw new Error('response binary returns a single image, use base64 for devices or selectors');
+    }
+    if (body.store === false && mode === 'url') {
+        throw new Error('store false leaves no file to link to, use response binary or base64');
+    }
+    if (body.store === false && body.derivatives) {
+        throw new Error('derivatives are written to disk and cannot be combined with store false');
+    }
+    return mode;
+}
+
+/**
+ * Read a capture's image, from memory when it was not stored
+ * @param {Object} image - Capture result or entry of its `images`
+ * @param {string} fileName - Name offered to clients
+ * @returns {Object} { data, mimeType, fileName, fileSize } with base64 data
+ */
+function encodeImage(image, fileName) {
+    const data = image.data || fs.readFileSync(image.outputPath);
+    return { data: data.toString('base64'), mimeType: image.contentType, fileName, fileSize: data.length };
+}
+
+/**
+ * Add base64 image data to a capture response, on the response itself or on each of its images
+ * @param {Object} body - Response body, with `images` for multi-image captures
+ * @param {Object} result - Capture result
+ * @param {string} fileName - File name of the capture, e.g. <id>.png; multi-image entries get <id>-<device|name>.png
+ * @returns {Object} The same body
+ */
+function addImageData(body, result, fileName) {
+    if (!result.images) {
+        return Object.assign(body, encodeImage(result, fileName));
+    }
+    const extension = path.extname(fileName);
+    const base = fileName.slice(0, fileName.length - extension.length);
+    body.images.forEach((entry, index) => {
+        const image = result.images[index];
+        if (image.success) {
+            Object.assign(entry, encodeImage(image, `${base}-${image.region ? image.region.name : image.device}${extension}`));
+        }
+    });
+    return body;
+}
+
+/**
+ * Answer with the captured image itself; dimensions and version travel in headers
+ * @param {Object} res - Express response
+ * @param {Object} result - Successful single-image capture result
+ * @param {string} fileName - Name offered to clients
+ */
+function sendImage(res, result, fileName) {
+    res.set({
+        'Cache-Control': 'no-store',
+        'Content-Disposition': `inline; filename="${fileName}"`,
+        'X-Screenshot-Id': result.id
+    });
+    if (result.dimensions) {
+        res.set({ 'X-Screenshot-Width': result.dimensions.imageWidth, 'X-Screenshot-Height': result.dimensions.imageHeight });
+    }
+    if (result.version) {
+        res.set('X-Screenshot-Version', result.version.version);
+    }
+    res.type(result.contentType);
+    if (result.data) {
+        return res.send(result.data);
+    }
+    res.sendFile(path.resolve(result.outputPath));
+}
+
+/**
+ * Turn a capture, batch or schedule run away while the scheduler queue is full
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} True once a 503 was sent
+ */
+function rejectWhenBusy(req, res) {
+    if (!scheduler.isFull()) {
+        return false;
+    }
+    scheduler.recordRejection();
+    const retryAfter = Math.max(1, Math.ceil(scheduler.estimateStart(scheduler.waiting.length) / 1000));
+    req.log.warn('Capture queue full', { waiting: scheduler.waiting.length, retryAfter });
+    res.set('Retry-After', retryAfter);
+    res.status(503).json({ error: `Capture queue is full (${scheduler.waiting.length} waiting)`, retryAfter });
+    return true;
+}
+
+/**
+ * Capture one device, or every device in options.devices, through the shared scheduler and publish the files
+ * @param {Object} target - Resolved target
+ * @param {string} outputPath - Path to save the screenshot
+ * @param {Object} options - Capture options
+ * @param {string} baseUrl - Public URL prefix of the screenshots directory
+ * @param {Function} onQueued - Called synchronously with { state, position, etaMs } once the capture is queued,
+ *   and a function returning the current position while it waits (default: none)
+ * @returns {Promise<Object>} Capture result, with a `url` on every published file and `queue` timings
+ */
+async function runCapture(target, outputPath, options, baseUrl, onQueued = null) {
+    const capture = options.devices ? captureDevices : captureScreenshot;
+    // Single captures have someone waiting on them, so they go ahead of batch items
+    const job = scheduler.schedule(async () => {
+        const result = await capture({ id: target.key, url: target.url }, outputPath, { ...options, versionStore: screenshotStore });
+        return publishResult(storage, result, baseUrl);
+    }, { priority: 'interactive', label: target.key });
+    
+    const queued = scheduler.describe(job);
+    if (onQueued) {
+        onQueued(queued, () => scheduler.describe(job));
+    }
+    
+    const result = await job.promise;
+    result.queue = { position: queued.position || 0, etaMs: queued.etaMs, waitedMs: job.startedAt - job.enqueuedAt };
+    return result;
+}
+
+/**
+ * Capture in the background and POST the result to a callback URL
+ * @param {Object} target - Resolved target
+ * @param {string} outputPath - Path to save the screenshot
+ * @param {Object} options - Capture options
+ * @param {string} callbackUrl - Webhook receiver
+ * @param {string} screenshotUrl - Public URL of the screenshot once saved
+ * @param {Function} onQueued - Called synchronously with the queue position and ETA (default: none)
+ * @param {Function} onResult - Called with the capture result before the webhook is sent (default: none)
+ * @returns {Promise} Settles once the webhook was delivered or gave up
+ */
+function captureWithCallback(target, outputPath, options, callbackUrl, screenshotUrl, onQueued = null, onResult = null) {
+    const baseUrl = screenshotUrl.slice(0, screenshotUrl.lastIndexOf('/'));
+    return runCapture(target, outputPath, options, baseUrl, onQueued)
+        .catch(error => ({ success: false, error: error.message }))
+        .then(result => {
+            if (onResult) {
+                onResult(result);
+            }
+            return result;
+        })
+        .then(result => deliverWebhook(callbackUrl, result.success ? 'capture.completed' : 'capture.failed', {
+            id: target.key,
+            url: target.url,
+            success: result.success,
+            screenshotUrl: result.success && !result.images ? result.url || screenshotUrl : null,
+            version: result.version ? result.version.version : null,
+            dimensions: result.dimensions,
+            region: result.region,
+            quality: result.quality,
+            derivatives: derivativeUrls(result.derivatives, baseUrl),
+            images: result.images ? deviceImages(result, baseUrl) : undefined,
+            error: result.success ? null : result.error,
+            errorCode: result.success ? null : result.errorCode || 'CAPTURE_FAILED'
+        }))
+        .catch(error => {
+            (options.logger || logger).error('Callback errored', { error: error.message });
+        });
+}
+
+/**
+ * Shape a /api/screenshot result, shared by the synchronous response and async jobs
+ * @param {Object} result - Result from runCapture
+ * @param {Object} context - { target, key, format, screenshotUrl, fullUrl, origin, stored, profile, options } of the request
+ * @returns {Object} { status, body } with the HTTP status of the result
+ */
+function screenshotResponse(result, context) {
+    const { target, key, format, screenshotUrl, fullUrl, origin, stored, profile, options } = context;
+    const baseUrl = `${origin}/screenshots`;
+    const images = result.images ? deviceImages(result, baseUrl) : undefined;
+    
+    if (!result.success) {
+        return {
+            status: httpStatusFor(result.errorCode),
+            body: {
+                success: false,
+                message: 'Failed to capture screenshot',
+                error: result.error,
+                errorCode: result.errorCode || 'CAPTURE_FAILED',
+                retryable: result.retryable,
+                quality: result.quality,
+                images,
+                queue: result.queue,
+                profile,
+                options
+            }
+        };
+    }
+    
+    return {
+        status: 200,
+        body: {
+            success: true,
+            message: 'Screenshot captured successfully',
+            id: target.key,
+            targetUrl: target.url,
+            format: result.format || format,
+            contentType: result.contentType || getContentType(format),
+            // Local storage keeps the relative URL; other backends return their own URL
+            url: !stored ? null : storage.name === 'local' ? screenshotUrl : result.url,
+            fullUrl: stored ? result.url || fullUrl : null,
+            latestUrl: stored ? auth.signUrl(`${origin}/api/screenshots/${key}/latest`) : null,
+            version: result.version ? result.version.version : undefined,
+            dimensions: result.dimensions,
+            region: result.region,
+            quality: result.quality,
+            derivatives: derivativeUrls(result.derivatives, baseUrl),
+            images,
+            queue: result.queue,
+            profile,
+            options
+        }
+    };
+}
+
+/**
+ * Resolve a stored capture from a file name or screenshot URL
+ * @param {string} value - e.g. abc.png or https://host/screenshots/abc.png
+ * @returns {string} Path inside the screenshots directory
+ */
+function storedCapturePath(value) {
+    // Only the file name is used so callers cannot reach outside the screenshots directory
+    return path.join('./screenshots', path.basename(new URL(String(value), 'http://localhost/').pathname));
+}
+
+/**
+ * Shape a diff result for API responses
+ * @param {Object} diff - Result from compareImages or compareWithBaseline
+ * @param {string} baseUrl - Public URL prefix of the screenshots directory
+ * @returns {Object} Diff summary with a public diff image URL
+ */
+function diffResponse(diff, baseUrl) {
+    return {
+        identical: diff.identical,
+        mismatchPercentage: diff.mismatchPercentage,
+        mismatchedPixels: diff.mismatchedPixels,
+        width: diff.width,
+        height: diff.height,
+        beforeHeight: diff.beforeHeight,
+        afterHeight: diff.afterHeight,
+        regions: diff.regions,
+        regionsTruncated: diff.regionsTruncated,
+        diffUrl: screenshotFileUrl(diff.diffPath, baseUrl)
+    };
+}
+
+/**
+ * Public URL of a file under the screenshots directory, such as a diff image
+ * @param {string} filePath - e.g. screenshots/diffs/abc.png
+ * @param {string} baseUrl - Public URL prefix of the screenshots directory
+ * @returns {string|null} Signed URL, or null for files outside the directory
+ */
+function screenshotFileUrl(filePath, baseUrl) {
+    const relative = filePath ? path.relative('screenshots', filePath) : null;
+    if (!relative || relative.startsWith('..') || !baseUrl) {
+        return null;
+    }
+    return auth.signUrl(`${baseUrl}/${relative.split(path.sep).join('/')}`);
+}
+
+/**
+ * Shape a schedule for API responses
+ * @param {Object} schedule - Stored schedule
+ * @param {string} baseUrl - Public URL prefix of the screenshots directory
+ * @param {boolean} withRuns - Include the run history, not just the last run
+ * @returns {Object} Definition plus { id, enabled, nextRunAt, running, lastRun, runs }
+ */
+function scheduleView(schedule, baseUrl, withRuns) {
+    const runView = run => run && {
+        ...run,
+        diff: run.diff && {
+            ...run.diff,
+            changes: run.diff.changes.map(({ diffPath, ...change }) => ({ ...change, diffUrl: screenshotFileUrl(diffPath, baseUrl) }))
+        }
+    };
+    const nextRunAt = scheduleRunner.nextRunAt(schedule.id);
+    const view = {
+        id: schedule.id,
+        ...scheduleDefinition(schedule),
+        enabled: schedule.enabled !== false,
+        createdAt: schedule.createdAt,
+        updatedAt: schedule.updatedAt,
+        nextRunAt: nextRunAt ? nextRunAt.getTime() : null,
+        running: schedule.runs.some(run => run.status === 'running'),
+        lastRun: runView(schedule.runs[0] || null)
+    };
+    if (withRuns) {
+        view.runs = schedule.runs.map(runView);
+    }
+    return view;
+}
+
+/**
+ * Check a schedule the way its runs will use it, so mistakes fail when it is saved
+ * @param {Object} body - Validated ScheduleRequest
+ * @throws {Error} When the cron expression, targets, profile or options are invalid
+ */
+function checkSchedule(body) {
+    parseCron(body.cron);
+    const targets = [...(body.ids || []), ...(body.urls || []).map(url => ({ url }))];
+    if (!targets.length) {
+        throw new Error('A schedule needs at least one of ids or urls');
+    }
+    if (body.callbackUrl && !isValidCallbackUrl(body.callbackUrl)) {
+        throw new Error('Invalid callbackUrl (expected http:// or https://)');
+    }
+    
+    const options = body.profile ? profiles.apply(body.profile, body.options || {}) : { ...body.options };
+    if (normalizeFormat(options.format) === 'pdf' && body.diff) {
+        throw new Error('pdf captures cannot be diffed');
+    }
+    normalizeDerivativeSpec(options.derivatives);
+    resolveReadiness(options);
+    resolveHeightOptions(options);
+    resolveRegionOptions(options);
+    resolvePrepareOptions(options.prepare);
+    resolveDevice(options.device);
+    targets.forEach(target => resolveTarget(target, { ...options, allowFileUrls }));
+}
+
 // Middleware
+// Every request gets an ID that is echoed back and carried through its logs
+app.use((req, res, next) => {
+    const given = req.get('x-request-id');
+    req.id = given && /^[A-Za-z0-9._-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+    next();
+});
+app.use(httpMetrics());
 app.use(express.json());
-app.use('/screenshots', express.static('screenshots'));
+app.use('/screenshots', screenshotAccess, express.static('screenshots', {
+    // Service state lives in screenshots/.state; the default only hides dotfiles themselves, not dot directories
+    dotfiles: 'ignore',
+    setHeaders: (res, filePath) => {
+        // The bundled mime table predates AVIF
+        if (filePath.endsWith('.avif')) {
+            res.setHeader('Content-Type', getContentType('avif'));
+        }
+    }
+}));
 
 // Add a simple error handler middleware
 app.use((err, req, res, next) => {
-    console.error('Express error:', err);
+    // Malformed or oversized JSON is the caller's problem, not ours
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+        return res.status(err.status).json({ error: `Invalid request body: ${err.message}`, details: [] });
+    }
+
+    (req.log || logger).error('Express error', { error: err });
     res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -26,7 +535,7 @@ app.use((err, req, res, next) => {
 const timeout = 300000; // 5 minutes
 app.use((req, res, next) => {
     res.setTimeout(timeout, () => {
-        console.error('Request timeout');
+        req.log.error('Request timeout');
         if (!res.headersSent) {
             res.status(408).json({
                 success: false,
@@ -40,18 +549,76 @@ app.use((req, res, next) => {
 
 // Root endpoint for healthchecks
 app.get('/', (req, res) => {
-    res.json({ status: 'ok', message: 'Landingsite Screenshot Service' });
+    res.json({
+        status: 'ok',
+        message: 'Landingsite Screenshot Service',
+        browserPool: getDefaultPool().getStatus(),
+        scheduler: scheduler.getStatus(),
+        storage: storage.name
+    });
+});
+
+// Prometheus metrics: capture latency and failures, queue depth, browsers and memory
+app.get('/metrics', requireKey, (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(registry.render());
+});
+
+// Capture slots, waiting captures by priority and memory, for dashboards and clients deciding when to submit
+app.get('/api/queue', requireKey, (req, res) => {
+    res.json(scheduler.getStatus());
+});
+
+// Machine-readable description of the API, generated from the request schemas
+app.get('/api/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument());
 });
 
 // Endpoint to capture a single screenshot
-app.post('/api/screenshot', async (req, res) => {
-    const { id } = req.body;
+app.post('/api/screenshot', requireKey, validateRequest('ScreenshotRequest'), applyProfile, async (req, res) => {
+    const { id, url } = req.body;
     
-    if (!id) {
-        return res.status(400).json({ error: 'Missing ID parameter' });
+    if (!id && !url) {
+        return res.status(400).json({ error: 'Missing ID or URL parameter' });
     }
     
-    console.log(`API request to capture screenshot for ID: ${id}`);
+    if (req.body.callbackUrl && !isValidCallbackUrl(req.body.callbackUrl)) {
+        return res.status(400).json({ error: 'Invalid callbackUrl (expected http:// or https://)' });
+    }
+    
+    const options = { ...captureOptionsFromBody(req.body), logger: req.log };
+    let target;
+    let format;
+    let devices;
+    let regions;
+    let mode;
+    try {
+        target = resolveTarget({ id, url }, options);
+        format = normalizeFormat(options.format);
+        normalizeDerivativeSpec(options.derivatives);
+        resolveReadiness(options);
+        resolveHeightOptions(options);
+        regions = resolveRegionOptions(options);
+        resolvePrepareOptions(options.prepare);
+        if (options.devices && options.selectors) {
+            throw new Error('selectors cannot be combined with devices, use selector');
+        }
+        if (options.devices) {
+            devices = resolveDevices(options.devices);
+        } else {
+            resolveDevice(options.device);
+        }
+        mode = resolveResponseMode(req.body, Boolean(devices || regions && regions.multiple));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const key = captureKey(target, regions);
+    const fileName = `${key}.${getExtension(format)}`;
+    // Multi-device and multi-selector captures write <id>-<device|name>.<ext>, so link the first file
+    const suffix = devices ? devices[0].name : regions && regions.multiple ? regions.regions[0].name : null;
+    const primaryFileName = suffix ? `${key}-${suffix}.${getExtension(format)}` : fileName;
+    
+    req.log.info('Screenshot requested', { previewId: target.key, url: target.url });
     
     // Create output directory if it doesn't exist
     const outputDir = './screenshots';
@@ -59,46 +626,126 @@ app.post('/api/screenshot', async (req, res) => {
         fs.mkdirSync(outputDir, { recursive: true });
     }
     
-    const outputPath = path.join(outputDir, `${id}.png`);
+    const outputPath = path.join(outputDir, fileName);
+    if (rejectWhenBusy(req, res)) {
+        return;
+    }
+    const release = auth.reserveCaptures(req, res);
+    if (!release) {
+        return;
+    }
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const screenshotUrl = auth.signUrl(`/screenshots/${primaryFileName}`);
+    const fullUrl = `${origin}${screenshotUrl}`;
+    const context = {
+        target,
+        key,
+        format,
+        screenshotUrl,
+        fullUrl,
+        origin,
+        stored: options.store !== false,
+        profile: req.body.profile || null,
+        options: effectiveOptions(options)
+    };
     
-    try {
-        const result = await captureScreenshot(id, outputPath, req.body);
+    // Async captures and callbacks return a job right away instead of holding the request open
+    if (req.body.async || req.body.callbackUrl) {
+        const job = jobs.create({ type: 'screenshot', id: target.key, targetUrl: target.url });
+        const jobOptions = { ...options, onProgress: event => jobs.progress(job, event) };
+        const onQueued = (queued, lookup) => jobs.queued(job, queued, lookup);
+        const onResult = result => jobs.finish(job, screenshotResponse(result, context).body);
         
-        if (result.success) {
-            const screenshotUrl = `/screenshots/${id}.png`;
-            res.json({
-                success: true,
-                message: 'Screenshot captured successfully',
-                id,
-                url: screenshotUrl,
-                fullUrl: `${req.protocol}://${req.get('host')}${screenshotUrl}`
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                message: 'Failed to capture screenshot',
-                error: result.error
-            });
+        const work = req.body.callbackUrl
+            ? captureWithCallback(target, outputPath, jobOptions, req.body.callbackUrl, fullUrl, onQueued, onResult)
+            : runCapture(target, outputPath, jobOptions, `${origin}/screenshots`, onQueued)
+                .catch(error => ({ success: false, error: error.message }))
+                .then(onResult);
+        work
+            .then(() => {
+                // captureWithCallback logs and swallows its own errors, so check the job got its result
+                if (!job.finishedAt) {
+                    throw new Error('Screenshot job ended without a result');
+                }
+            })
+            .catch(error => {
+                // Like the synchronous 500, but recorded on the job instead of crashing the process
+                req.log.error('Screenshot job failed', { jobId: job.jobId, error });
+                if (!job.finishedAt) {
+                    jobs.finish(job, { success: false, message: 'Error capturing screenshot', error: error.message });
+                }
+            })
+            .finally(release);
+        
+        req.log.info('Screenshot job queued', { jobId: job.jobId, previewId: target.key });
+        return res.status(202).json({
+            success: true,
+            message: 'Screenshot capture started',
+            jobId: job.jobId,
+            statusUrl: `/api/jobs/${job.jobId}`,
+            eventsUrl: `/api/jobs/${job.jobId}/events`,
+            id: target.key,
+            targetUrl: target.url,
+            url: screenshotUrl,
+            fullUrl,
+            callbackUrl: req.body.callbackUrl,
+            queue: job.queue
+        });
+    }
+    
+    try {
+        const result = await runCapture(target, outputPath, options, `${origin}/screenshots`);
+        if (result.success && mode === 'binary') {
+            return sendImage(res, result, primaryFileName);
         }
+        const { status, body } = screenshotResponse(result, context);
+        res.status(status).json(result.success && mode === 'base64' ? addImageData(body, result, fileName) : body);
     } catch (error) {
-        console.error('Error capturing screenshot:', error);
+        req.log.error('Error capturing screenshot', { previewId: target.key, error });
         res.status(500).json({
             success: false,
             message: 'Error capturing screenshot',
             error: error.message
         });
+    } finally {
+        release();
     }
 });
 
 // Endpoint optimized for n8n integration
-app.post('/api/n8n/screenshot', async (req, res) => {
-    const { id } = req.body;
+app.post('/api/n8n/screenshot', requireKey, validateRequest('N8nScreenshotRequest'), applyProfile, async (req, res) => {
+    const { id, url } = req.body;
     
-    if (!id) {
-        return res.status(400).json({ error: 'Missing ID parameter' });
+    if (!id && !url) {
+        return res.status(400).json({ error: 'Missing ID or URL parameter' });
     }
     
-    console.log(`n8n API request to capture screenshot for ID: ${id}`);
+    if (req.body.callbackUrl && !isValidCallbackUrl(req.body.callbackUrl)) {
+        return res.status(400).json({ error: 'Invalid callbackUrl (expected http:// or https://)' });
+    }
+    
+    const options = { ...captureOptionsFromBody(req.body), logger: req.log };
+    let target;
+    let format;
+    let regions;
+    let mode;
+    try {
+        target = resolveTarget({ id, url }, options);
+        format = normalizeFormat(options.format);
+        normalizeDerivativeSpec(options.derivatives);
+        resolveReadiness(options);
+        resolveHeightOptions(options);
+        regions = resolveRegionOptions(options);
+        resolvePrepareOptions(options.prepare);
+        mode = resolveResponseMode(req.body, Boolean(regions && regions.multiple));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const key = captureKey(target, regions);
+    const fileName = `${key}.${getExtension(format)}`;
+    const primaryFileName = regions && regions.multiple ? `${key}-${regions.regions[0].name}.${getExtension(format)}` : fileName;
+    
+    req.log.info('n8n screenshot requested', { previewId: target.key, url: target.url });
     
     // Create output directory if it doesn't exist
     const outputDir = './screenshots';
@@ -106,115 +753,656 @@ app.post('/api/n8n/screenshot', async (req, res) => {
         fs.mkdirSync(outputDir, { recursive: true });
     }
     
-    const outputPath = path.join(outputDir, `${id}.png`);
+    const outputPath = path.join(outputDir, fileName);
+    if (rejectWhenBusy(req, res)) {
+        return;
+    }
+    const release = auth.reserveCaptures(req, res);
+    if (!release) {
+        return;
+    }
+    const fullUrl = auth.signUrl(`${req.protocol}://${req.get('host')}/screenshots/${primaryFileName}`);
+    
+    // With a callback n8n gets the result via webhook instead of a five minute request
+    if (req.body.callbackUrl) {
+        let queue;
+        captureWithCallback(target, outputPath, options, req.body.callbackUrl, fullUrl, queued => {
+            queue = { position: queued.position || 0, etaMs: queued.etaMs };
+        }).finally(release);
+        return res.status(202).json({
+            id: target.key,
+            targetUrl: target.url,
+            status: 'accepted',
+            screenshotUrl: fullUrl,
+            queue
+        });
+    }
     
     try {
-        // Add memory usage logging
-        const memoryUsage = process.memoryUsage();
-        console.log(`Memory usage before screenshot - RSS: ${memoryUsage.rss / 1024 / 1024}MB, Heap: ${memoryUsage.heapUsed / 1024 / 1024}MB / ${memoryUsage.heapTotal / 1024 / 1024}MB`);
-        
-        const result = await captureScreenshot(id, outputPath, req.body);
+        const result = await runCapture(target, outputPath, options, `${req.protocol}://${req.get('host')}/screenshots`);
+        const stored = options.store !== false;
         
-        // Log memory usage after screenshot
-        const afterMemoryUsage = process.memoryUsage();
-        console.log(`Memory usage after screenshot - RSS: ${afterMemoryUsage.rss / 1024 / 1024}MB, Heap: ${afterMemoryUsage.heapUsed / 1024 / 1024}MB / ${afterMemoryUsage.heapTotal / 1024 / 1024}MB`);
-        
-        if (result.success) {
-            const screenshotUrl = `/screenshots/${id}.png`;
-            const fullUrl = `${req.protocol}://${req.get('host')}${screenshotUrl}`;
-            
+        if (result.success && mode === 'binary') {
+            sendImage(res, result, primaryFileName);
+        } else if (result.success) {
             // Format specifically for n8n
-            res.json({
-                id,
-                screenshotUrl: fullUrl
-            });
+            const body = {
+                id: target.key,
+                targetUrl: target.url,
+                format: result.format,
+                contentType: result.contentType,
+                screenshotUrl: stored ? result.url || fullUrl : null,
+                latestUrl: stored ? auth.signUrl(`${req.protocol}://${req.get('host')}/api/screenshots/${key}/latest`) : null,
+                version: result.version ? result.version.version : null,
+                dimensions: result.dimensions,
+                region: result.region,
+                quality: result.quality,
+                derivatives: derivativeUrls(result.derivatives, `${req.protocol}://${req.get('host')}/screenshots`),
+                images: result.images ? deviceImages(result, `${req.protocol}://${req.get('host')}/screenshots`) : undefined,
+                queue: result.queue,
+                profile: req.body.profile || null,
+                options: effectiveOptions(options)
+            };
+            res.json(mode === 'base64' ? addImageData(body, result, fileName) : body);
         } else {
-            res.status(500).json({
-                error: result.error || 'Failed to capture screenshot'
+            res.status(httpStatusFor(result.errorCode)).json({
+                error: result.error || 'Failed to capture screenshot',
+                errorCode: result.errorCode,
+                retryable: result.retryable,
+                quality: result.quality,
+                queue: result.queue,
+                profile: req.body.profile || null,
+                options: effectiveOptions(options)
             });
         }
     } catch (error) {
-        console.error('Error capturing screenshot:', error);
+        req.log.error('Error capturing screenshot', { previewId: target.key, error });
         res.status(500).json({
             error: error.message || 'Error capturing screenshot'
         });
     } finally {
+        release();
+        
         // Force garbage collection if available
         if (global.gc) {
-            console.log('Running garbage collection');
+            req.log.debug('Running garbage collection');
             global.gc();
         }
     }
 });
 
+/**
+ * Look up the versions of a screenshot key for a request, answering 400/404 itself
+ * @param {Object} req - Express request with an :id param
+ * @param {Object} res - Express response
+ * @returns {Array<Object>|null} Versions, newest first, or null once an error was sent
+ */
+function versionsForRequest(req, res) {
+    if (!ScreenshotStore.isValidKey(req.params.id)) {
+        res.status(400).json({ error: 'Invalid screenshot ID' });
+        return null;
+    }
+    const versions = screenshotStore.listVersions(req.params.id);
+    if (versions.length === 0) {
+        res.status(404).json({ error: 'No versions found for this screenshot' });
+        return null;
+    }
+    return versions;
+}
+
+// Version history of one screenshot, newest first
+app.get('/api/screenshots/:id/versions', requireKey, (req, res) => {
+    const versions = versionsForRequest(req, res);
+    if (!versions) {
+        return;
+    }
+    
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    res.json({
+        id: req.params.id,
+        latestUrl: auth.signUrl(`${baseUrl}/api/screenshots/${req.params.id}/latest`),
+        versions: versions.map(record => ({ ...record, url: auth.signUrl(`${baseUrl}/screenshots/${record.file}`) }))
+    });
+});
+
+/**
+ * Send one stored version of a screenshot
+ * @param {Object} req - Express request with an :id param
+ * @param {Object} res - Express response
+ * @param {string} version - Version ID, or 'latest'
+ */
+function sendVersion(req, res, version) {
+    if (!versionsForRequest(req, res)) {
+        return;
+    }
+    
+    const record = screenshotStore.getVersion(req.params.id, version);
+    if (!record) {
+        return res.status(404).json({ error: 'Version not found' });
+    }
+    
+    res.set({
+        'Cache-Control': 'no-cache',
+        'ETag': `"${record.hash}"`,
+        'X-Screenshot-Version': record.version
+    });
+    res.type(record.contentType);
+    res.sendFile(screenshotStore.resolvePath(record));
+}
+
+// Stable URL that always serves the newest version
+app.get('/api/screenshots/:id/latest', screenshotAccess, (req, res) => sendVersion(req, res, 'latest'));
+
+// One specific version
+app.get('/api/screenshots/:id/versions/:version', screenshotAccess, (req, res) => sendVersion(req, res, req.params.version));
+
+// Visual diff endpoint: compare two stored captures, or a fresh capture against its baseline
+app.post('/api/diff', requireKey, validateRequest('DiffRequest'), applyProfile, async (req, res) => {
+    const { before, after, id, url, updateBaseline } = req.body;
+    const baseUrl = `${req.protocol}://${req.get('host')}/screenshots`;
+    
+    let diffOptions;
+    try {
+        diffOptions = resolveDiffOptions(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    if (before || after) {
+        if (!before || !after) {
+            return res.status(400).json({ error: 'Both before and after are required' });
+        }
+        
+        const beforePath = storedCapturePath(before);
+        const afterPath = storedCapturePath(after);
+        const missing = [beforePath, afterPath].find(filePath => !fs.existsSync(filePath));
+        if (missing) {
+            return res.status(404).json({ error: `Screenshot not found: ${path.basename(missing)}` });
+        }
+        
+        const name = `${path.parse(beforePath).name}-vs-${path.parse(afterPath).name}.png`;
+        try {
+            const diff = await compareImages(beforePath, afterPath, path.join('./screenshots/diffs', name), diffOptions);
+            return res.json({ success: true, ...diffResponse(diff, baseUrl) });
+        } catch (error) {
+            if (error instanceof CaptureError) {
+                return res.status(httpStatusFor(error.code)).json({ success: false, message: 'Failed to compare screenshots', error: error.message, errorCode: error.code });
+            }
+            req.log.error('Error comparing screenshots', { error });
+            return res.status(500).json({ success: false, message: 'Failed to compare screenshots', error: error.message });
+        }
+    }
+    
+    if (!id && !url) {
+        return res.status(400).json({ error: 'Missing before/after, ID or URL parameter' });
+    }
+    
+    const { threshold, includeAA, ...options } = captureOptionsFromBody(req.body);
+    delete options.updateBaseline;
+    options.logger = req.log;
+    let target;
+    let format;
+    let regions;
+    try {
+        if (options.devices) {
+            throw new Error('devices is not supported by /api/diff, use device');
+        }
+        target = resolveTarget({ id, url }, options);
+        format = normalizeFormat(options.format);
+        if (format === 'pdf') {
+            throw new Error('pdf captures cannot be diffed');
+        }
+        normalizeDerivativeSpec(options.derivatives);
+        resolveReadiness(options);
+        resolveHeightOptions(options);
+        resolveDevice(options.device);
+        regions = resolveRegionOptions(options);
+        resolvePrepareOptions(options.prepare);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    const outputDir = './screenshots';
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+    // Element captures keep their own baseline next to the full page's
+    const fileName = `${captureKey(target, regions)}.${getExtension(format)}`;
+    const outputPath = path.join(outputDir, fileName);
+    
+    if (rejectWhenBusy(req, res)) {
+        return;
+    }
+    const release = auth.reserveCaptures(req, res);
+    if (!release) {
+        return;
+    }
+    
+    req.log.info('Diff requested', { previewId: target.key, url: target.url });
+    
+    try {
+        const result = await runCapture(target, outputPath, options, baseUrl);
+        if (!result.success) {
+            return res.status(httpStatusFor(result.errorCode)).json({
+                success: false,
+                message: 'Failed to capture screenshot',
+                error: result.error,
+                errorCode: result.errorCode,
+                retryable: result.retryable,
+                quality: result.quality,
+                queue: result.queue
+            });
+        }
+        
+        const diff = await compareWithBaseline(outputPath, { ...diffOptions, updateBaseline });
+        res.json({
+            success: true,
+            id: target.key,
+            targetUrl: target.url,
+            url: result.url,
+            baselineCreated: diff.baselineCreated,
+            baselineUpdated: diff.baselineUpdated,
+            queue: result.queue,
+            profile: req.body.profile || null,
+            options: effectiveOptions(options),
+            ...(diff.baselineCreated ? {} : diffResponse(diff, baseUrl))
+        });
+    } catch (error) {
+        // A baseline taken with another device or viewport cannot be compared
+        if (error instanceof CaptureError) {
+            return res.status(httpStatusFor(error.code)).json({ success: false, message: 'Error diffing screenshot', error: error.message, errorCode: error.code });
+        }
+        req.log.error('Error diffing screenshot', { previewId: target.key, error });
+        res.status(500).json({ success: false, message: 'Error diffing screenshot', error: error.message });
+    } finally {
+        release();
+    }
+});
+
+// Capture profiles: named option presets that requests reference with `profile`
+app.get('/api/profiles', requireKey, (req, res) => {
+    res.json({ profiles: profiles.list() });
+});
+
+app.get('/api/profiles/:name', requireKey, (req, res) => {
+    const profile = profiles.get(req.params.name);
+    if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json({ name: req.params.name, ...profile });
+});
+
+app.put('/api/profiles/:name', requireKey, validateRequest('CaptureProfile'), (req, res) => {
+    if (!ProfileStore.isValidName(req.params.name)) {
+        return res.status(400).json({ error: 'Profile names may only contain letters, digits, - and _ (up to 64)' });
+    }
+    
+    // Check the options the way a capture would, so a bad profile fails here instead of on every request
+    const { description, ...options } = req.body;
+    try {
+        normalizeFormat(options.format);
+        normalizeDerivativeSpec(options.derivatives);
+        resolveReadiness(options);
+        resolveHeightOptions(options);
+        resolveRegionOptions(options);
+        resolvePrepareOptions(options.prepare);
+        resolveDevice(options.device);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    const created = profiles.set(req.params.name, req.body);
+    req.log.info(created ? 'Profile created' : 'Profile updated', { profile: req.params.name });
+    res.status(created ? 201 : 200).json({ name: req.params.name, ...req.body });
+});
+
+app.delete('/api/profiles/:name', requireKey, (req, res) => {
+    if (!profiles.delete(req.params.name)) {
+        return res.status(404).json({ error: 'Profile not found' });
+    }
+    req.log.info('Profile deleted', { profile: req.params.name });
+    res.status(204).end();
+});
+
+/**
+ * Look up a job for a request, answering 404 itself
+ * @param {Object} req - Express request with a :jobId param
+ * @param {Object} res - Express response
+ * @returns {Object|null} Job record, or null once a 404 was sent
+ */
+function jobForRequest(req, res) {
+    const job = jobs.get(req.params.jobId);
+    if (!job) {
+        res.status(404).json({ error: 'Job not found (finished jobs are kept for a limited time)' });
+        return null;
+    }
+    return job;
+}
+
+// Status of an async capture; `result` holds the response a synchronous request would have got
+app.get('/api/jobs/:jobId', requireKey, (req, res) => {
+    const job = jobForRequest(req, res);
+    if (job) {
+        res.json(jobs.view(job));
+    }
+});
+
+// Stream an async capture's queue position, stages and result as Server-Sent Events
+app.get('/api/jobs/:jobId/events', requireKey, (req, res) => {
+    const job = jobForRequest(req, res);
+    if (!job) {
+        return;
+    }
+    
+    const listener = event => {
+        stream.send(event.type, event.data, event.id);
+        if (event.type === 'completed' || event.type === 'failed') {
+            stream.close();
+        }
+    };
+    const stream = openEventStream(req, res, () => jobs.removeListener(job.jobId, listener));
+    
+    // Replay what happened before the client connected, skipping what a reconnecting client already saw
+    const missed = job.events.filter(event => event.id > stream.lastEventId);
+    missed.forEach(event => stream.send(event.type, event.data, event.id));
+    if (job.finishedAt) {
+        return stream.close();
+    }
+    jobs.on(job.jobId, listener);
+});
+
 // Batch processing endpoint
-app.post('/api/batch', async (req, res) => {
-    const { ids, concurrency = 1, retries = 3 } = req.body;
+app.post('/api/batch', requireKey, validateRequest('BatchRequest'), applyProfile, async (req, res) => {
+    const { ids = [], urls = [], concurrency = 1, retries = 3, retryDelay, callbackUrl, callbackOnItem } = req.body;
     
-    if (!ids || !Array.isArray(ids) || ids.length === 0) {
-        return res.status(400).json({ error: 'Missing or invalid IDs array' });
+    if (!Array.isArray(ids) || !Array.isArray(urls) || ids.length + urls.length === 0) {
+        return res.status(400).json({ error: 'Missing or invalid IDs/URLs array' });
     }
     
-    console.log(`API request to process batch of ${ids.length} IDs`);
+    if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+        return res.status(400).json({ error: 'Invalid callbackUrl (expected http:// or https://)' });
+    }
     
     // Create a unique batch ID
-    const batchId = Date.now().toString();
+    const batchId = crypto.randomUUID();
     
-    // Initialize the queue
-    const queue = new ScreenshotQueue(concurrency, retries);
+    // Initialize the queue; items may be preview IDs, full URLs or { id, url } objects
+    const queue = new ScreenshotQueue({
+        batchId,
+        outputDir: './screenshots',
+        concurrency,
+        retries,
+        retryDelay,
+        reportPath: batchStore.reportPath(batchId),
+        captureOptions: captureOptionsFromBody(req.body),
+        store: batchStore,
+        versions: screenshotStore,
+        storage,
+        callbackUrl,
+        callbackOnItem,
+        screenshotUrlPrefix: `${req.protocol}://${req.get('host')}/screenshots`,
+        scheduler,
+        logger: req.log
+    });
+    
+    try {
+        if (req.body.devices) {
+            throw new Error('devices is only supported by /api/screenshot, use device for batches');
+        }
+        resolveDevice(req.body.device);
+        normalizeDerivativeSpec(req.body.derivatives);
+        resolveReadiness(req.body);
+        resolveHeightOptions(req.body);
+        resolveRegionOptions(req.body);
+        resolvePrepareOptions(req.body.prepare);
+        queue.enqueue([...ids, ...urls.map(url => ({ url }))]);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    if (rejectWhenBusy(req, res)) {
+        return;
+    }
+    // A batch holds one capture slot per worker until it finishes
+    const release = auth.reserveCaptures(req, res, queue.concurrency);
+    if (!release) {
+        return;
+    }
+    
+    req.log.info('Batch requested', { batchId, items: queue.items.length });
     
     // Start processing in the background
-    queue.processBatch(batchId, ids);
+    runningBatches.set(batchId, queue);
+    queue.run().catch(error => {
+        req.log.error('Batch failed', { batchId, error });
+    }).finally(() => {
+        runningBatches.delete(batchId);
+        release();
+    });
     
     // Return immediately with the batch ID
     res.json({
         success: true,
         message: 'Batch processing started',
         batchId,
-        totalItems: ids.length,
-        statusUrl: `/api/batch/${batchId}/status`
+        totalItems: queue.items.length,
+        statusUrl: `/api/batch/${batchId}/status`,
+        eventsUrl: `/api/batch/${batchId}/events`,
+        queue: { etaMs: scheduler.estimateBatch(queue.items.length, queue.concurrency) },
+        profile: req.body.profile || null,
+        options: effectiveOptions(queue.captureOptions)
     });
 });
 
 // Batch status endpoint
-app.get('/api/batch/:batchId/status', (req, res) => {
+app.get('/api/batch/:batchId/status', requireKey, (req, res) => {
+    const { batchId } = req.params;
+    const status = batchStore.getBatch(batchId);
+    
+    if (!status) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    // Finished batches have nothing left to estimate
+    const remaining = status.total - status.completed;
+    res.json(status.status === 'completed' ? status : {
+        ...status,
+        queue: { etaMs: scheduler.estimateBatch(remaining, status.concurrency) }
+    });
+});
+
+// Batch report endpoint; reports are only readable with an API key
+app.get('/api/batch/:batchId/report', requireKey, (req, res) => {
+    const batch = batchStore.getRecord(req.params.batchId);
+    if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const reportPath = batch.options && batch.options.reportPath;
+    if (!reportPath || !fs.existsSync(reportPath)) {
+        return res.status(404).json({ error: 'Report not written yet' });
+    }
+    res.sendFile(path.resolve(reportPath), { dotfiles: 'allow' });
+});
+
+// Stream a batch's item stages, finished items and completion as Server-Sent Events
+app.get('/api/batch/:batchId/events', requireKey, (req, res) => {
     const { batchId } = req.params;
-    const status = ScreenshotQueue.getBatchStatus(batchId);
+    const status = batchStore.getBatch(batchId);
     
     if (!status) {
         return res.status(404).json({ error: 'Batch not found' });
     }
     
-    res.json(status);
+    const queue = runningBatches.get(batchId);
+    const onProgress = event => stream.send('progress', event);
+    const onItem = item => stream.send('item', {
+        id: item.id,
+        url: item.url,
+        status: item.status,
+        attempts: item.attempts.length,
+        durationMs: item.duration,
+        screenshotUrl: item.screenshotUrl,
+        error: item.error,
+        errorCode: item.errorCode,
+        quality: item.quality
+    });
+    const onComplete = () => {
+        stream.send('complete', batchStore.getBatch(batchId));
+        stream.close();
+    };
+    const stream = openEventStream(req, res, () => {
+        if (queue) {
+            queue.removeListener('progress', onProgress);
+            queue.removeListener('item', onItem);
+            queue.removeListener('complete', onComplete);
+        }
+    });
+    
+    // Start with a snapshot, so clients connecting mid-batch know what already finished
+    stream.send('status', status);
+    if (!queue) {
+        // Already finished, or being processed by another instance
+        return status.status === 'completed' ? onComplete() : stream.close();
+    }
+    queue.on('progress', onProgress);
+    queue.on('item', onItem);
+    queue.on('complete', onComplete);
+});
+
+// Batch listing endpoint with pagination and status filter
+app.get('/api/batches', requireKey, validateRequest('BatchListQuery', 'query'), (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    
+    res.json(batchStore.listBatches({ status: req.query.status, limit, offset }));
+});
+
+// Recurring captures: cron schedules that run a batch and optionally diff it against the previous run
+app.get('/api/schedules', requireKey, (req, res) => {
+    const baseUrl = `${req.protocol}://${req.get('host')}/screenshots`;
+    res.json({ schedules: schedules.list().map(schedule => scheduleView(schedule, baseUrl, false)) });
+});
+
+app.post('/api/schedules', requireKey, validateRequest('ScheduleRequest'), (req, res) => {
+    try {
+        checkSchedule(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    const baseUrl = `${req.protocol}://${req.get('host')}/screenshots`;
+    const schedule = schedules.set(null, req.body, baseUrl);
+    scheduleRunner.refresh(schedule.id);
+    req.log.info('Schedule created', { scheduleId: schedule.id, cron: schedule.cron });
+    res.status(201).json(scheduleView(schedule, baseUrl, true));
+});
+
+app.get('/api/schedules/:scheduleId', requireKey, (req, res) => {
+    const schedule = schedules.get(req.params.scheduleId);
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(scheduleView(schedule, `${req.protocol}://${req.get('host')}/screenshots`, true));
+});
+
+app.put('/api/schedules/:scheduleId', requireKey, validateRequest('ScheduleRequest'), (req, res) => {
+    if (!schedules.get(req.params.scheduleId)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    try {
+        checkSchedule(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    // The definition is replaced; the run history is kept
+    const baseUrl = `${req.protocol}://${req.get('host')}/screenshots`;
+    const schedule = schedules.set(req.params.scheduleId, req.body, baseUrl);
+    scheduleRunner.refresh(schedule.id);
+    req.log.info('Schedule updated', { scheduleId: schedule.id, cron: schedule.cron });
+    res.json(scheduleView(schedule, baseUrl, true));
 });
 
+app.delete('/api/schedules/:scheduleId', requireKey, (req, res) => {
+    if (!schedules.delete(req.params.scheduleId)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    scheduleRunner.refresh(req.params.scheduleId);
+    req.log.info('Schedule deleted', { scheduleId: req.params.scheduleId });
+    res.status(204).end();
+});
+
+// Run a schedule now, outside its cron times
+app.post('/api/schedules/:scheduleId/run', requireKey, (req, res) => {
+    if (!schedules.get(req.params.scheduleId)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    if (rejectWhenBusy(req, res)) {
+        return;
+    }
+    
+    const run = scheduleRunner.trigger(req.params.scheduleId, 'manual');
+    if (run.status === 'skipped') {
+        return res.status(409).json({ error: run.error, run });
+    }
+    if (run.status === 'failed') {
+        return res.status(400).json({ error: run.error, run });
+    }
+    res.status(202).json({
+        success: true,
+        run,
+        statusUrl: `/api/batch/${run.batchId}/status`,
+        eventsUrl: `/api/batch/${run.batchId}/events`
+    });
+});
+
+/**
+ * Restart batches that were still running when the process last stopped
+ */
+function resumeUnfinishedBatches() {
+    batchStore.getUnfinished().forEach(record => {
+        const queue = ScreenshotQueue.resume(record, { store: batchStore, versions: screenshotStore, storage, scheduler });
+        logger.info('Resuming batch', { batchId: record.id, remaining: queue.pending.length, items: queue.items.length });
+        runningBatches.set(record.id, queue);
+        queue.run().catch(error => {
+            logger.error('Batch failed', { batchId: record.id, error });
+        }).finally(() => runningBatches.delete(record.id));
+    });
+}
+
 // Start the server with graceful shutdown
 const server = app.listen(port, () => {
-    console.log(`API server running on port ${port}`);
-    console.log('- POST /api/screenshot - Capture a single screenshot');
-    console.log('- POST /api/n8n/screenshot - Capture a screenshot (optimized for n8n)');
-    console.log('- POST /api/batch - Process multiple IDs');
-    console.log('- GET /api/batch/:batchId/status - Check batch status');
-    
-    // Log memory constraints
-    console.log(`Memory limits - Node options: ${process.env.NODE_OPTIONS || 'none'}`);
+    // Endpoints are described in /api/openapi.json, memory is graphed from /metrics
     const memoryUsage = process.memoryUsage();
-    console.log(`Initial memory usage - RSS: ${memoryUsage.rss / 1024 / 1024}MB, Heap: ${memoryUsage.heapUsed / 1024 / 1024}MB / ${memoryUsage.heapTotal / 1024 / 1024}MB`);
+    logger.info('API server running', {
+        port,
+        nodeOptions: process.env.NODE_OPTIONS || 'none',
+        rssMb: Math.round(memoryUsage.rss / 1024 / 1024),
+        heapUsedMb: Math.round(memoryUsage.heapUsed / 1024 / 1024)
+    });
+    
+    resumeUnfinishedBatches();
+    scheduleRunner.start();
 });
 
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully');
-    server.close(() => {
-        console.log('Server closed');
+    logger.info('SIGTERM received, shutting down gracefully');
+    scheduleRunner.stop();
+    server.close(async () => {
+        logger.info('Server closed');
+        await closeDefaultPool();
         process.exit(0);
     });
 });
 
 process.on('SIGINT', () => {
-    console.log('SIGINT received, shutting down gracefully');
-    server.close(() => {
-        console.log('Server closed');
+    logger.info('SIGINT received, shutting down gracefully');
+    scheduleRunner.stop();
+    server.close(async () => {
+        logger.info('Server closed');
+        await closeDefaultPool();
         process.exit(0);
     });
 });
\ No newline at end of file
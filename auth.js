@@ -0,0 +1,259 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Defaults applied to keys that do not set their own limits
+const DEFAULT_RATE_LIMIT = parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 60;
+const DEFAULT_MAX_CONCURRENT = parseInt(process.env.MAX_CONCURRENT_CAPTURES) || 2;
+
+// Rate limits are counted per fixed one-minute window
+const RATE_WINDOW_MS = 60000;
+
+// Suggested wait when a key has too many captures running
+const BUSY_RETRY_AFTER = 5;
+
+/**
+ * Hash a key so lookups do not compare secrets character by character
+ * @param {string} value - Raw API key
+ * @returns {string} Hex SHA-256
+ */
+function hashKey(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Parse API key definitions
+ *
+ * Accepts a JSON array or `{ keys: [...] }` of `{ name, key, rateLimit, maxConcurrent }`,
+ * or a comma-separated list of `name:key` pairs or bare keys.
+ *
+ * @param {string} text - Definitions from a file or env var
+ * @returns {Array<Object>} Key configs
+ */
+function parseKeys(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) {
+        return [];
+    }
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const parsed = JSON.parse(trimmed);
+        const list = Array.isArray(parsed) ? parsed : parsed.keys;
+        if (!Array.isArray(list)) {
+            throw new Error('API keys must be an array or { "keys": [...] }');
+        }
+        return list.map((entry, index) => (typeof entry === 'string' ? { name: `key-${index + 1}`, key: entry } : entry));
+    }
+
+    return trimmed.split(',').map((entry, index) => {
+        const separator = entry.indexOf(':');
+        return separator > 0
+            ? { name: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() }
+            : { name: `key-${index + 1}`, key: entry.trim() };
+    });
+}
+
+/**
+ * API key authentication, per-key rate limits and capture quotas, and signed screenshot URLs
+ *
+ * Authentication is off when no keys are configured, so local development keeps working.
+ */
+class ApiAuth {
+    /**
+     * Create the auth layer
+     * @param {Object} options - Auth options
+     * @param {Array<Object>} options.keys - { name, key, rateLimit, maxConcurrent } (default: API_KEYS env and API_KEYS_FILE)
+     * @param {string} options.file - Key file (default: API_KEYS_FILE env)
+     * @param {string} options.signingSecret - Secret for signed screenshot URLs (default: URL_SIGNING_SECRET env)
+     * @param {number} options.urlTtl - Signed URL lifetime in seconds (default: SIGNED_URL_TTL env or 86400)
+     * @param {boolean} options.publicScreenshots - Serve screenshots without a key or signature (default: PUBLIC_SCREENSHOTS env)
+     */
+    constructor(options = {}) {
+        const file = options.file || process.env.API_KEYS_FILE;
+        const definitions = options.keys || [
+            ...parseKeys(process.env.API_KEYS),
+            ...(file ? parseKeys(fs.readFileSync(file, 'utf8')) : [])
+        ];
+
+        this.keys = new Map();
+        definitions.forEach(definition => {
+            if (!definition.key) {
+                throw new Error(`API key ${definition.name || '(unnamed)'} has no key`);
+            }
+            this.keys.set(hashKey(definition.key), {
+                name: definition.name || `key-${this.keys.size + 1}`,
+                rateLimit: parseInt(definition.rateLimit) || DEFAULT_RATE_LIMIT,
+                maxConcurrent: parseInt(definition.maxConcurrent) || DEFAULT_MAX_CONCURRENT
+            });
+        });
+
+        this.enabled = this.keys.size > 0;
+        this.publicScreenshots = options.publicScreenshots !== undefined
+            ? Boolean(options.publicScreenshots)
+            : process.env.PUBLIC_SCREENSHOTS === 'true';
+        this.urlTtl = parseInt(options.urlTtl || process.env.SIGNED_URL_TTL) || 86400;
+        this.signingSecret = options.signingSecret || process.env.URL_SIGNING_SECRET;
+        this.windows = new Map();
+        this.active = new Map();
+
+        if (!this.enabled) {
+            logger.warn('No API keys configured (API_KEYS or API_KEYS_FILE), the API is open to anyone');
+        } else if (!this.signingSecret) {
+            // Signed URLs still work, but only until the process restarts
+            this.signingSecret = crypto.randomBytes(32).toString('hex');
+            logger.warn('URL_SIGNING_SECRET is not set, signed screenshot URLs expire on restart');
+        }
+    }
+
+    /**
+     * Read the API key from the X-API-Key header, a Bearer token or the api_key query parameter
+     * @param {Object} req - Express request
+     * @returns {Object|null} Key config
+     */
+    findKey(req) {
+        const header = req.get('x-api-key');
+        const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+        const value = header || (bearer && bearer[1]) || req.query.api_key;
+        return value ? this.keys.get(hashKey(value)) || null : null;
+    }
+
+    /**
+     * Middleware that requires a valid API key and applies its rate limit
+     * @returns {Function} Express middleware
+     */
+    authenticate() {
+        return (req, res, next) => {
+            if (!this.enabled) {
+                return next();
+            }
+
+            const apiKey = this.findKey(req);
+            if (!apiKey) {
+                return res.status(401).json({ error: 'Missing or invalid API key' });
+            }
+            req.apiKey = apiKey;
+
+            // Fixed one-minute window per key
+            const now = Date.now();
+            let window = this.windows.get(apiKey.name);
+            if (!window || now - window.start >= RATE_WINDOW_MS) {
+                window = { start: now, count: 0 };
+                this.windows.set(apiKey.name, window);
+            }
+            window.count++;
+
+            const resetIn = Math.ceil((window.start + RATE_WINDOW_MS - now) / 1000);
+            res.set({
+                'X-RateLimit-Limit': apiKey.rateLimit,
+                'X-RateLimit-Remaining': Math.max(apiKey.rateLimit - window.count, 0),
+                'X-RateLimit-Reset': Math.ceil((window.start + RATE_WINDOW_MS) / 1000)
+            });
+            if (window.count > apiKey.rateLimit) {
+                res.set('Retry-After', resetIn);
+                return res.status(429).json({ error: `Rate limit of ${apiKey.rateLimit} requests per minute exceeded`, retryAfter: resetIn });
+            }
+
+            next();
+        };
+    }
+
+    /**
+     * Reserve capture slots against the key's concurrency quota, answering 429 itself when full
+     * and 400 when the request needs more slots than the quota allows at all
+     * @param {Object} req - Authenticated request
+     * @param {Object} res - Express response
+     * @param {number} slots - Captures this request runs at once (default: 1)
+     * @returns {Function|null} Idempotent release function, or null once an error was sent
+     */
+    reserveCaptures(req, res, slots = 1) {
+        if (!this.enabled || !req.apiKey) {
+            return () => {};
+        }
+
+        const { name, maxConcurrent } = req.apiKey;
+        const active = this.active.get(name) || 0;
+        // Retrying cannot help a request that would not fit even with nothing else running
+        if (slots > maxConcurrent) {
+            res.status(400).json({
+                error: `Request needs ${slots} concurrent captures but the key's quota is ${maxConcurrent}; lower concurrency`
+            });
+            return null;
+        }
+        if (active + slots > maxConcurrent) {
+            res.set('Retry-After', BUSY_RETRY_AFTER);
+            res.status(429).json({
+                error: `Concurrent capture quota of ${maxConcurrent} exceeded (${active} running)`,
+                retryAfter: BUSY_RETRY_AFTER
+            });
+            return null;
+        }
+
+        this.active.set(name, active + slots);
+        let released = false;
+        return () => {
+            if (!released) {
+                released = true;
+                this.active.set(name, this.active.get(name) - slots);
+            }
+        };
+    }
+
+    /**
+     * Compute the signature of a screenshot path
+     * @param {string} pathname - URL path, e.g. /screenshots/abc.png
+     * @param {number} expires - Unix time in seconds
+     * @returns {string} Hex HMAC-SHA256
+     */
+    signature(pathname, expires) {
+        return crypto.createHmac('sha256', this.signingSecret).update(`${pathname}\n${expires}`).digest('hex');
+    }
+
+    /**
+     * Add an expiring signature to a screenshot URL when screenshots are protected
+     * @param {string} url - Absolute or root-relative URL
+     * @returns {string} URL clients can fetch without a key
+     */
+    signUrl(url) {
+        if (!url || !this.enabled || this.publicScreenshots) {
+            return url;
+        }
+
+        const parsed = new URL(url, 'http://localhost');
+        const expires = Math.floor(Date.now() / 1000) + this.urlTtl;
+        parsed.searchParams.set('expires', expires);
+        parsed.searchParams.set('signature', this.signature(parsed.pathname, expires));
+        return /^https?:\/\//.test(url) ? parsed.toString() : `${parsed.pathname}${parsed.search}`;
+    }
+
+    /**
+     * Middleware for screenshot files: allows a valid API key or an unexpired signature
+     * @returns {Function} Express middleware
+     */
+    screenshotAccess() {
+        return (req, res, next) => {
+            if (!this.enabled || this.publicScreenshots || this.findKey(req)) {
+                return next();
+            }
+
+            const expires = parseInt(req.query.expires);
+            const given = String(req.query.signature || '');
+            const pathname = new URL(req.originalUrl, 'http://localhost').pathname;
+            if (!expires || !given) {
+                return res.status(401).json({ error: 'Screenshot requires an API key or a signed URL' });
+            }
+
+            const expected = this.signature(pathname, expires);
+            // timingSafeEqual throws on different byte lengths, which multibyte input can have at equal string lengths
+            const givenBytes = Buffer.from(given);
+            const expectedBytes = Buffer.from(expected);
+            const valid = givenBytes.length === expectedBytes.length && crypto.timingSafeEqual(givenBytes, expectedBytes);
+            if (!valid || expires < Date.now() / 1000) {
+                return res.status(403).json({ error: 'Invalid or expired screenshot signature' });
+            }
+
+            next();
+        };
+    }
+}
+
+module.exports = { ApiAuth, parseKeys };
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Batch statuses that still have work to do after a restart
+const UNFINISHED_STATUSES = ['queued', 'processing'];
+
+/**
+ * Durable batch store backed by an append-only JSON-lines journal
+ *
+ * Every change is appended as one line, so a crash loses at most the line being
+ * written. The journal is replayed into memory on load and compacted to one
+ * snapshot line per batch, then again every `compactEvery` appends.
+ */
+class BatchStore {
+    /**
+     * Create a new batch store
+     * @param {Object} options - Store options
+     * @param {string} options.file - Journal path (default: BATCH_STORE_PATH env or ./screenshots/.state/batches.jsonl, on the persistent disk but never served)
+     * @param {number} options.maxBatches - Finished batches kept when compacting (default: 500)
+     * @param {number} options.compactEvery - Compact after this many appends (default: BATCH_STORE_COMPACT_EVERY env or 1000)
+     */
+    constructor(options = {}) {
+        this.file = options.file || process.env.BATCH_STORE_PATH || './screenshots/.state/batches.jsonl';
+        this.maxBatches = options.maxBatches || 500;
+        this.compactEvery = options.compactEvery || parseInt(process.env.BATCH_STORE_COMPACT_EVERY) || 1000;
+        this.appends = 0;
+        this.batches = new Map();
+    }
+
+    /**
+     * Replay the journal into memory and compact it
+     * @returns {BatchStore} this
+     */
+    load() {
+        this.batches.clear();
+
+        if (fs.existsSync(this.file)) {
+            const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+            let skipped = 0;
+
+            lines.forEach(line => {
+                if (!line.trim()) {
+                    return;
+                }
+                try {
+                    this.apply(JSON.parse(line));
+                } catch (err) {
+                    // A torn final line from a crash mid-write is expected
+                    skipped++;
+                }
+            });
+
+            if (skipped > 0) {
+                logger.warn('Skipped unreadable lines in batch journal', { file: this.file, skipped });
+            }
+        }
+
+        this.compact();
+        logger.info('Loaded batches', { file: this.file, batches: this.batches.size });
+        return this;
+    }
+
+    /**
+     * Apply one journal entry to the in-memory state
+     * @param {Object} entry - Journal entry
+     */
+    apply(entry) {
+        if (entry.op === 'batch') {
+            this.batches.set(entry.batch.id, entry.batch);
+            return;
+        }
+
+        const batch = this.batches.get(entry.batchId);
+        if (!batch) {
+            return;
+        }
+
+        if (entry.op === 'update') {
+            Object.assign(batch, entry.fields);
+        } else if (entry.op === 'item') {
+            batch.items[entry.item.index] = entry.item;
+        } else if (entry.op === 'delivery') {
+            batch.deliveries = (batch.deliveries || []).filter(delivery => delivery.id !== entry.delivery.id);
+            batch.deliveries.push(entry.delivery);
+        }
+    }
+
+    /**
+     * Apply an entry and append it to the journal, compacting it every `compactEvery` appends
+     * @param {Object} entry - Journal entry
+     */
+    append(entry) {
+        this.apply(entry);
+        if (++this.appends >= this.compactEvery) {
+            // The snapshot already includes this entry
+            this.compact();
+            return;
+        }
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+        } catch (err) {
+            logger.error('Failed to write batch journal', { file: this.file, error: err.message });
+        }
+    }
+
+    /**
+     * Rewrite the journal as one snapshot per batch, dropping the oldest finished batches
+     */
+    compact() {
+        this.appends = 0;
+        const finished = [...this.batches.values()]
+            .filter(batch => !UNFINISHED_STATUSES.includes(batch.status))
+            .sort((a, b) => b.createdAt - a.createdAt);
+        finished.slice(this.maxBatches).forEach(batch => this.batches.delete(batch.id));
+
+        const content = [...this.batches.values()]
+            .map(batch => JSON.stringify({ op: 'batch', batch }) + '\n')
+            .join('');
+
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            const tmpFile = `${this.file}.tmp`;
+            fs.writeFileSync(tmpFile, content);
+            fs.renameSync(tmpFile, this.file);
+        } catch (err) {
+            logger.error('Failed to compact batch journal', { file: this.file, error: err.message });
+        }
+    }
+
+    /**
+     * Create or replace a batch record
+     * @param {Object} batch - { id, status, createdAt, startTime, endTime, options, items }
+     */
+    saveBatch(batch) {
+        this.append({ op: 'batch', batch });
+    }
+
+    /**
+     * Update top-level fields of a batch
+     * @param {string} batchId - Batch identifier
+     * @param {Object} fields - Fields to merge
+     */
+    updateBatch(batchId, fields) {
+        this.append({ op: 'update', batchId, fields });
+    }
+
+    /**
+     * Replace an item snapshot within a batch
+     * @param {string} batchId - Batch identifier
+     * @param {Object} item - Item snapshot with its `index`
+     */
+    saveItem(batchId, item) {
+        this.append({ op: 'item', batchId, item });
+    }
+
+    /**
+     * Record or update a webhook delivery for a batch
+     * @param {string} batchId - Batch identifier
+     * @param {Object} delivery - Delivery record from deliverWebhook
+     */
+    saveDelivery(batchId, delivery) {
+        this.append({ op: 'delivery', batchId, delivery });
+    }
+
+    /**
+     * Where a batch's report is written, next to the journal and never served statically
+     * @param {string} batchId - Batch identifier
+     * @returns {string} Report path
+     */
+    reportPath(batchId) {
+        return path.join(path.dirname(this.file), 'reports', `${batchId}.json`);
+    }
+
+    /**
+     * Get the raw batch record
+     * @param {string} batchId - Batch identifier
+     * @returns {Object|null} Batch record or null if not found
+     */
+    getRecord(batchId) {
+        return this.batches.get(batchId) || null;
+    }
+
+    /**
+     * Get a batch in the same shape as ScreenshotQueue status
+     * @param {string} batchId - Batch identifier
+     * @returns {Object|null} Batch status or null if not found
+     */
+    getBatch(batchId) {
+        const batch = this.batches.get(batchId);
+        return batch ? toStatus(batch, true) : null;
+    }
+
+    /**
+     * List batches, newest first
+     * @param {Object} query - Query
+     * @param {string} query.status - Only batches with this status
+     * @param {number} query.limit - Page size (default: 20)
+     * @param {number} query.offset - Number of batches to skip (default: 0)
+     * @returns {Object} { total, limit, offset, batches }
+     */
+    listBatches(query = {}) {
+        const limit = query.limit || 20;
+        const offset = query.offset || 0;
+
+        const matching = [...this.batches.values()]
+            .filter(batch => !query.status || batch.status === query.status)
+            .sort((a, b) => b.createdAt - a.createdAt);
+
+        return {
+            total: matching.length,
+            limit,
+            offset,
+            batches: matching.slice(offset, offset + limit).map(batch => toStatus(batch, false))
+        };
+    }
+
+    /**
+     * Get records of batches that were queued or processing when the process stopped
+     * @returns {Array<Object>} Batch records
+     */
+    getUnfinished() {
+        return [...this.batches.values()].filter(batch => UNFINISHED_STATUSES.includes(batch.status));
+    }
+}
+
+/**
+ * Build a status object from a batch record
+ * @param {Object} batch - Batch record
+ * @param {boolean} withResults - Include per-item results
+ * @returns {Object} Batch status
+ */
+function toStatus(batch, withResults) {
+    const items = batch.items.filter(Boolean);
+    const successful = items.filter(item => item.status === 'success');
+    const failed = items.filter(item => item.status === 'failed');
+
+    const status = {
+        id: batch.id,
+        status: batch.status,
+        total: items.length,
+        completed: successful.length + failed.length,
+        successful: successful.length,
+        failed: failed.length,
+        concurrency: batch.options && batch.options.concurrency || 1,
+        createdAt: batch.createdAt,
+        startTime: batch.startTime || null,
+        endTime: batch.endTime || null,
+        duration: batch.endTime && batch.startTime ? batch.endTime - batch.startTime : null
+    };
+
+    if (withResults) {
+        status.results = {
+            success: successful.map(item => ({
+                id: item.id,
+                url: item.url,
+                path: item.outputPath,
+                screenshotUrl: item.screenshotUrl || null,
+                version: item.version || null,
+                quality: item.quality || null,
+                derivatives: item.derivatives || [],
+                attempts: item.attempts.length
+            })),
+            failed: failed.map(item => ({
+                id: item.id,
+                url: item.url,
+                error: item.error,
+                errorCode: item.errorCode || null,
+                attempts: item.attempts.length
+            }))
+        };
+    }
+
+    status.deliveries = batch.deliveries || [];
+
+    return status;
+}
+
+module.exports = { BatchStore };
@@ -0,0 +1,493 @@
+const puppeteer = require('puppeteer-core');
+const fs = require('fs');
+const { logger } = require('./logger');
+const { registry } = require('./metrics');
+
+const browserLaunches = registry.counter('screenshot_browser_launches_total', 'Browsers launched');
+const browserRestarts = registry.counter('screenshot_browser_restarts_total', 'Browsers replaced, by reason (crash or recycle)');
+
+// Memory-efficient Chrome flags shared by every pooled browser
+const DEFAULT_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--window-size=1920,1920',
+    '--hide-scrollbars',
+    '--disable-extensions',
+    '--disable-component-extensions-with-background-pages',
+    '--disable-default-apps',
+    '--mute-audio',
+    '--js-flags=--max-old-space-size=512', // Limit JS memory
+    '--single-process', // Use single process
+    '--disable-browser-side-navigation',
+    '--disable-features=site-per-process',
+    '--disable-features=BlinkGenPropertyTrees',
+    '--disable-translate',
+    '--disable-sync',
+];
+
+/**
+ * Resolve the Chrome executable to launch
+ * @param {string} [explicitPath] - Path passed in by the caller
+ * @returns {string|undefined} Executable path or undefined to let puppeteer decide
+ */
+function resolveExecutablePath(explicitPath) {
+    if (explicitPath) {
+        return explicitPath;
+    }
+
+    // CHROME_PATH always wins so any local Chrome can be used (e.g. for offline testing)
+    if (process.env.CHROME_PATH) {
+        return process.env.CHROME_PATH;
+    }
+
+    // Check if we're running in a cloud environment (like Render.com)
+    if (process.env.RENDER || process.env.CLOUD_ENV) {
+        logger.info('Running in cloud environment, using installed Chrome');
+        return '/usr/bin/google-chrome-stable';
+    }
+
+    // For local development, try to find Chrome in standard locations
+    const possiblePaths = {
+        darwin: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+        win32: 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+        linux: '/usr/bin/google-chrome',
+    };
+
+    const chromePath = possiblePaths[process.platform];
+    if (chromePath) {
+        if (fs.existsSync(chromePath)) {
+            logger.info('Using local Chrome', { chromePath });
+            return chromePath;
+        }
+        logger.warn("Chrome not found, falling back to puppeteer's bundled Chromium", { chromePath });
+    }
+
+    return undefined;
+}
+
+/**
+ * Read the resident set size of a browser process in MB
+ * @param {import('puppeteer-core').Browser} browser - Browser instance
+ * @returns {number|null} RSS in MB, or null if it cannot be determined
+ */
+function getBrowserRssMb(browser) {
+    const child = browser.process();
+    if (!child || !child.pid) {
+        return null;
+    }
+
+    // /proc is only available on Linux, which is where we run in production
+    try {
+        const status = fs.readFileSync(`/proc/${child.pid}/status`, 'utf8');
+        const match = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+        return match ? parseInt(match[1], 10) / 1024 : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Long-lived pool of Chrome instances that hands out isolated pages
+ */
+class BrowserPool {
+    /**
+     * Create a new browser pool
+     * @param {Object} options - Pool options
+     * @param {number} options.maxBrowsers - Maximum number of running browsers (default: 1)
+     * @param {number} options.maxPagesPerBrowser - Concurrent pages per browser (default: 2)
+     * @param {number} options.maxCapturesPerBrowser - Recycle a browser after this many captures (default: 50)
+     * @param {number} options.maxRssMb - Recycle a browser once its RSS exceeds this many MB (default: 350)
+     * @param {string} options.executablePath - Chrome executable (default: resolved from env/platform)
+     * @param {boolean|string} options.headless - Headless mode (default: 'new')
+     * @param {number} options.launchTimeout - Browser launch timeout in ms (default: 60000)
+     * @param {Array<string>} options.args - Extra Chrome flags appended to the defaults
+     * @param {Function} options.launch - Starts a browser from launch options (default: puppeteer.launch)
+     */
+    constructor(options = {}) {
+        this.maxBrowsers = options.maxBrowsers || 1;
+        this.maxPagesPerBrowser = options.maxPagesPerBrowser || 2;
+        this.maxCapturesPerBrowser = options.maxCapturesPerBrowser || 50;
+        this.maxRssMb = options.maxRssMb || 350;
+        this.executablePath = options.executablePath;
+        this.headless = options.headless !== undefined ? options.headless : 'new';
+        this.launchTimeout = options.launchTimeout || 60000;
+        this.extraArgs = options.args || [];
+        this.launch = options.launch || (launchOptions => puppeteer.launch(launchOptions));
+
+        this.entries = [];
+        this.waiters = [];
+        this.launching = 0;
+        this.closed = false;
+        this.stats = {
+            launched: 0,
+            recycled: 0,
+            crashed: 0,
+            captures: 0,
+        };
+    }
+
+    /**
+     * Build puppeteer launch options for a pooled browser
+     * @returns {Object} Launch options
+     */
+    buildLaunchOptions() {
+        const launchOptions = {
+            headless: this.headless,
+            args: [...DEFAULT_ARGS, ...this.extraArgs],
+            defaultViewport: {
+                width: 1920,
+                height: 1200, // Keep smaller initial viewport height
+                deviceScaleFactor: 1,
+            },
+            ignoreHTTPSErrors: true,
+            timeout: this.launchTimeout,
+            dumpio: false, // Don't pipe browser process stdout/stderr
+            handleSIGINT: true,
+            handleSIGTERM: true,
+            handleSIGHUP: true,
+        };
+
+        const executablePath = resolveExecutablePath(this.executablePath);
+        if (executablePath) {
+            launchOptions.executablePath = executablePath;
+        }
+
+        // Force headless in cloud environments
+        if (process.env.RENDER || process.env.CLOUD_ENV) {
+            launchOptions.headless = 'new';
+        }
+
+        return launchOptions;
+    }
+
+    /**
+     * Launch a new browser and add it to the pool
+     * @returns {Promise<Object>} Pool entry
+     */
+    async launchBrowser() {
+        this.launching++;
+        try {
+            logger.info('Launching pooled browser');
+            const browser = await this.launch(this.buildLaunchOptions());
+
+            const entry = {
+                browser,
+                active: 0,
+                captures: 0,
+                retiring: false,
+                launchedAt: Date.now(),
+            };
+
+            browser.on('disconnected', () => this.handleDisconnect(entry));
+
+            this.entries.push(entry);
+            this.stats.launched++;
+            browserLaunches.inc();
+            return entry;
+        } finally {
+            this.launching--;
+        }
+    }
+
+    /**
+     * Remove a browser that went away and replace it if it crashed
+     * @param {Object} entry - Pool entry
+     */
+    handleDisconnect(entry) {
+        const index = this.entries.indexOf(entry);
+        if (index === -1) {
+            return;
+        }
+        this.entries.splice(index, 1);
+
+        if (!entry.retiring && !this.closed) {
+            this.stats.crashed++;
+            browserRestarts.inc({ reason: 'crash' });
+            logger.error('Pooled browser disconnected unexpectedly, restarting', { captures: entry.captures });
+            this.launchBrowser()
+                .then(() => this.drainWaiters())
+                .catch(err => {
+                    logger.error('Failed to restart browser', { error: err.message });
+                    this.rejectWaiters(err);
+                });
+        }
+    }
+
+    /**
+     * Find a browser with spare page capacity
+     * @returns {Object|null} Pool entry
+     */
+    findAvailable() {
+        return this.entries.find(entry =>
+            !entry.retiring &&
+            entry.browser.isConnected() &&
+            entry.active < this.maxPagesPerBrowser
+        ) || null;
+    }
+
+    /**
+     * Acquire an isolated page in a fresh incognito context
+     * @returns {Promise<Object>} Lease with page, context and release()
+     */
+    async acquire() {
+        if (this.closed) {
+            throw new Error('Browser pool is closed');
+        }
+
+        // Every path below hands back an entry with our page slot already reserved.
+        // Free slots and launches go to earlier waiters first, so nobody is starved
+        const queued = this.waiters.length > 0;
+        let entry = queued ? null : this.findAvailable();
+
+        if (entry) {
+            entry.active++;
+        } else if (!queued && this.entries.length + this.launching < this.maxBrowsers) {
+            entry = await this.launchBrowser();
+            entry.active++;
+        } else {
+            // Wait in line for a page slot to be released
+            entry = await new Promise((resolve, reject) => {
+                this.waiters.push({ resolve, reject });
+                this.drainWaiters();
+            });
+        }
+
+        let context;
+        try {
+            context = await entry.browser.createBrowserContext();
+            const page = await context.newPage();
+            return this.createLease(entry, context, page);
+        } catch (err) {
+            entry.active--;
+            if (context) {
+                await context.close().catch(() => {});
+            }
+            this.drainWaiters();
+            throw err;
+        }
+    }
+
+    /**
+     * Wrap a page in a lease that returns it to the pool exactly once
+     * @param {Object} entry - Pool entry
+     * @param {Object} context - Browser context
+     * @param {Object} page - Page
+     * @returns {Object} Lease
+     */
+    createLease(entry, context, page) {
+        let released = false;
+        return {
+            page,
+            context,
+            release: async () => {
+                if (released) {
+                    return;
+                }
+                released = true;
+
+                try {
+                    await context.close();
+                } catch (err) {
+                    // Context is already gone if the browser crashed
+                }
+
+                entry.active--;
+                entry.captures++;
+                this.stats.captures++;
+
+                await this.maybeRecycle(entry);
+                this.drainWaiters();
+            }
+        };
+    }
+
+    /**
+     * Run a function with a pooled page and always release it
+     * @param {Function} fn - Receives the page and the lease
+     * @returns {Promise<*>} Whatever fn resolves to
+     */
+    async withPage(fn) {
+        const lease = await this.acquire();
+        try {
+            return await fn(lease.page, lease);
+        } finally {
+            await lease.release();
+        }
+    }
+
+    /**
+     * Retire a browser once it has served enough captures or grown too large
+     * @param {Object} entry - Pool entry
+     */
+    async maybeRecycle(entry) {
+        if (entry.retiring || !entry.browser.isConnected()) {
+            return;
+        }
+
+        const rssMb = getBrowserRssMb(entry.browser);
+        const tooManyCaptures = entry.captures >= this.maxCapturesPerBrowser;
+        const tooLarge = rssMb !== null && rssMb > this.maxRssMb;
+
+        if (!tooManyCaptures && !tooLarge) {
+            return;
+        }
+
+        entry.retiring = true;
+        const reason = tooLarge ? `RSS ${Math.round(rssMb)}MB > ${this.maxRssMb}MB` : `${entry.captures} captures`;
+        logger.info('Recycling browser', { reason });
+
+        // Let in-flight pages finish; the last release closes the browser
+        if (entry.active === 0) {
+            await this.closeEntry(entry);
+        }
+    }
+
+    /**
+     * Close a retired browser and drop it from the pool
+     * @param {Object} entry - Pool entry
+     */
+    async closeEntry(entry) {
+        const index = this.entries.indexOf(entry);
+        if (index !== -1) {
+            this.entries.splice(index, 1);
+        }
+        this.stats.recycled++;
+        browserRestarts.inc({ reason: 'recycle' });
+
+        try {
+            await entry.browser.close();
+            logger.debug('Browser closed');
+        } catch (err) {
+            logger.warn('Error closing browser', { error: err.message });
+        }
+
+        // Force garbage collection
+        if (global.gc) {
+            global.gc();
+        }
+    }
+
+    /**
+     * Hand free page slots to waiting acquirers, launching browsers as needed
+     */
+    drainWaiters() {
+        // Retired browsers whose last page has been released can now go
+        this.entries
+            .filter(entry => entry.retiring && entry.active === 0)
+            .forEach(entry => this.closeEntry(entry));
+
+        while (this.waiters.length > 0) {
+            const entry = this.findAvailable();
+            if (entry) {
+                // Reserve the slot now so the next waiter sees the updated count
+                entry.active++;
+                this.waiters.shift().resolve(entry);
+                continue;
+            }
+
+            if (this.entries.length + this.launching < this.maxBrowsers) {
+                const waiter = this.waiters.shift();
+                this.launchBrowser()
+                    .then(launched => {
+                        launched.active++;
+                        waiter.resolve(launched);
+                    })
+                    .catch(waiter.reject);
+                continue;
+            }
+
+            break;
+        }
+    }
+
+    /**
+     * Reject every pending acquirer
+     * @param {Error} err - Reason
+     */
+    rejectWaiters(err) {
+        const waiters = this.waiters.splice(0);
+        waiters.forEach(waiter => waiter.reject(err));
+    }
+
+    /**
+     * Snapshot of the pool state for health checks
+     * @returns {Object} Pool status
+     */
+    getStatus() {
+        return {
+            browsers: this.entries.map(entry => ({
+                activePages: entry.active,
+                captures: entry.captures,
+                retiring: entry.retiring,
+                rssMb: getBrowserRssMb(entry.browser),
+                uptime: Date.now() - entry.launchedAt,
+            })),
+            waiting: this.waiters.length,
+            ...this.stats,
+        };
+    }
+
+    /**
+     * Close every browser and refuse further acquisitions
+     */
+    async close() {
+        this.closed = true;
+        this.rejectWaiters(new Error('Browser pool is closed'));
+
+        const entries = this.entries.splice(0);
+        await Promise.all(entries.map(async entry => {
+            entry.retiring = true;
+            try {
+                await entry.browser.close();
+            } catch (err) {
+                logger.warn('Error closing browser', { error: err.message });
+            }
+        }));
+    }
+}
+
+let defaultPool = null;
+
+/**
+ * Get the process-wide shared browser pool, creating it on first use
+ * @param {Object} options - Pool options, only used when the pool is created
+ * @returns {BrowserPool} Shared pool
+ */
+function getDefaultPool(options = {}) {
+    if (!defaultPool || defaultPool.closed) {
+        defaultPool = new BrowserPool({
+            maxBrowsers: parseInt(process.env.POOL_MAX_BROWSERS) || undefined,
+            maxPagesPerBrowser: parseInt(process.env.POOL_MAX_PAGES) || undefined,
+            maxCapturesPerBrowser: parseInt(process.env.POOL_MAX_CAPTURES) || undefined,
+            maxRssMb: parseInt(process.env.POOL_MAX_RSS_MB) || undefined,
+            ...options,
+        });
+    }
+    return defaultPool;
+}
+
+registry.gauge('screenshot_browsers', 'Browsers open in the shared pool', metric => {
+    metric.set({}, defaultPool ? defaultPool.entries.length : 0);
+});
+registry.gauge('screenshot_browser_pages_active', 'Pages leased from the shared pool', metric => {
+    metric.set({}, defaultPool ? defaultPool.entries.reduce((total, entry) => total + entry.active, 0) : 0);
+});
+registry.gauge('screenshot_browser_waiting', 'Captures waiting for a page from the shared pool', metric => {
+    metric.set({}, defaultPool ? defaultPool.waiters.length : 0);
+});
+
+/**
+ * Close the shared browser pool if it was created
+ */
+async function closeDefaultPool() {
+    if (defaultPool) {
+        const pool = defaultPool;
+        defaultPool = null;
+        await pool.close();
+    }
+}
+
+module.exports = { BrowserPool, getDefaultPool, closeDefaultPool, resolveExecutablePath };
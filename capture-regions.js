@@ -0,0 +1,181 @@
+const { CaptureError } = require('./errors');
+
+// Selectors per capture; each one is a separate image
+const MAX_REGIONS = 20;
+
+// Pause after scrolling an element into view, so scroll-triggered animations and lazy images start
+const DEFAULT_SCROLL_WAIT = 300;
+
+/**
+ * Turn a selector into a file name suffix, e.g. "#pricing .plans" becomes "pricing-plans"
+ * @param {string} selector - CSS selector
+ * @param {number} index - Position in the selector list
+ * @returns {string} Name
+ */
+function regionName(selector, index) {
+    const name = selector.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    return name || `region-${index + 1}`;
+}
+
+/**
+ * Check a clip rectangle
+ * @param {Object} clip - { x, y, width, height } in CSS pixels
+ * @returns {Object} Normalized rectangle
+ */
+function normalizeClip(clip) {
+    const rect = {};
+    ['x', 'y', 'width', 'height'].forEach(key => {
+        rect[key] = Number(clip[key] !== undefined ? clip[key] : 0);
+    });
+    if (!(rect.x >= 0 && rect.y >= 0)) {
+        throw new Error('clip x and y must be zero or more');
+    }
+    if (!(rect.width > 0 && rect.height > 0)) {
+        throw new Error('clip width and height must be positive');
+    }
+    return rect;
+}
+
+/**
+ * Work out which part of the page to capture
+ * @param {Object} options - Capture options
+ * @param {string} options.selector - Capture the first element matching this selector
+ * @param {Array<string|Object>} options.selectors - One image per selector; entries are selectors or { name, selector }
+ * @param {Object} options.clip - Capture this { x, y, width, height } rectangle in CSS pixels
+ * @param {number} options.padding - Extra CSS pixels around each element or rectangle (default: 0)
+ * @param {boolean} options.scrollIntoView - Scroll each region into view and let it settle before capturing (default: true)
+ * @param {number} options.scrollWait - Pause after scrolling in ms (default: 300)
+ * @returns {Object|null} { regions, multiple, padding, scrollIntoView, scrollWait }, or null for a full-page capture
+ */
+function resolveRegionOptions(options = {}) {
+    const given = ['selector', 'selectors', 'clip'].filter(key => options[key] !== undefined && options[key] !== null);
+    if (!given.length) {
+        return null;
+    }
+    if (given.length > 1) {
+        throw new Error(`${given.join(' and ')} cannot be combined`);
+    }
+
+    let regions;
+    if (options.clip) {
+        regions = [{ name: 'clip', clip: normalizeClip(options.clip) }];
+    } else if (options.selector !== undefined) {
+        if (typeof options.selector !== 'string' || !options.selector.trim()) {
+            throw new Error('selector must be a CSS selector');
+        }
+        regions = [{ name: regionName(options.selector, 0), selector: options.selector }];
+    } else {
+        if (!Array.isArray(options.selectors) || !options.selectors.length || options.selectors.length > MAX_REGIONS) {
+            throw new Error(`selectors must list 1 to ${MAX_REGIONS} CSS selectors`);
+        }
+        regions = options.selectors.map((entry, index) => {
+            const selector = typeof entry === 'string' ? entry : entry && entry.selector;
+            if (typeof selector !== 'string' || !selector.trim()) {
+                throw new Error(`selectors[${index}] must be a CSS selector or { name, selector }`);
+            }
+            const name = typeof entry === 'string' || !entry.name ? regionName(selector, index) : entry.name;
+            if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+                throw new Error(`selectors[${index}].name may only contain letters, digits, - and _`);
+            }
+            return { name, selector };
+        });
+        const names = regions.map(region => region.name);
+        const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+        if (duplicate) {
+            throw new Error(`selectors produce the name "${duplicate}" twice, give them distinct names`);
+        }
+    }
+
+    const padding = options.padding !== undefined ? parseInt(options.padding) : 0;
+    if (!(padding >= 0)) {
+        throw new Error('padding must be zero or more pixels');
+    }
+    const scrollWait = options.scrollWait !== undefined ? parseInt(options.scrollWait) : DEFAULT_SCROLL_WAIT;
+    if (!(scrollWait >= 0)) {
+        throw new Error('scrollWait must be zero or more milliseconds');
+    }
+
+    return {
+        regions,
+        multiple: given[0] === 'selectors',
+        padding,
+        scrollIntoView: options.scrollIntoView !== false,
+        scrollWait,
+    };
+}
+
+/**
+ * Find a region on the page, scrolling it into view first
+ * @param {import('puppeteer-core').Page} page - Page
+ * @param {Object} region - Entry of resolveRegionOptions().regions
+ * @param {Object} regionOptions - From resolveRegionOptions
+ * @param {Function} settle - Waits for content loaded by the scroll, e.g. lazy images (default: none)
+ * @returns {Promise<Object>} { x, y, width, height } in document CSS pixels, padded and kept inside the page
+ */
+async function locateRegion(page, region, regionOptions, settle = null) {
+    if (regionOptions.scrollIntoView) {
+        const scrolled = await page.evaluate((selector, clip) => {
+            if (clip) {
+                window.scrollTo(clip.x, clip.y);
+                return true;
+            }
+            const element = document.querySelector(selector);
+            if (!element) {
+                return false;
+            }
+            element.scrollIntoView({ block: 'center', inline: 'nearest' });
+            return true;
+        }, region.selector || null, region.clip || null);
+        if (scrolled) {
+            await new Promise(resolve => setTimeout(resolve, regionOptions.scrollWait));
+            if (settle) {
+                await settle();
+            }
+        }
+    }
+
+    const located = await page.evaluate((selector, clip) => {
+        const documentSize = {
+            width: Math.max(document.documentElement.scrollWidth, document.body ? document.body.scrollWidth : 0),
+            height: Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0),
+        };
+        if (clip) {
+            return { box: clip, documentSize };
+        }
+        // The first visible match, so hidden mobile/desktop duplicates are skipped
+        const element = Array.from(document.querySelectorAll(selector)).find(candidate => {
+            const rect = candidate.getBoundingClientRect();
+            return rect.width > 0 && rect.height > 0 && window.getComputedStyle(candidate).visibility !== 'hidden';
+        });
+        if (!element) {
+            return { box: null, documentSize };
+        }
+        const rect = element.getBoundingClientRect();
+        return {
+            box: { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height },
+            documentSize,
+        };
+    }, region.selector || null, region.clip || null);
+
+    if (!located.box) {
+        throw new CaptureError('ELEMENT_NOT_FOUND', `No visible element matches selector: ${region.selector}`);
+    }
+
+    const { box, documentSize } = located;
+    const { padding } = regionOptions;
+    const left = Math.max(0, Math.floor(box.x - padding));
+    const top = Math.max(0, Math.floor(box.y - padding));
+    const right = Math.min(documentSize.width, Math.ceil(box.x + box.width + padding));
+    const bottom = Math.min(documentSize.height, Math.ceil(box.y + box.height + padding));
+    if (right <= left || bottom <= top) {
+        throw new CaptureError('INVALID_REQUEST', `clip is outside the ${documentSize.width}x${documentSize.height} page`);
+    }
+
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+module.exports = {
+    MAX_REGIONS,
+    resolveRegionOptions,
+    locateRegion,
+};
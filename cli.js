@@ -2,7 +2,17 @@
 const fs = require('fs');
 const path = require('path');
 const { ScreenshotQueue } = require('./queue-processor');
-const { captureScreenshot } = require('./landingsite-screenshot');
+const { captureScreenshot, captureDevices } = require('./landingsite-screenshot');
+const { closeDefaultPool } = require('./browser-pool');
+const { formatFromPath, getExtension } = require('./output-formats');
+const { resolveTarget } = require('./target-resolver');
+const { compareImages, compareWithBaseline } = require('./visual-diff');
+const { resolveRegionOptions } = require('./capture-regions');
+const { configureLogger } = require('./logger');
+const { ProfileStore } = require('./profiles');
+
+// Library logs are JSON for log collectors; on a terminal readable lines are nicer
+configureLogger({ format: process.env.LOG_FORMAT || 'pretty' });
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -16,27 +26,153 @@ Usage:
   node cli.js <command> [options]
 
 Commands:
-  capture <id>                 Capture a screenshot of a single website preview
-  batch <file>                 Process multiple website preview IDs from a file
+  capture <id|url>             Capture a screenshot of a single website preview or URL
+  batch <file>                 Process multiple website preview IDs or URLs from a file
+  diff <before> <after>        Compare two captures and write a pixel-diff image
+  diff <id|url>                Capture again and compare against the stored baseline
   help                         Show this help message
 
 Options for 'capture':
-  --output, -o <path>          Output file path (default: ./screenshot.png)
+  --output, -o <path>          Output file path (default: ./screenshot.<format>)
+  --profile <name>             Start from this capture profile (PROFILES_PATH, default ./screenshots/.state/profiles.json)
+  --format, -f <format>        png, jpeg, webp, avif or pdf (default: from output extension, else png)
+  --quality, -q <1-100>        Quality for jpeg, webp and avif (default: 80)
+  --derivatives <json>         Write hero crop, thumbnails, crops or tiles next to the capture
+  --device <name|WxH>          desktop, laptop, tablet, mobile or custom size like 1280x800 (default: desktop)
+  --devices <list>             Capture several devices, e.g. desktop,tablet,mobile (one file per device)
+  --url <url>                  Capture this URL (http://, https:// or file://) instead of an ID
+  --selector <css>             Capture only this element; repeat for one file per selector
+  --clip <x,y,width,height>    Capture only this rectangle of the page
+  --padding <px>               Extra pixels around the element or rectangle (default: 0)
+  --no-scroll                  Do not scroll the element into view before capturing
+  --resolver <name>            Resolver used to turn IDs into URLs (default: landingsite)
+  --base-url <template>        Override the resolver URL, e.g. https://staging.example.com/preview?id={id}
   --headless <true|false|new>  Run in headless mode (default: new)
   --timeout <ms>               Timeout in milliseconds (default: 300000)
+  --wait-for <list>            Readiness conditions, e.g. networkIdle,fonts,images,domStable
+  --wait-selector <css>        Also wait for this selector to be visible
+  --wait-mode <all|any>        Wait for every condition or the first one (default: all)
+  --wait-timeout <ms>          Timeout per readiness condition (default: 15000)
+  --height <auto|px>           Measure the page height (default: auto) or capture a fixed height
+  --max-height <px>            Cap the capture height (default: 16000)
+  --trim-bottom                Trim trailing background-colored rows
+  --quality-checks <mode>      warn, fail or off: what blank or broken renders do (default: warn)
+  --error-selectors <list>     Comma-separated selectors that mark an error page or stuck spinner
+  --hide <css>                 Hide matching elements, e.g. a chat widget (repeatable)
+  --remove <css>               Remove matching elements from the layout (repeatable)
+  --inject-css <file>          Inject this stylesheet after navigation
+  --inject-script <file>       Run this script in the page once it is ready
+  --disable-animations         Stop CSS animations and transitions at their end state
+  --dismiss-consent            Click the accept button of common cookie banners
+  --freeze                     Freeze Date and seed Math.random for repeatable renders
 
 Options for 'batch':
   --output-dir, -o <path>      Output directory (default: ./screenshots)
+  --profile <name>             Start from this capture profile; other options override its fields
   --concurrency, -c <number>   Number of concurrent screenshots (default: 1)
   --retries, -r <number>       Number of retry attempts (default: 3)
+  --retry-delay <ms>           Delay before the first retry, doubled per attempt with jitter (default: 1000)
+  --selector <css>             Capture only this element of every page
+  --clip <x,y,width,height>    Capture only this rectangle of every page
+  --padding <px>               Extra pixels around the element or rectangle (default: 0)
+  --format, -f <format>        png, jpeg, webp, avif or pdf (default: png)
+  --quality, -q <1-100>        Quality for jpeg, webp and avif (default: 80)
+  --derivatives <json>         Write hero crop, thumbnails, crops or tiles next to each capture
+  --device <name|WxH>          desktop, laptop, tablet, mobile or custom size like 1280x800 (default: desktop)
+  --resolver <name>            Resolver used to turn IDs into URLs (default: landingsite)
+  --base-url <template>        Override the resolver URL template
   --headless <true|false|new>  Run in headless mode (default: new)
   --timeout <ms>               Timeout in milliseconds (default: 300000)
+  --wait-for <list>            Readiness conditions, e.g. networkIdle,fonts,images,domStable
+  --wait-selector <css>        Also wait for this selector to be visible
+  --wait-mode <all|any>        Wait for every condition or the first one (default: all)
+  --wait-timeout <ms>          Timeout per readiness condition (default: 15000)
+  --height <auto|px>           Measure the page height (default: auto) or capture a fixed height
+  --max-height <px>            Cap the capture height (default: 16000)
+  --trim-bottom                Trim trailing background-colored rows
+  --quality-checks <mode>      warn, fail or off: what blank or broken renders do (default: warn)
+  --error-selectors <list>     Comma-separated selectors that mark an error page or stuck spinner
+  --hide <css>                 Hide matching elements, e.g. a chat widget (repeatable)
+  --remove <css>               Remove matching elements from the layout (repeatable)
+  --inject-css <file>          Inject this stylesheet after navigation
+  --inject-script <file>       Run this script in the page once it is ready
+  --disable-animations         Stop CSS animations and transitions at their end state
+  --dismiss-consent            Click the accept button of common cookie banners
+  --freeze                     Freeze Date and seed Math.random for repeatable renders
+
+Options for 'diff':
+  --output, -o <path>          Diff image path when comparing two files (default: ./diff.png)
+  --threshold <0-1>            Per-pixel color threshold, smaller is more sensitive (default: 0.1)
+  --include-aa                 Count anti-aliased pixels as changes
+  --update-baseline            Store the new capture as the baseline after comparing
+  Capture options (--profile, --format, --device, --url, --wait-for, ...) apply when capturing against a baseline
 
 Examples:
   node cli.js capture 884975a2-5820-48d4-b415-0f038208bcbe -o ./my-screenshot.png
+  node cli.js capture https://example.com -o ./example.webp -q 70
+  node cli.js capture https://example.com --trim-bottom --max-height 12000
+  node cli.js capture https://example.com --quality-checks fail --error-selectors '.error-page,.spinner'
+  node cli.js capture --url file:///tmp/fixture.html -o ./fixture.png
+  node cli.js capture 884975a2-5820-48d4-b415-0f038208bcbe --devices desktop,mobile
+  node cli.js capture 884975a2-5820-48d4-b415-0f038208bcbe --selector '#pricing' --selector footer --padding 16
+  node cli.js capture https://example.com --dismiss-consent --hide '#chat-widget' --disable-animations --freeze
+  node cli.js capture https://example.com --profile mobile-hero --format png
   node cli.js batch ids.txt -o ./batch-output -c 2
+  node cli.js diff ./before.png ./after.png -o ./changes.png
+  node cli.js diff 884975a2-5820-48d4-b415-0f038208bcbe --update-baseline
+  node cli.js batch ids.txt --derivatives '{"hero":true,"thumbnails":[320,640]}'
 `;
 
+// Helper function to parse a device preset name or a WIDTHxHEIGHT size
+function parseDevice(value) {
+    const size = /^(\d+)x(\d+)$/.exec(value || '');
+    return size ? { width: parseInt(size[1]), height: parseInt(size[2]) } : value;
+}
+
+// Helper function to build quality check options from --quality-checks and --error-selectors
+function qualityChecksFromOptions(options) {
+    if (!options.qualityMode && !options.errorSelectors) {
+        return undefined;
+    }
+    return { mode: options.qualityMode, errorSelectors: options.errorSelectors };
+}
+
+// Helper function to build element and region options from --selector, --clip, --padding and --no-scroll
+function regionOptionsFromOptions(options) {
+    const selectors = options.selectors || [];
+    return {
+        selector: selectors.length === 1 ? selectors[0] : undefined,
+        selectors: selectors.length > 1 ? selectors : undefined,
+        clip: options.clip,
+        padding: options.padding,
+        scrollIntoView: options.scrollIntoView,
+    };
+}
+
+// Helper function to build page preparation options from --hide, --remove, --inject-css, --inject-script and friends
+function prepareFromOptions(options) {
+    const prepare = {
+        hide: options.hide,
+        remove: options.remove,
+        css: options.injectCss ? fs.readFileSync(options.injectCss, 'utf8') : undefined,
+        script: options.injectScript ? fs.readFileSync(options.injectScript, 'utf8') : undefined,
+        disableAnimations: options.disableAnimations,
+        dismissConsent: options.dismissConsent,
+        freezeDate: options.freeze,
+        freezeRandom: options.freeze,
+    };
+    return Object.values(prepare).some(value => value !== undefined) ? prepare : undefined;
+}
+
+// Helper function to merge the --profile preset under the options given on the command line
+function withProfile(options, captureOptions) {
+    if (!options.profile) {
+        return captureOptions;
+    }
+    console.log(`Using profile: ${options.profile}`);
+    return new ProfileStore().load().apply(options.profile, captureOptions);
+}
+
 // Helper function to parse options
 function parseOptions(args, startIndex = 1) {
     const options = {};
@@ -44,7 +180,8 @@ function parseOptions(args, startIndex = 1) {
     for (let i = startIndex; i < args.length; i++) {
         const arg = args[i];
         
-        if (arg === '--output' || arg === '-o') {
+        // -o is the output file for 'capture' and the output directory for 'batch'
+        if (arg === '--output' || (arg === '-o' && command !== 'batch')) {
             options.output = args[++i];
         } else if (arg === '--output-dir' || arg === '-o') {
             options.outputDir = args[++i];
@@ -52,6 +189,8 @@ function parseOptions(args, startIndex = 1) {
             options.concurrency = parseInt(args[++i]);
         } else if (arg === '--retries' || arg === '-r') {
             options.retries = parseInt(args[++i]);
+        } else if (arg === '--retry-delay') {
+            options.retryDelay = parseInt(args[++i]);
         } else if (arg === '--headless') {
             options.headless = args[++i];
             // Convert string to boolean if needed
@@ -59,6 +198,71 @@ function parseOptions(args, startIndex = 1) {
             if (options.headless === 'false') options.headless = false;
         } else if (arg === '--timeout') {
             options.timeout = parseInt(args[++i]);
+        } else if (arg === '--format' || arg === '-f') {
+            options.format = args[++i];
+        } else if (arg === '--quality' || arg === '-q') {
+            options.quality = parseInt(args[++i]);
+        } else if (arg === '--derivatives') {
+            options.derivatives = JSON.parse(args[++i]);
+        } else if (arg === '--device') {
+            options.device = parseDevice(args[++i]);
+        } else if (arg === '--devices') {
+            options.devices = args[++i].split(',').map(parseDevice);
+        } else if (arg === '--wait-for') {
+            options.waitFor = (options.waitFor || []).concat(args[++i].split(','));
+        } else if (arg === '--wait-selector') {
+            options.waitFor = (options.waitFor || []).concat({ type: 'selector', selector: args[++i] });
+        } else if (arg === '--wait-mode') {
+            options.waitMode = args[++i];
+        } else if (arg === '--wait-timeout') {
+            options.waitTimeout = parseInt(args[++i]);
+        } else if (arg === '--height') {
+            options.height = args[++i];
+        } else if (arg === '--max-height') {
+            options.maxHeight = parseInt(args[++i]);
+        } else if (arg === '--trim-bottom') {
+            options.trimBottom = true;
+        } else if (arg === '--selector') {
+            options.selectors = (options.selectors || []).concat(args[++i]);
+        } else if (arg === '--clip') {
+            const [x, y, width, height] = args[++i].split(',').map(value => parseInt(value));
+            options.clip = { x, y, width, height };
+        } else if (arg === '--padding') {
+            options.padding = parseInt(args[++i]);
+        } else if (arg === '--no-scroll') {
+            options.scrollIntoView = false;
+        } else if (arg === '--hide') {
+            options.hide = (options.hide || []).concat(args[++i]);
+        } else if (arg === '--remove') {
+            options.remove = (options.remove || []).concat(args[++i]);
+        } else if (arg === '--inject-css') {
+            options.injectCss = args[++i];
+        } else if (arg === '--inject-script') {
+            options.injectScript = args[++i];
+        } else if (arg === '--disable-animations') {
+            options.disableAnimations = true;
+        } else if (arg === '--dismiss-consent') {
+            options.dismissConsent = true;
+        } else if (arg === '--freeze') {
+            options.freeze = true;
+        } else if (arg === '--quality-checks') {
+            options.qualityMode = args[++i];
+        } else if (arg === '--error-selectors') {
+            options.errorSelectors = args[++i].split(',').map(selector => selector.trim()).filter(Boolean);
+        } else if (arg === '--threshold') {
+            options.threshold = parseFloat(args[++i]);
+        } else if (arg === '--include-aa') {
+            options.includeAA = true;
+        } else if (arg === '--update-baseline') {
+            options.updateBaseline = true;
+        } else if (arg === '--profile') {
+            options.profile = args[++i];
+        } else if (arg === '--url') {
+            options.url = args[++i];
+        } else if (arg === '--resolver') {
+            options.resolver = args[++i];
+        } else if (arg === '--base-url') {
+            options.baseUrl = args[++i];
         }
     }
     
@@ -73,17 +277,40 @@ async function main() {
     }
     
     if (command === 'capture') {
-        const id = args[1];
-        if (!id) {
-            console.error('Error: Missing website preview ID');
+        const options = parseOptions(args);
+        const id = args[1] && !args[1].startsWith('-') ? args[1] : undefined;
+        const target = options.url || id;
+        if (!target) {
+            console.error('Error: Missing website preview ID or URL');
             console.log(helpText);
             process.exit(1);
         }
         
-        const options = parseOptions(args);
-        const outputPath = options.output || './screenshot.png';
+        // An explicit --format or output extension wins over the profile's format
+        const captureOptions = withProfile(options, {
+            headless: options.headless,
+            timeout: options.timeout,
+            format: options.format || formatFromPath(options.output) || undefined,
+            quality: options.quality,
+            derivatives: options.derivatives,
+            device: options.device,
+            devices: options.devices,
+            waitFor: options.waitFor,
+            waitMode: options.waitMode,
+            waitTimeout: options.waitTimeout,
+            height: options.height,
+            maxHeight: options.maxHeight,
+            trimBottom: options.trimBottom,
+            qualityChecks: qualityChecksFromOptions(options),
+            ...regionOptionsFromOptions(options),
+            prepare: prepareFromOptions(options),
+            resolver: options.resolver,
+            baseUrl: options.baseUrl
+        });
+        captureOptions.format = captureOptions.format || 'png';
+        const outputPath = options.output || `./screenshot.${getExtension(captureOptions.format)}`;
         
-        console.log(`Capturing screenshot for ID: ${id}`);
+        console.log(`Capturing screenshot for: ${target}`);
         console.log(`Output path: ${outputPath}`);
         
         // Create output directory if it doesn't exist
@@ -92,17 +319,33 @@ async function main() {
             fs.mkdirSync(outputDir, { recursive: true });
         }
         
-        // Capture screenshot
-        const result = await captureScreenshot(id, outputPath, {
-            headless: options.headless,
-            timeout: options.timeout
-        });
+        // Capture screenshot, once per device when --devices is given
+        const capture = captureOptions.devices ? captureDevices : captureScreenshot;
+        const result = await capture(target, outputPath, captureOptions);
+        
+        await closeDefaultPool();
         
         if (result.success) {
-            console.log(`Screenshot successfully saved to: ${outputPath}`);
+            (result.images || [result]).forEach(image => {
+                console.log(`Screenshot successfully saved to: ${image.outputPath}`);
+                if (image.region) {
+                    console.log(`- region ${image.region.name}: ${image.region.width}x${image.region.height} at ${image.region.x},${image.region.y}`);
+                }
+                if (image.dimensions) {
+                    console.log(`- size: ${image.dimensions.width}x${image.dimensions.finalHeight} (page height ${image.dimensions.measuredHeight}px)`);
+                }
+                (image.derivatives || []).forEach(derivative => {
+                    console.log(`- ${derivative.type} ${derivative.name}: ${derivative.path}`);
+                });
+                if (image.quality && !image.quality.passed) {
+                    image.quality.issues.forEach(issue => {
+                        console.warn(`- quality warning (${issue.code}): ${issue.message}`);
+                    });
+                }
+            });
             process.exit(0);
         } else {
-            console.error(`Failed to capture screenshot: ${result.error}`);
+            console.error(`Failed to capture screenshot (${result.errorCode}): ${result.error}`);
             process.exit(1);
         }
     } else if (command === 'batch') {
@@ -119,20 +362,24 @@ async function main() {
         }
         
         const options = parseOptions(args);
+        if ((options.selectors || []).length > 1) {
+            console.error('Error: batch captures one region per page, pass a single --selector');
+            process.exit(1);
+        }
         const outputDir = options.outputDir || './screenshots';
         
-        // Read IDs from file
+        // Read IDs or URLs from file
         const content = fs.readFileSync(filePath, 'utf8');
         let ids = [];
         
         try {
-            // Try parsing as JSON
+            // Try parsing as JSON (strings or { id, url } objects)
             const parsed = JSON.parse(content);
             if (Array.isArray(parsed)) {
                 ids = parsed;
             }
         } catch (e) {
-            // If not JSON, treat as one ID per line
+            // If not JSON, treat as one ID or URL per line
             ids = content.split('\n')
                 .map(line => line.trim())
                 .filter(line => line.length > 0);
@@ -150,27 +397,125 @@ async function main() {
         const queue = new ScreenshotQueue({
             outputDir,
             concurrency: options.concurrency || 1,
-            retries: options.retries || 3
+            retries: options.retries || 3,
+            retryDelay: options.retryDelay,
+            captureOptions: withProfile(options, {
+                headless: options.headless,
+                timeout: options.timeout,
+                format: options.format,
+                quality: options.quality,
+                derivatives: options.derivatives,
+                device: options.device,
+                waitFor: options.waitFor,
+                waitMode: options.waitMode,
+                waitTimeout: options.waitTimeout,
+                height: options.height,
+                maxHeight: options.maxHeight,
+                trimBottom: options.trimBottom,
+                qualityChecks: qualityChecksFromOptions(options),
+                ...regionOptionsFromOptions(options),
+                prepare: prepareFromOptions(options),
+                resolver: options.resolver,
+                baseUrl: options.baseUrl
+            })
         });
         
         // Add IDs to queue
-        ids.forEach(id => queue.addId(id));
+        queue.enqueue(ids);
         
-        // Process queue
-        await queue.processQueue();
+        // Process queue and write the report
+        const report = await queue.run();
         
-        // Generate report
-        const report = queue.generateReport();
+        await closeDefaultPool();
         
         console.log(`\nProcessing complete:`);
         console.log(`- Total: ${report.total}`);
         console.log(`- Successful: ${report.successful}`);
         console.log(`- Failed: ${report.failed}`);
-        console.log(`\nReport saved to: ${path.join(outputDir, 'report.json')}`);
+        console.log(`\nReport saved to: ${queue.reportPath}`);
         
         if (report.failed > 0) {
             process.exit(1);
         }
+    } else if (command === 'diff') {
+        const options = parseOptions(args);
+        const positional = args.slice(1, 3).filter(arg => arg && !arg.startsWith('-'));
+        const diffOptions = { threshold: options.threshold, includeAA: options.includeAA };
+        let diff;
+        
+        if (positional.length === 2) {
+            // Two existing captures
+            const missing = positional.find(filePath => !fs.existsSync(filePath));
+            if (missing) {
+                console.error(`Error: File not found: ${missing}`);
+                process.exit(1);
+            }
+            diff = await compareImages(positional[0], positional[1], options.output || './diff.png', diffOptions);
+        } else {
+            // A fresh capture against the baseline stored for its file name
+            const target = options.url || positional[0];
+            if (!target) {
+                console.error('Error: Missing two captures, or a website preview ID or URL');
+                console.log(helpText);
+                process.exit(1);
+            }
+            
+            if ((options.selectors || []).length > 1) {
+                console.error('Error: diff compares one region, pass a single --selector');
+                process.exit(1);
+            }
+            
+            const captureOptions = withProfile(options, {
+                headless: options.headless,
+                timeout: options.timeout,
+                format: options.format,
+                quality: options.quality,
+                device: options.device,
+                waitFor: options.waitFor,
+                waitMode: options.waitMode,
+                waitTimeout: options.waitTimeout,
+                height: options.height,
+                maxHeight: options.maxHeight,
+                trimBottom: options.trimBottom,
+                qualityChecks: qualityChecksFromOptions(options),
+                ...regionOptionsFromOptions(options),
+                prepare: prepareFromOptions(options),
+                resolver: options.resolver,
+                baseUrl: options.baseUrl
+            });
+            
+            // Element captures keep their own baseline next to the full page's
+            const resolved = resolveTarget(target, captureOptions);
+            const regions = resolveRegionOptions(captureOptions);
+            const key = regions ? `${resolved.key}-${regions.regions[0].name}` : resolved.key;
+            const outputPath = path.join('./screenshots', `${key}.${getExtension(captureOptions.format)}`);
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            
+            const result = await captureScreenshot(target, outputPath, captureOptions);
+            await closeDefaultPool();
+            
+            if (!result.success) {
+                console.error(`Failed to capture screenshot (${result.errorCode}): ${result.error}`);
+                process.exit(1);
+            }
+            
+            diff = await compareWithBaseline(outputPath, { ...diffOptions, updateBaseline: options.updateBaseline });
+            if (diff.baselineCreated) {
+                console.log(`No baseline yet, saved ${outputPath} as baseline: ${diff.baselinePath}`);
+                process.exit(0);
+            }
+        }
+        
+        console.log(`\nMismatch: ${diff.mismatchPercentage}% (${diff.mismatchedPixels} pixels)`);
+        console.log(`Size: ${diff.width}x${diff.height} (before ${diff.beforeHeight}px, after ${diff.afterHeight}px tall)`);
+        diff.regions.forEach(region => {
+            console.log(`- changed region at ${region.x},${region.y} size ${region.width}x${region.height}`);
+        });
+        console.log(`\nDiff image saved to: ${diff.diffPath}`);
+        if (diff.baselineUpdated) {
+            console.log(`Baseline updated: ${diff.baselinePath}`);
+        }
+        process.exit(0);
     } else {
         console.error(`Error: Unknown command: ${command}`);
         console.log(helpText);
@@ -179,7 +524,8 @@ async function main() {
 }
 
 // Run the CLI
-main().catch(error => {
+main().catch(async error => {
     console.error(`Error: ${error.message}`);
+    await closeDefaultPool();
     process.exit(1);
 });
\ No newline at end of file
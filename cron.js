@@ -0,0 +1,169 @@
+// Field ranges of a five-field cron expression: minute hour day-of-month month day-of-week
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+};
+
+// Expressions that match nothing within this many years (e.g. 30 February) are rejected
+const SEARCH_YEARS = 5;
+
+/**
+ * Turn a field value or name into a number
+ * @param {string} value - e.g. 5, mon or jan
+ * @param {Object} field - Entry from FIELDS
+ * @returns {number} Value
+ */
+function parseValue(value, field) {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    if (index !== -1) {
+        // Month names count from 1, weekday names from 0
+        return index + field.min;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${field.name}: ${value}`);
+    }
+    const number = parseInt(value);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.name} ${number} is out of range ${field.min}-${field.max}`);
+    }
+    return number;
+}
+
+/**
+ * Expand one field into the values it matches
+ * @param {string} text - e.g. *, 1-5, 0,30, mon-fri or a step such as 0-59/15
+ * @param {Object} field - Entry from FIELDS
+ * @returns {Set<number>} Matching values
+ */
+function parseField(text, field) {
+    const values = new Set();
+    text.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText);
+        if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+            throw new Error(`Invalid step in ${field.name}: ${part}`);
+        }
+
+        let from;
+        let to;
+        if (range === '*') {
+            from = field.min;
+            to = field.max;
+        } else if (range.includes('-')) {
+            [from, to] = range.split('-').map(value => parseValue(value, field));
+            if (from > to) {
+                throw new Error(`Invalid range in ${field.name}: ${range}`);
+            }
+        } else {
+            from = parseValue(range, field);
+            // 5/15 means every 15 starting at 5
+            to = stepText === undefined ? from : field.max;
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    });
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields (minute hour day-of-month month day-of-week) or a macro such as @daily
+ * @returns {Object} { expression, minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('cron expression is required');
+    }
+    const text = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    // Sunday may be written as 0 or 7
+    if (weekdays.delete(7)) {
+        weekdays.add(0);
+    }
+
+    const schedule = {
+        expression: expression.trim(),
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Like cron, a restricted day of month and day of week match when either does
+        anyDay: parts[2].startsWith('*'),
+        anyWeekday: parts[4].startsWith('*'),
+    };
+    if (!nextRun(schedule, new Date())) {
+        throw new Error(`cron expression "${expression}" never matches`);
+    }
+    return schedule;
+}
+
+/**
+ * Whether a date falls on a day the schedule runs
+ * @param {Object} schedule - From parseCron
+ * @param {Date} date - Date to check
+ * @returns {boolean} True when the day matches
+ */
+function matchesDay(schedule, date) {
+    const day = schedule.days.has(date.getDate());
+    const weekday = schedule.weekdays.has(date.getDay());
+    if (schedule.anyDay || schedule.anyWeekday) {
+        return day && weekday;
+    }
+    return day || weekday;
+}
+
+/**
+ * Find the next time a schedule runs, in the server's time zone
+ * @param {Object|string} schedule - From parseCron, or an expression
+ * @param {Date|number} after - Start looking after this time (default: now)
+ * @returns {Date|null} Next run, at a whole minute, or null when none within SEARCH_YEARS
+ */
+function nextRun(schedule, after = new Date()) {
+    const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = new Date(date);
+    limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+    // Skip whole months, days and hours that cannot match before stepping by minutes
+    while (date <= limit) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = { parseCron, nextRun };
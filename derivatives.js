@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeFormat, getExtension, resolveQuality } = require('./output-formats');
+
+// Limits that keep a single request from producing hundreds of files
+const MAX_THUMBNAILS = 10;
+const MAX_CROPS = 10;
+const MAX_TILES = 50;
+
+/**
+ * Validate and fill defaults for a derivatives spec
+ *
+ * Example spec:
+ *   {
+ *     hero: { height: 1080 },               // top-fold crop (true for the default height)
+ *     thumbnails: [320, 640],                // fixed-width resizes of the full page
+ *     crops: [{ name: 'pricing', left: 0, top: 3200, width: 1920, height: 900 }],
+ *     tiles: { height: 2000 },               // split the full page into horizontal tiles
+ *     format: 'webp', quality: 75            // output format (default: png)
+ *   }
+ *
+ * @param {Object} spec - Derivatives spec from a request
+ * @returns {Object|null} Normalized spec, or null when nothing is requested
+ */
+function normalizeDerivativeSpec(spec) {
+    if (!spec) {
+        return null;
+    }
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error('derivatives must be an object');
+    }
+
+    const format = normalizeFormat(spec.format || 'png');
+    if (format === 'pdf') {
+        throw new Error('derivatives cannot be written as pdf');
+    }
+
+    const normalized = {
+        format,
+        quality: resolveQuality(format, spec.quality),
+        hero: null,
+        thumbnails: [],
+        crops: [],
+        tiles: null
+    };
+
+    if (spec.hero) {
+        const height = spec.hero === true ? 1080 : positiveInt(spec.hero.height || 1080, 'hero.height');
+        normalized.hero = { height };
+    }
+
+    if (spec.thumbnails) {
+        if (!Array.isArray(spec.thumbnails) || spec.thumbnails.length > MAX_THUMBNAILS) {
+            throw new Error(`derivatives.thumbnails must be an array of up to ${MAX_THUMBNAILS} widths`);
+        }
+        normalized.thumbnails = spec.thumbnails.map(width => positiveInt(width, 'thumbnails width'));
+    }
+
+    if (spec.crops) {
+        if (!Array.isArray(spec.crops) || spec.crops.length > MAX_CROPS) {
+            throw new Error(`derivatives.crops must be an array of up to ${MAX_CROPS} regions`);
+        }
+        normalized.crops = spec.crops.map((crop, index) => ({
+            name: String(crop.name || index + 1).replace(/[^a-zA-Z0-9_-]/g, '-'),
+            left: nonNegativeInt(crop.left || 0, 'crop.left'),
+            top: nonNegativeInt(crop.top || 0, 'crop.top'),
+            width: positiveInt(crop.width, 'crop.width'),
+            height: positiveInt(crop.height, 'crop.height')
+        }));
+    }
+
+    if (spec.tiles) {
+        normalized.tiles = { height: positiveInt(spec.tiles.height, 'tiles.height') };
+    }
+
+    return normalized;
+}
+
+/**
+ * Parse a positive integer or throw
+ * @param {*} value - Value to parse
+ * @param {string} name - Field name for the error message
+ * @returns {number} Integer > 0
+ */
+function positiveInt(value, name) {
+    const number = parseInt(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        throw new Error(`derivatives ${name} must be a positive integer`);
+    }
+    return number;
+}
+
+/**
+ * Parse a non-negative integer or throw
+ * @param {*} value - Value to parse
+ * @param {string} name - Field name for the error message
+ * @returns {number} Integer >= 0
+ */
+function nonNegativeInt(value, name) {
+    const number = parseInt(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`derivatives ${name} must be a non-negative integer`);
+    }
+    return number;
+}
+
+/**
+ * Write derivative images next to a capture
+ * @param {string} sourcePath - The full-page capture, e.g. screenshots/abc.png
+ * @param {Object} spec - Normalized derivatives spec
+ * @returns {Promise<Array<Object>>} { type, name, path, width, height } for every file written
+ */
+async function generateDerivatives(sourcePath, spec) {
+    // Loaded lazily so the native module is only paid for when it is needed
+    const sharp = require('sharp');
+
+    const { width, height } = await sharp(sourcePath, { limitInputPixels: false }).metadata();
+    const base = sourcePath.slice(0, -path.extname(sourcePath).length);
+    const extension = getExtension(spec.format);
+    const results = [];
+
+    const write = async (type, name, region, resizeWidth) => {
+        const outputPath = `${base}-${name}.${extension}`;
+        let image = sharp(sourcePath, { limitInputPixels: false });
+        if (region) {
+            image = image.extract(region);
+        }
+        if (resizeWidth) {
+            image = image.resize({ width: resizeWidth, withoutEnlargement: true });
+        }
+        // Written under a temporary name so a previous derivative is replaced atomically
+        const tmpPath = `${outputPath}.${process.pid}.tmp`;
+        const info = await image
+            .toFormat(spec.format, { quality: spec.quality })
+            .toFile(tmpPath);
+        fs.renameSync(tmpPath, outputPath);
+        results.push({ type, name, path: outputPath, width: info.width, height: info.height });
+    };
+
+    if (spec.hero) {
+        await write('hero', 'hero', { left: 0, top: 0, width, height: Math.min(spec.hero.height, height) });
+    }
+
+    for (const thumbnailWidth of spec.thumbnails) {
+        await write('thumbnail', `w${thumbnailWidth}`, null, thumbnailWidth);
+    }
+
+    for (const crop of spec.crops) {
+        // Clamp the region to the image so a slightly-off crop still succeeds
+        const left = Math.min(crop.left, width - 1);
+        const top = Math.min(crop.top, height - 1);
+        await write('crop', `crop-${crop.name}`, {
+            left,
+            top,
+            width: Math.min(crop.width, width - left),
+            height: Math.min(crop.height, height - top)
+        });
+    }
+
+    if (spec.tiles) {
+        const count = Math.ceil(height / spec.tiles.height);
+        if (count > MAX_TILES) {
+            throw new Error(`Tiling would produce ${count} tiles (max ${MAX_TILES}), use a larger tiles.height`);
+        }
+        for (let i = 0; i < count; i++) {
+            const top = i * spec.tiles.height;
+            await write('tile', `tile-${i + 1}`, { left: 0, top, width, height: Math.min(spec.tiles.height, height - top) });
+        }
+    }
+
+    return results;
+}
+
+module.exports = { normalizeDerivativeSpec, generateDerivatives };
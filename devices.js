@@ -0,0 +1,129 @@
+// Desktop user agent (macOS Chrome), used by every non-mobile preset
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+/**
+ * Named device presets
+ */
+const DEVICE_PRESETS = {
+    desktop: {
+        width: 1920,
+        height: 1200,
+        deviceScaleFactor: 1,
+        isMobile: false,
+        hasTouch: false,
+        userAgent: DESKTOP_USER_AGENT,
+    },
+    laptop: {
+        width: 1440,
+        height: 900,
+        deviceScaleFactor: 1,
+        isMobile: false,
+        hasTouch: false,
+        userAgent: DESKTOP_USER_AGENT,
+    },
+    tablet: {
+        width: 820,
+        height: 1180,
+        deviceScaleFactor: 2,
+        isMobile: true,
+        hasTouch: true,
+        userAgent: 'Mozilla/5.0 (iPad; CPU OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1',
+    },
+    mobile: {
+        width: 390,
+        height: 844,
+        deviceScaleFactor: 3,
+        isMobile: true,
+        hasTouch: true,
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1',
+    },
+};
+
+// Bounds for custom dimensions
+const MAX_WIDTH = 3840;
+const MAX_SCALE_FACTOR = 4;
+
+// Most devices one call may render
+const MAX_DEVICES = 5;
+
+/**
+ * Resolve a device preset name or custom spec into viewport settings
+ * @param {string|Object} device - Preset name, or { preset, name, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent }
+ * @returns {Object} Device with name, viewport and user agent (default: desktop)
+ */
+function resolveDevice(device) {
+    if (!device) {
+        return { name: 'desktop', ...DEVICE_PRESETS.desktop };
+    }
+
+    if (typeof device === 'string') {
+        // Own keys only, so names like `constructor` from the CLI are not taken from Object.prototype
+        const preset = Object.hasOwn(DEVICE_PRESETS, device.toLowerCase()) ? DEVICE_PRESETS[device.toLowerCase()] : null;
+        if (!preset) {
+            throw new Error(`Unknown device: ${device} (expected one of ${Object.keys(DEVICE_PRESETS).join(', ')})`);
+        }
+        return { name: device.toLowerCase(), ...preset };
+    }
+
+    if (typeof device !== 'object') {
+        throw new Error('device must be a preset name or an object');
+    }
+
+    // Custom dimensions, optionally starting from a preset
+    const base = device.preset ? resolveDevice(device.preset) : resolveDevice('desktop');
+    const resolved = {
+        ...base,
+        width: device.width !== undefined ? parseInt(device.width) : base.width,
+        height: device.height !== undefined ? parseInt(device.height) : base.height,
+        deviceScaleFactor: device.deviceScaleFactor !== undefined ? Number(device.deviceScaleFactor) : base.deviceScaleFactor,
+        isMobile: device.isMobile !== undefined ? Boolean(device.isMobile) : base.isMobile,
+        hasTouch: device.hasTouch !== undefined ? Boolean(device.hasTouch) : base.hasTouch,
+        userAgent: device.userAgent || base.userAgent,
+    };
+
+    if (!(resolved.width > 0 && resolved.width <= MAX_WIDTH) || !(resolved.height > 0)) {
+        throw new Error(`Device width must be 1-${MAX_WIDTH} and height must be positive`);
+    }
+    if (!(resolved.deviceScaleFactor > 0 && resolved.deviceScaleFactor <= MAX_SCALE_FACTOR)) {
+        throw new Error(`Device deviceScaleFactor must be between 0 and ${MAX_SCALE_FACTOR}`);
+    }
+
+    resolved.name = String(device.name || `${resolved.width}x${resolved.height}`).replace(/[^a-zA-Z0-9_-]/g, '-');
+    return resolved;
+}
+
+/**
+ * Resolve a list of devices for a multi-viewport capture
+ * @param {Array<string|Object>} devices - Preset names or custom specs
+ * @returns {Array<Object>} Resolved devices with unique names
+ */
+function resolveDevices(devices) {
+    if (!Array.isArray(devices) || devices.length === 0 || devices.length > MAX_DEVICES) {
+        throw new Error(`devices must be an array of 1-${MAX_DEVICES} presets or custom devices`);
+    }
+
+    const resolved = devices.map(resolveDevice);
+    const names = resolved.map(device => device.name);
+    if (new Set(names).size !== names.length) {
+        throw new Error('devices must have unique names');
+    }
+    return resolved;
+}
+
+/**
+ * Get the viewport settings for puppeteer's page.setViewport
+ * @param {Object} device - Resolved device
+ * @param {number} height - Override the viewport height
+ * @returns {Object} Viewport
+ */
+function toViewport(device, height) {
+    return {
+        width: device.width,
+        height: height || device.height,
+        deviceScaleFactor: device.deviceScaleFactor,
+        isMobile: device.isMobile,
+        hasTouch: device.hasTouch,
+    };
+}
+
+module.exports = { DEVICE_PRESETS, resolveDevice, resolveDevices, toViewport };
@@ -0,0 +1,152 @@
+/**
+ * Capture error codes, whether a retry can help, and the HTTP status the API answers with
+ */
+const ERROR_CODES = {
+    INVALID_REQUEST: { retryable: false, httpStatus: 400, description: 'Bad target or capture options' },
+    PREVIEW_NOT_FOUND: { retryable: false, httpStatus: 404, description: 'The page answered 404 or 410' },
+    HTTP_CLIENT_ERROR: { retryable: false, httpStatus: 502, description: 'The page answered with another 4xx status' },
+    HTTP_SERVER_ERROR: { retryable: true, httpStatus: 502, description: 'The page answered with a 5xx status' },
+    DNS_FAILURE: { retryable: false, httpStatus: 502, description: 'The host name does not resolve' },
+    CONNECTION_FAILED: { retryable: true, httpStatus: 502, description: 'Connection refused, reset or failed TLS' },
+    NAVIGATION_TIMEOUT: { retryable: true, httpStatus: 504, description: 'The page did not load within the timeout' },
+    BROWSER_CRASH: { retryable: true, httpStatus: 503, description: 'The page or browser crashed or disconnected' },
+    OUT_OF_MEMORY: { retryable: true, httpStatus: 503, description: 'The browser or the service ran out of memory' },
+    ELEMENT_NOT_FOUND: { retryable: true, httpStatus: 422, description: 'No visible element matched the requested selector' },
+    BLANK_PAGE: { retryable: true, httpStatus: 422, description: 'The page rendered blank' },
+    BROKEN_RENDER: { retryable: true, httpStatus: 422, description: 'An error selector was visible, or images or scripts failed' },
+    WIDTH_MISMATCH: { retryable: false, httpStatus: 422, description: 'The images of a diff have different widths' },
+    CAPTURE_FAILED: { retryable: true, httpStatus: 500, description: 'Any other failure' },
+};
+
+// 408 and 429 are the page asking us to come back later
+const RETRYABLE_CLIENT_STATUS = [408, 425, 429];
+
+/**
+ * An error with a code from ERROR_CODES
+ */
+class CaptureError extends Error {
+    /**
+     * Create a capture error
+     * @param {string} code - Key of ERROR_CODES
+     * @param {string} message - Human readable message
+     * @param {Object} details - Extra details
+     * @param {boolean} details.retryable - Override the code's default
+     * @param {number} details.statusCode - HTTP status the page answered with
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'CaptureError';
+        this.code = ERROR_CODES[code] ? code : 'CAPTURE_FAILED';
+        this.retryable = details.retryable !== undefined ? details.retryable : ERROR_CODES[this.code].retryable;
+        this.statusCode = details.statusCode;
+    }
+}
+
+/**
+ * Build the error for a page that answered with an HTTP error status
+ * @param {number} status - HTTP status
+ * @param {string} url - Page URL
+ * @returns {CaptureError} Classified error
+ */
+function httpStatusError(status, url) {
+    if (status === 404 || status === 410) {
+        return new CaptureError('PREVIEW_NOT_FOUND', `Page not found (HTTP ${status}): ${url}`, { statusCode: status });
+    }
+    if (status < 500) {
+        return new CaptureError('HTTP_CLIENT_ERROR', `Page answered HTTP ${status}: ${url}`, {
+            statusCode: status,
+            retryable: RETRYABLE_CLIENT_STATUS.includes(status)
+        });
+    }
+    return new CaptureError('HTTP_SERVER_ERROR', `Page answered HTTP ${status}: ${url}`, { statusCode: status });
+}
+
+/**
+ * Turn any error thrown while capturing into a CaptureError
+ * @param {Error|string} error - Thrown error or message
+ * @returns {CaptureError} Classified error (the same object if already classified)
+ */
+function classifyError(error) {
+    if (error instanceof CaptureError) {
+        return error;
+    }
+
+    const message = String(error && error.message !== undefined ? error.message : error);
+    const classified = code => {
+        const captureError = new CaptureError(code, message);
+        if (error && error.stack) {
+            captureError.stack = error.stack;
+        }
+        return captureError;
+    };
+
+    if (/out of memory|ENOMEM|Allocation failed|heap limit/i.test(message)) {
+        return classified('OUT_OF_MEMORY');
+    }
+    if (/ERR_NAME_NOT_RESOLVED|ENOTFOUND|EAI_AGAIN/i.test(message)) {
+        return classified('DNS_FAILURE');
+    }
+    if (/ERR_CONNECTION|ERR_SSL|ERR_CERT|ERR_ADDRESS_UNREACHABLE|ERR_INTERNET_DISCONNECTED|ERR_EMPTY_RESPONSE|ECONNREFUSED|ECONNRESET/i.test(message)) {
+        return classified('CONNECTION_FAILED');
+    }
+    if ((error && error.name === 'TimeoutError') || /timeout|timed out/i.test(message)) {
+        return classified('NAVIGATION_TIMEOUT');
+    }
+    if (/Target closed|Page crashed|Session closed|Protocol error|browser has disconnected|Browser pool is closed|Failed to launch|executablePath/i.test(message)) {
+        return classified('BROWSER_CRASH');
+    }
+    return classified('CAPTURE_FAILED');
+}
+
+/**
+ * HTTP status for an API response to a failed capture
+ * @param {string} code - Error code
+ * @returns {number} HTTP status
+ */
+function httpStatusFor(code) {
+    return (ERROR_CODES[code] || ERROR_CODES.CAPTURE_FAILED).httpStatus;
+}
+
+/**
+ * Resolve retry options
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Attempts per item (default: 3)
+ * @param {number} options.retryDelay - Delay before the first retry in ms (default: RETRY_BASE_DELAY env or 1000)
+ * @param {number} options.maxRetryDelay - Longest delay between attempts in ms (default: RETRY_MAX_DELAY env or 30000)
+ * @returns {Object} { retries, retryDelay, maxRetryDelay }
+ */
+function resolveRetryPolicy(options = {}) {
+    const number = (value, envValue, fallback) => {
+        const parsed = parseInt(value !== undefined ? value : envValue);
+        return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+    };
+    return {
+        retries: Math.max(1, number(options.retries, undefined, 3)),
+        retryDelay: number(options.retryDelay, process.env.RETRY_BASE_DELAY, 1000),
+        maxRetryDelay: number(options.maxRetryDelay, process.env.RETRY_MAX_DELAY, 30000),
+    };
+}
+
+/**
+ * Delay before retrying after a failed attempt: exponential backoff with jitter
+ *
+ * Half of the delay is fixed and half random, so retries from parallel workers spread out.
+ *
+ * @param {Object} policy - From resolveRetryPolicy
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @returns {number} Delay in ms
+ */
+function retryDelay(policy, attempt) {
+    const delay = Math.min(policy.maxRetryDelay, policy.retryDelay * Math.pow(2, attempt - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+module.exports = {
+    ERROR_CODES,
+    CaptureError,
+    classifyError,
+    httpStatusError,
+    httpStatusFor,
+    resolveRetryPolicy,
+    retryDelay,
+};
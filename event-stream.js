@@ -0,0 +1,54 @@
+// Comment lines sent while nothing happens, so proxies (Render closes idle connections) keep the stream open
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 15000;
+
+/**
+ * Start a Server-Sent Events response
+ * @param {Object} req - Express request; the stream ends when the client disconnects
+ * @param {Object} res - Express response
+ * @param {Function} onClose - Called once when the stream ends, to remove listeners (default: none)
+ * @returns {Object} { send(type, data, id), close(), lastEventId }; lastEventId is what a reconnecting client saw last, or 0
+ */
+function openEventStream(req, res, onClose = null) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stops nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    const close = () => {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        clearInterval(heartbeat);
+        if (onClose) {
+            onClose();
+        }
+        res.end();
+    };
+    req.on('close', close);
+
+    return {
+        lastEventId: parseInt(req.get('last-event-id')) || 0,
+        send(type, data, id = null) {
+            if (closed) {
+                return;
+            }
+            const lines = [];
+            if (id !== null) {
+                lines.push(`id: ${id}`);
+            }
+            lines.push(`event: ${type}`, `data: ${JSON.stringify(data)}`);
+            res.write(`${lines.join('\n')}\n\n`);
+        },
+        close,
+    };
+}
+
+module.exports = { openEventStream };
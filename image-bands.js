@@ -0,0 +1,34 @@
+/**
+ * Decode an image once, streaming it into a tiled TIFF whose bands can be read
+ * back without decoding the rows above them again (extracting from a PNG
+ * decodes every row above the band, so band-by-band scans turn quadratic)
+ * @param {Object} sharp - sharp module
+ * @param {string|Buffer} input - Image file or data
+ * @param {string} tilePath - Where to write the TIFF
+ * @returns {Promise<string>} tilePath
+ */
+async function decodeToTiles(sharp, input, tilePath) {
+    await sharp(input, { limitInputPixels: false, sequentialRead: true })
+        .ensureAlpha()
+        .tiff({ compression: 'deflate', tile: true })
+        .toFile(tilePath);
+    return tilePath;
+}
+
+/**
+ * Read a horizontal band of RGBA pixels from a TIFF written by decodeToTiles
+ * @param {Object} sharp - sharp module
+ * @param {string} tilePath - TIFF
+ * @param {number} width - Image width
+ * @param {number} top - First row
+ * @param {number} rows - Number of rows
+ * @returns {Promise<Buffer>} Raw RGBA pixels
+ */
+function readBand(sharp, tilePath, width, top, rows) {
+    return sharp(tilePath, { limitInputPixels: false })
+        .extract({ left: 0, top, width, height: rows })
+        .raw()
+        .toBuffer();
+}
+
+module.exports = { decodeToTiles, readBand };
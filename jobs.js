@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { registry } = require('./metrics');
+
+// Events kept per job so late subscribers can replay them
+const MAX_EVENTS = 100;
+
+// Jobs in this process, read when metrics are scraped
+const registries = new Set();
+
+registry.gauge('screenshot_jobs', 'Async capture jobs held in memory, by status', metric => {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+    registries.forEach(jobs => jobs.jobs.forEach(job => {
+        counts[job.status]++;
+    }));
+    Object.entries(counts).forEach(([status, count]) => metric.set({ status }, count));
+});
+
+/**
+ * In-memory registry of asynchronous capture jobs
+ *
+ * Each job keeps its status, current stage and result, plus a short event history. Listeners
+ * subscribe per job ID with on(jobId, handler) and receive { id, type, data, time } events:
+ * 'queued', 'progress', then 'completed' or 'failed'. Jobs are kept for `ttlMs` after finishing
+ * and do not survive a restart; batches are persisted separately by the batch store.
+ */
+class JobRegistry extends EventEmitter {
+    /**
+     * Create a job registry
+     * @param {Object} options - Registry options
+     * @param {number} options.ttlMs - Keep finished jobs this long (default: JOB_TTL_MS env or 3600000)
+     * @param {number} options.maxJobs - Drop the oldest finished jobs beyond this many (default: JOB_MAX env or 1000)
+     */
+    constructor(options = {}) {
+        super();
+        this.ttlMs = parseInt(options.ttlMs || process.env.JOB_TTL_MS) || 3600000;
+        this.maxJobs = parseInt(options.maxJobs || process.env.JOB_MAX) || 1000;
+        this.jobs = new Map();
+        this.queueLookups = new Map();
+        // Every open event stream listens on one job
+        this.setMaxListeners(0);
+        registries.add(this);
+    }
+
+    /**
+     * Register a new job
+     * @param {Object} details - Stored with the job, e.g. { type, id, url }
+     * @returns {Object} Job record
+     */
+    create(details = {}) {
+        this.prune();
+        const job = {
+            jobId: crypto.randomUUID(),
+            ...details,
+            status: 'queued',
+            stage: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            queue: null,
+            result: null,
+            events: [],
+        };
+        this.jobs.set(job.jobId, job);
+        return job;
+    }
+
+    /**
+     * Look up a job
+     * @param {string} jobId - Job ID
+     * @returns {Object|null} Job record
+     */
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    /**
+     * Append an event to a job's history and tell its listeners
+     * @param {Object} job - Job record
+     * @param {string} type - queued, progress, completed or failed
+     * @param {Object} data - Event payload
+     * @returns {Object} The event
+     */
+    record(job, type, data) {
+        const previous = job.events[job.events.length - 1];
+        const event = { id: previous ? previous.id + 1 : 1, type, data, time: Date.now() };
+        job.events.push(event);
+        if (job.events.length > MAX_EVENTS) {
+            job.events.shift();
+        }
+        this.emit(job.jobId, event);
+        return event;
+    }
+
+    /**
+     * Note where a job sits in the capture queue
+     * @param {Object} job - Job record
+     * @param {Object} queue - { position, etaMs } when it was queued; position 0 means it started right away
+     * @param {Function} lookup - Returns the current { state, position, etaMs } while the job waits (default: none)
+     */
+    queued(job, queue, lookup = null) {
+        job.queue = { position: queue.position || 0, etaMs: queue.etaMs };
+        if (lookup) {
+            this.queueLookups.set(job.jobId, lookup);
+        }
+        this.record(job, 'queued', job.queue);
+    }
+
+    /**
+     * Record a capture stage; the first one marks the job running
+     * @param {Object} job - Job record
+     * @param {Object} event - { stage, ... } from the capture's onProgress
+     */
+    progress(job, event) {
+        if (job.status === 'queued') {
+            job.status = 'running';
+            job.startedAt = Date.now();
+            this.queueLookups.delete(job.jobId);
+        }
+        job.stage = event.stage;
+        this.record(job, 'progress', event);
+    }
+
+    /**
+     * Store a job's result and tell listeners it finished
+     * @param {Object} job - Job record
+     * @param {Object} result - Response body, with `success`
+     */
+    finish(job, result) {
+        job.status = result.success ? 'completed' : 'failed';
+        job.startedAt = job.startedAt || Date.now();
+        job.finishedAt = Date.now();
+        job.result = result;
+        this.queueLookups.delete(job.jobId);
+        this.record(job, job.status, result);
+    }
+
+    /**
+     * Shape a job for API responses
+     * @param {Object} job - Job record
+     * @returns {Object} Job without its event history, with the current queue position while it waits
+     */
+    view(job) {
+        const { events, ...rest } = job;
+        const lookup = this.queueLookups.get(job.jobId);
+        const queue = lookup ? lookup() : job.queue;
+        return {
+            ...rest,
+            queue: queue ? { position: queue.position || 0, etaMs: queue.etaMs } : null,
+            durationMs: job.finishedAt ? job.finishedAt - job.createdAt : null,
+        };
+    }
+
+    /**
+     * Drop finished jobs past their TTL, then the oldest finished ones beyond maxJobs
+     */
+    prune() {
+        const cutoff = Date.now() - this.ttlMs;
+        const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+        finished.forEach(job => {
+            if (job.finishedAt < cutoff) {
+                this.jobs.delete(job.jobId);
+            }
+        });
+        // Map order is creation order, so the first finished jobs are the oldest
+        for (const job of finished) {
+            if (this.jobs.size < this.maxJobs) {
+                break;
+            }
+            this.jobs.delete(job.jobId);
+        }
+    }
+}
+
+module.exports = { JobRegistry };
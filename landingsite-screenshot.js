@@ -1,99 +1,156 @@
-const puppeteer = require('puppeteer-core');
 const fs = require('fs');
 const path = require('path');
+const { getDefaultPool } = require('./browser-pool');
+const { resolveTarget } = require('./target-resolver');
+const { FORMATS, normalizeFormat, formatFromPath, getContentType, resolveQuality, convertImage } = require('./output-formats');
+const { normalizeDerivativeSpec, generateDerivatives } = require('./derivatives');
+const { resolveDevice, resolveDevices, toViewport } = require('./devices');
+const { resolveReadiness, waitForReadiness } = require('./readiness');
+const { measurePageHeight, resolveHeightOptions, chooseCaptureHeight, trimBottom } = require('./page-height');
+const { logger } = require('./logger');
+const { activeCaptures, recordCapture } = require('./metrics');
+const { classifyError, httpStatusError } = require('./errors');
+const { resolveQualityChecks, monitorPage, findErrorSelectors, evaluateQuality, qualityError } = require('./render-checks');
+const { resolveRegionOptions, locateRegion } = require('./capture-regions');
+const { resolvePrepareOptions, installDeterminism, forceDesktopLayout, applyPageStyles, preparePage } = require('./page-prep');
 
 /**
- * Captures a screenshot of a landingsite.ai website preview
- * @param {string} id - The website preview ID
+ * Captures a screenshot of a landingsite.ai website preview or any other URL
+ * @param {string|Object} target - Preview ID, full URL (http(s):// or file://), or { id, url, resolver }
  * @param {string} outputPath - Path to save the screenshot
  * @param {Object} options - Additional options
+ * @param {string} options.resolver - Resolver used for bare IDs (default: landingsite)
+ * @param {string} options.baseUrl - Override the resolver's URL template, e.g. a staging host
+ * @param {boolean} options.allowFileUrls - Accept file:// URLs (default: true)
+ * @param {string} options.format - png, jpeg, webp, avif or pdf (default: inferred from outputPath, else png)
+ * @param {number} options.quality - Quality 1-100 for jpeg, webp and avif (default: 80)
+ * @param {string|Object} options.device - desktop, laptop, tablet, mobile or custom { width, height, ... } (default: desktop)
+ * @param {Array<string|Object>} options.waitFor - Readiness conditions: networkIdle, images, fonts, domStable,
+ *   { type: 'selector', selector }, { type: 'function', expression } (default: networkIdle, fonts, images, domStable)
+ * @param {string} options.waitMode - 'all' waits for every condition, 'any' for the first (default: all)
+ * @param {number} options.waitTimeout - Per-condition timeout in ms (default: 15000)
+ * @param {number} options.waitTime - Legacy fixed wait in ms, used only when waitFor is not given
+ * @param {number|string} options.height - 'auto' to measure the page (default), or a fixed height in CSS pixels
+ * @param {number} options.templateHeight - Legacy alias for a fixed height
+ * @param {number} options.maxHeight - Cap on the capture height in CSS pixels (default: 16000)
+ * @param {boolean} options.trimBottom - Trim trailing background-colored rows (default: false)
+ * @param {number} options.trimTolerance - Per-channel color tolerance when trimming (default: 8)
+ * @param {string} options.selector - Capture only the first visible element matching this selector
+ * @param {Array<string|Object>} options.selectors - Capture one image per selector (or { name, selector }), written as `<name>-<selector name>.<ext>`
+ * @param {Object} options.clip - Capture only this { x, y, width, height } rectangle of the page, in CSS pixels
+ * @param {number} options.padding - Extra CSS pixels around the element or rectangle (default: 0)
+ * @param {boolean} options.scrollIntoView - Scroll each element into view and wait for lazy content before capturing (default: true)
+ * @param {number} options.scrollWait - Pause after scrolling an element into view in ms (default: 300)
+ * @param {Object} options.prepare - Page preparation: { hide, remove, css, script, disableAnimations, dismissConsent,
+ *   freezeDate, freezeRandom } (see page-prep.js)
+ * @param {Object|string} options.qualityChecks - Blank/broken render checks: 'warn', 'fail', 'off' or
+ *   { mode, uniformRatio, minContentHeight, maxFailedImages, maxPageErrors, errorSelectors } (see render-checks.js)
+ * @param {Object} options.derivatives - Hero crop, thumbnails, crops and tiles to write next to the capture (see derivatives.js)
+ * @param {boolean} options.store - Write the capture to outputPath (default: true); when false nothing is written
+ *   and each image carries its bytes as `data` with `outputPath` null
+ * @param {import('./browser-pool').BrowserPool} options.pool - Browser pool to draw pages from (default: shared pool)
+ * @param {import('./screenshot-store').ScreenshotStore} options.versionStore - Keep a versioned copy of every capture (default: none)
+ * @param {import('./logger').Logger} options.logger - Logger carrying request context, e.g. the request or batch ID (default: root logger)
+ * @param {Function} options.onProgress - Called with { stage, device, ... } as the capture moves through
+ *   launching, navigating, waiting, scrolling, capturing and saving (default: none)
+ * @returns {Promise<Object>} Result object with success status; failures carry `error`, `errorCode` (see errors.js) and `retryable`.
+ *   Selector lists list their images under `images`
+ */
+async function captureScreenshot(target, outputPath, options = {}) {
+    const start = process.hrtime.bigint();
+    activeCaptures.inc();
+    try {
+        const result = await performCapture(target, outputPath, options);
+        recordCapture(result, Number(process.hrtime.bigint() - start) / 1e9);
+        return result;
+    } finally {
+        activeCaptures.dec();
+    }
+}
+
+/**
+ * Run one capture; see captureScreenshot for the options
+ * @param {string|Object} target - Preview ID, full URL, or { id, url, resolver }
+ * @param {string} outputPath - Path to save the screenshot
+ * @param {Object} options - Capture options
  * @returns {Promise<Object>} Result object with success status
  */
-async function captureScreenshot(id, outputPath, options = {}) {
-    const url = `https://app.landingsite.ai/website-preview?id=${id}`;
-    console.log(`Processing: ${id} at URL: ${url}`);
+async function performCapture(target, outputPath, options) {
+    let log = options.logger || logger;
+    let resolved;
+    let format;
+    let derivatives;
+    let device;
+    let readiness;
+    let heightOptions;
+    let qualityChecks;
+    let regionOptions;
+    let prepare;
+    try {
+        resolved = resolveTarget(target, options);
+        device = resolveDevice(options.device);
+        readiness = resolveReadiness(options);
+        heightOptions = resolveHeightOptions(options);
+        qualityChecks = resolveQualityChecks(options.qualityChecks);
+        regionOptions = resolveRegionOptions(options);
+        prepare = resolvePrepareOptions(options.prepare);
+        format = normalizeFormat(options.format || formatFromPath(outputPath));
+        derivatives = normalizeDerivativeSpec(options.derivatives);
+        if (derivatives && format === 'pdf') {
+            throw new Error('derivatives require an image format, not pdf');
+        }
+        if (regionOptions && format === 'pdf') {
+            throw new Error('selector, selectors and clip require an image format, not pdf');
+        }
+        if (derivatives && regionOptions && regionOptions.multiple) {
+            throw new Error('derivatives need a single image, use selector instead of selectors');
+        }
+        if (derivatives && options.store === false) {
+            throw new Error('derivatives are written to disk and cannot be combined with store: false');
+        }
+    } catch (error) {
+        log.warn('Invalid capture request', { error: error.message });
+        return {
+            success: false,
+            error: error.message,
+            errorCode: 'INVALID_REQUEST',
+            retryable: false,
+            id: typeof target === 'string' ? target : null
+        };
+    }
+    
+    const { key: id, url } = resolved;
+    log = log.child({ previewId: id, device: device.name });
+    log.info('Capturing screenshot', { url, outputPath });
     
     // Default options
     const opts = {
         timeout: options.timeout || 60000, // 60 seconds default timeout
         headless: options.headless !== undefined ? options.headless : 'new',
-        waitTime: options.waitTime || 15000, // 15 seconds default wait time
-        templateHeight: options.templateHeight || 9500, // Increased to capture full footer
+        format,
+        quality: resolveQuality(format, options.quality),
+        device,
     };
     
-    let browser;
-    try {
-        // Memory-efficient configuration
-        const launchOptions = {
-            headless: opts.headless,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--disable-gpu',
-                '--window-size=1920,1920',
-                '--hide-scrollbars',
-                '--disable-extensions',
-                '--disable-component-extensions-with-background-pages',
-                '--disable-default-apps',
-                '--mute-audio',
-                '--js-flags=--max-old-space-size=512', // Limit JS memory
-                '--single-process', // Use single process
-                '--disable-browser-side-navigation',
-                '--disable-features=site-per-process',
-                '--disable-features=BlinkGenPropertyTrees',
-                '--disable-translate',
-                '--disable-sync',
-            ],
-            defaultViewport: {
-                width: 1920,
-                height: 1200, // Keep smaller initial viewport height
-                deviceScaleFactor: 1,
-            },
-            ignoreHTTPSErrors: true,
-            timeout: opts.timeout,
-            dumpio: false, // Don't pipe browser process stdout/stderr
-            handleSIGINT: true,
-            handleSIGTERM: true,
-            handleSIGHUP: true,
-        };
-        
-        // Check if we're running in a cloud environment (like Render.com)
-        const isCloudEnvironment = process.env.RENDER || process.env.CLOUD_ENV;
-        
-        // If we're in a cloud environment, use the installed Chrome
-        if (isCloudEnvironment) {
-            console.log('Running in cloud environment, using installed Chrome');
-            launchOptions.executablePath = process.env.CHROME_PATH || '/usr/bin/google-chrome-stable';
-            // Force headless in cloud environments
-            launchOptions.headless = 'new';
-        } else {
-            // For local development, try to find Chrome in standard locations
-            const possiblePaths = {
-                darwin: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-                win32: 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-                linux: '/usr/bin/google-chrome',
-            };
-            
-            const platform = process.platform;
-            if (possiblePaths[platform]) {
-                const chromePath = possiblePaths[platform];
-                if (fs.existsSync(chromePath)) {
-                    console.log(`Using Chrome at: ${chromePath}`);
-                    launchOptions.executablePath = chromePath;
-                } else {
-                    console.warn(`Chrome not found at ${chromePath}, falling back to puppeteer's bundled Chromium`);
-                }
-            }
+    const pool = options.pool || getDefaultPool({ headless: opts.headless });
+    const store = options.store !== false;
+    const progress = (stage, details = {}) => {
+        if (options.onProgress) {
+            options.onProgress({ stage, device: device.name, ...details });
         }
-        
-        // Launch browser with minimal memory usage
-        console.log('Launching browser with memory-efficient settings...');
-        browser = await puppeteer.launch(launchOptions);
-        
-        // Open a new page
-        const page = await browser.newPage();
+    };
+    
+    let lease;
+    let tmpPath = null;
+    let pageCrash = null;
+    let monitor = null;
+    let quality = null;
+    try {
+        // Borrow an isolated incognito page from the shared browser pool
+        log.debug('Acquiring page from browser pool');
+        progress('launching');
+        lease = await pool.acquire();
+        const page = lease.page;
         
         // Aggressive memory optimization
         const client = await page.target().createCDPSession();
@@ -103,17 +160,26 @@ async function captureScreenshot(id, outputPath, options = {}) {
 
         // Set up javascript error and console message handlers
         page.on('error', err => {
-            console.error('Page error:', err.message);
+            // Puppeteer reports renderer crashes here; the pending call then fails with a vaguer error
+            pageCrash = err;
+            log.warn('Page error', { error: err.message });
         });
         
+        // Collect failed images and script errors for the quality checks
+        if (qualityChecks.mode !== 'off') {
+            monitor = monitorPage(page);
+        }
+        
         // Disable cache to save memory
         await page.setCacheEnabled(false);
         
         // Set request timeout
         page.setDefaultNavigationTimeout(opts.timeout);
         
-        // Set user agent to a desktop browser (macOS Chrome)
-        await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+        // Emulate the requested device (desktop uses a macOS Chrome user agent)
+        log.debug('Emulating device', { width: device.width, height: device.height, deviceScaleFactor: device.deviceScaleFactor });
+        await page.setUserAgent(device.userAgent);
+        await page.setViewport(toViewport(device));
         
         // Block unnecessary resources
         await page.setRequestInterception(true);
@@ -130,60 +196,48 @@ async function captureScreenshot(id, outputPath, options = {}) {
             }
         });
         
-        // Navigate to URL with simple timeout handling
-        console.log(`Navigating to: ${url} (timeout: ${opts.timeout}ms)`);
-        try {
-            await page.goto(url, { 
-                waitUntil: 'domcontentloaded', 
-                timeout: opts.timeout 
-            });
-            console.log('Navigation completed');
-        } catch (err) {
-            console.warn(`Navigation error: ${err.message}, continuing anyway...`);
-            // Continue even if navigation has issues
-        }
+        // A frozen clock and seeded Math.random have to be in place before page scripts run
+        await installDeterminism(page, prepare);
         
-        // Override viewport meta tag to force desktop rendering
-        console.log('Setting explicit viewport meta tag...');
-        await page.evaluate(() => {
-            // Remove any existing viewport meta tags
-            const existingViewports = document.querySelectorAll('meta[name="viewport"]');
-            existingViewports.forEach(tag => tag.remove());
-            
-            // Add our own viewport meta tag
-            const meta = document.createElement('meta');
-            meta.name = 'viewport';
-            meta.content = 'width=1920, initial-scale=1.0';
-            document.head.appendChild(meta);
+        // Navigate to URL; failed loads and error pages are reported instead of captured
+        log.debug('Navigating', { url, timeout: opts.timeout });
+        progress('navigating', { url });
+        const response = await page.goto(url, { 
+            waitUntil: 'domcontentloaded', 
+            timeout: opts.timeout 
         });
+        const statusCode = response ? response.status() : null;
+        if (statusCode >= 400) {
+            throw httpStatusError(statusCode, url);
+        }
+        log.debug('Navigation completed', { statusCode });
         
-        // Inject CSS to force desktop layout
-        console.log('Injecting CSS to force desktop layout...');
-        await page.addStyleTag({
-            content: `
-                /* Force desktop layout */
-                @media (max-width: 1920px) {
-                    body { min-width: 1920px !important; }
-                }
-                /* Disable responsive behaviors */
-                .container, .container-fluid { 
-                    width: 1920px !important; 
-                    max-width: none !important; 
-                }
-                /* Ensure proper scaling */
-                html, body {
-                    zoom: 1 !important;
-                    -webkit-text-size-adjust: 100% !important;
-                }
-            `
-        });
+        // Mobile devices keep the page's own responsive layout
+        if (!device.isMobile) {
+            // Override viewport meta tag and inject CSS to force desktop rendering
+            log.debug('Forcing desktop layout');
+            await forceDesktopLayout(page, device.width);
+        }
+        
+        // Hidden elements, removed elements, custom CSS and disabled animations apply from here on
+        await applyPageStyles(page, prepare);
         
-        // Simple wait for content to load
-        console.log(`Waiting ${opts.waitTime}ms for page to render...`);
-        await new Promise(resolve => setTimeout(resolve, opts.waitTime));
+        // Wait until the page reports ready instead of sleeping blindly
+        log.debug('Waiting for readiness', { mode: readiness.mode, conditions: readiness.conditions.map(c => c.type) });
+        progress('waiting', { statusCode });
+        const readinessResult = await waitForReadiness(page, readiness.conditions, readiness.mode);
+        log.info('Page ready', { readinessMs: readinessResult.duration, endedBy: readinessResult.endedBy });
+        
+        // Dismiss consent banners, run the custom script and finish animations before scrolling
+        let preparation;
+        if (prepare.active) {
+            preparation = await preparePage(page, prepare);
+            log.debug('Page prepared', preparation);
+        }
         
         // Improved scrolling to ensure all content is loaded
-        console.log('Scrolling to ensure all content is loaded...');
+        log.debug('Scrolling to ensure all content is loaded');
+        progress('scrolling');
         await page.evaluate(async () => {
             const totalHeight = Math.max(
                 document.body.scrollHeight,
@@ -210,43 +264,223 @@ async function captureScreenshot(id, outputPath, options = {}) {
             window.scrollTo(0, 0);
         });
         
-        // Wait a bit after scrolling
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        // Let lazy content triggered by scrolling finish loading
+        readinessResult.postScroll = await waitForReadiness(page, readiness.postScroll, 'all');
+        log.debug('Post-scroll content settled', { readinessMs: readinessResult.postScroll.duration });
         
-        // Use the specified template height for the viewport
-        console.log(`Setting viewport to template height: ${opts.templateHeight}px`);
-        await page.setViewport({
-            width: 1920,
-            height: opts.templateHeight
-        });
+        // Measure the real document height now that lazy content has settled
+        const measuredHeight = await measurePageHeight(page);
+        log.debug('Measured page height', { measuredHeight });
         
-        // Take the screenshot
-        console.log(`Taking screenshot and saving to: ${outputPath}`);
-        await page.screenshot({
-            path: outputPath,
-            fullPage: true,
-            type: 'png',
-            omitBackground: true, // Reduces memory usage
-        });
+        // Error pages and stuck spinners are recognised by their selectors
+        const errorSelectors = monitor ? await findErrorSelectors(page, qualityChecks.errorSelectors) : [];
+        
+        // The whole page, one element or rectangle, or one image per selector
+        const shots = regionOptions
+            ? regionOptions.regions.map(region => ({
+                region,
+                outputPath: regionOptions.multiple ? suffixedOutputPath(outputPath, region.name) : outputPath,
+            }))
+            : [{ region: null, outputPath }];
         
-        console.log('Screenshot captured successfully');
+        // Options recorded with each stored version
+        const { pool: _pool, versionStore: _versionStore, logger: _logger, onProgress: _onProgress, ...captureOptions } = options;
         
-        // Close the page to free up memory
-        await page.close();
+        const images = [];
+        for (const shot of shots) {
+            // Regions are located one at a time, as scrolling to one can load content that moves the next
+            let box = { x: 0, y: 0, width: device.width, height: measuredHeight };
+            if (shot.region) {
+                box = await locateRegion(page, shot.region, regionOptions, () => waitForReadiness(page, readiness.postScroll, 'all'));
+                log.debug('Located region', { name: shot.region.name, ...box });
+            }
+            
+            // A fixed height only applies to full-page captures; regions keep their own height
+            const { height: captureHeight, clipped } = chooseCaptureHeight(
+                box.height,
+                shot.region ? { ...heightOptions, fixedHeight: null } : heightOptions,
+                opts.format,
+                device.deviceScaleFactor
+            );
+            log.debug('Chose capture height', { captureHeight, clipped });
+            
+            // Capture beyond the viewport so vh-based sections keep their on-screen size
+            const clip = { x: box.x, y: box.y, width: box.width, height: captureHeight };
+            
+            // Write to a temporary file first so readers never see a half-written capture
+            tmpPath = store ? `${shot.outputPath}.${process.pid}-${Date.now()}.tmp` : null;
+            
+            // Take the screenshot
+            log.debug('Taking screenshot', { format: opts.format });
+            progress('capturing', { region: shot.region ? shot.region.name : undefined, height: captureHeight });
+            let data;
+            if (opts.format === 'pdf') {
+                // Render the whole page onto a single PDF page at the device width
+                data = await page.pdf({
+                    path: tmpPath || undefined,
+                    width: `${device.width}px`,
+                    height: `${captureHeight}px`,
+                    printBackground: true,
+                    pageRanges: '1',
+                });
+            } else if (FORMATS[opts.format].native) {
+                data = await page.screenshot({
+                    path: tmpPath || undefined,
+                    clip,
+                    captureBeyondViewport: true,
+                    type: opts.format,
+                    quality: opts.quality,
+                    omitBackground: opts.format !== 'jpeg', // Reduces memory usage (JPEG has no alpha)
+                });
+            } else {
+                // Chrome cannot encode this format, so convert a PNG capture with sharp
+                const png = await page.screenshot({
+                    clip,
+                    captureBeyondViewport: true,
+                    type: 'png',
+                    omitBackground: true,
+                });
+                data = await convertImage(png, opts.format, opts.quality);
+                if (tmpPath) {
+                    fs.writeFileSync(tmpPath, data);
+                }
+            }
+            // Unstored captures stay in memory; stored ones are read back from the file when needed
+            data = store ? null : Buffer.from(data);
+            
+            // Drop trailing background rows, but never above the first screenful
+            let finalHeight = captureHeight;
+            let trimmed = 0;
+            if (heightOptions.trimBottom && opts.format !== 'pdf' && !shot.region) {
+                const trim = await trimBottom(tmpPath || data, {
+                    format: opts.format,
+                    quality: opts.quality,
+                    tolerance: heightOptions.trimTolerance,
+                    minHeight: Math.round(device.height * device.deviceScaleFactor),
+                });
+                trimmed = Math.round(trim.trimmed / device.deviceScaleFactor);
+                finalHeight = captureHeight - trimmed;
+                data = trim.buffer || data;
+                log.debug('Trimmed trailing background', { trimmed });
+            }
+            
+            // Check the render before it replaces the previous capture
+            if (monitor) {
+                quality = await evaluateQuality({
+                    filePath: opts.format === 'pdf' ? null : tmpPath || data,
+                    measuredHeight,
+                    monitor,
+                    errorSelectors,
+                }, qualityChecks);
+                if (!quality.passed) {
+                    log.warn('Quality checks found issues', { mode: quality.mode, issues: quality.issues.map(issue => issue.message) });
+                }
+                const failure = qualityError(quality);
+                if (failure) {
+                    throw failure;
+                }
+            }
+            
+            progress('saving', { region: shot.region ? shot.region.name : undefined });
+            const dimensions = {
+                width: box.width,
+                measuredHeight,
+                finalHeight,
+                trimmed,
+                clipped,
+                imageWidth: Math.round(box.width * device.deviceScaleFactor),
+                imageHeight: Math.round(finalHeight * device.deviceScaleFactor),
+            };
+            let version;
+            if (tmpPath && options.versionStore) {
+                // Keep a timestamped copy of this render; the store also moves it into place
+                version = await options.versionStore.saveVersion(shot.outputPath, {
+                    id,
+                    targetUrl: url,
+                    format: opts.format,
+                    device: device.name,
+                    dimensions,
+                    options: captureOptions,
+                }, tmpPath);
+                tmpPath = null;
+            } else if (tmpPath) {
+                fs.renameSync(tmpPath, shot.outputPath);
+                tmpPath = null;
+            }
+            log.info('Screenshot captured', {
+                format: opts.format,
+                height: finalHeight,
+                region: shot.region ? shot.region.name : undefined,
+                rssMb: Math.round(process.memoryUsage().rss / 1024 / 1024)
+            });
+            
+            images.push({
+                success: true,
+                id,
+                targetUrl: url,
+                outputPath: store ? shot.outputPath : null,
+                data: data || undefined,
+                format: opts.format,
+                contentType: getContentType(opts.format),
+                device: device.name,
+                viewport: toViewport(device),
+                readiness: regionOptions && regionOptions.multiple ? undefined : readinessResult,
+                preparation: regionOptions && regionOptions.multiple ? undefined : preparation,
+                quality,
+                region: shot.region ? { name: shot.region.name, selector: shot.region.selector, ...clip } : undefined,
+                dimensions,
+                version,
+            });
+        }
+        
+        // A selector list answers like a multi-device capture, with one entry per image
+        const result = regionOptions && regionOptions.multiple ? {
+            success: true,
+            id,
+            targetUrl: url,
+            format: opts.format,
+            contentType: getContentType(opts.format),
+            device: device.name,
+            viewport: toViewport(device),
+            readiness: readinessResult,
+            preparation,
+            images,
+        } : images[0];
         
-        return { success: true, id, outputPath };
+        // Write hero crops, thumbnails and tiles next to the capture
+        if (derivatives) {
+            // The browser is not needed for image processing, so free the page first
+            await lease.release();
+            log.debug('Generating derivatives');
+            result.derivatives = await generateDerivatives(outputPath, derivatives);
+        }
+        
+        return result;
     } catch (error) {
-        console.error('Error capturing screenshot:', error);
-        return { success: false, error: error.message, id };
+        const captureError = classifyError(pageCrash || error);
+        log.error('Screenshot capture failed', { errorCode: captureError.code, retryable: captureError.retryable, error });
+        if (tmpPath) {
+            fs.rmSync(tmpPath, { force: true });
+        }
+        return {
+            success: false,
+            error: captureError.message,
+            errorCode: captureError.code,
+            retryable: captureError.retryable,
+            statusCode: captureError.statusCode,
+            quality,
+            id,
+            targetUrl: url,
+            device: device.name
+        };
     } finally {
-        // Close the browser
-        if (browser) {
-            try {
-                await browser.close();
-                console.log('Browser closed');
-            } catch (err) {
-                console.warn('Error closing browser:', err.message);
-            }
+        if (monitor) {
+            monitor.detach();
+        }
+        
+        // Return the page to the pool (closes its incognito context)
+        if (lease) {
+            await lease.release();
         }
         
         // Force garbage collection
@@ -256,4 +490,62 @@ async function captureScreenshot(id, outputPath, options = {}) {
     }
 }
 
-module.exports = { captureScreenshot };
\ No newline at end of file
+/**
+ * Build the output path for one image of a multi-device or multi-selector capture
+ * @param {string} outputPath - Base output path, e.g. screenshots/abc.png
+ * @param {string} suffix - Device or selector name
+ * @returns {string} Path such as screenshots/abc-mobile.png
+ */
+function suffixedOutputPath(outputPath, suffix) {
+    const extension = path.extname(outputPath);
+    return `${outputPath.slice(0, outputPath.length - extension.length)}-${suffix}${extension}`;
+}
+
+/**
+ * Captures one screenshot per device, one after another to keep memory flat
+ * @param {string|Object} target - Preview ID, full URL, or { id, url, resolver }
+ * @param {string} outputPath - Base path; each device writes `<name>-<device>.<ext>`
+ * @param {Object} options - Same options as captureScreenshot, plus:
+ * @param {Array<string|Object>} options.devices - Device presets or custom devices
+ * @returns {Promise<Object>} Result with one entry per device in `images`
+ */
+async function captureDevices(target, outputPath, options = {}) {
+    let devices;
+    try {
+        devices = resolveDevices(options.devices);
+        if (options.selectors) {
+            throw new Error('selectors cannot be combined with devices, use selector');
+        }
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message,
+            errorCode: 'INVALID_REQUEST',
+            retryable: false,
+            id: typeof target === 'string' ? target : null,
+            images: []
+        };
+    }
+    
+    const { devices: _devices, ...captureOptions } = options;
+    const images = [];
+    for (const device of devices) {
+        images.push(await captureScreenshot(target, suffixedOutputPath(outputPath, device.name), {
+            ...captureOptions,
+            device,
+        }));
+    }
+    
+    const failed = images.find(image => !image.success);
+    return {
+        success: !failed,
+        id: images[0].id,
+        targetUrl: images[0].targetUrl,
+        error: failed ? `${failed.device || 'device'}: ${failed.error}` : undefined,
+        errorCode: failed ? failed.errorCode : undefined,
+        retryable: failed ? failed.retryable : undefined,
+        images,
+    };
+}
+
+module.exports = { captureScreenshot, captureDevices };
\ No newline at end of file
@@ -0,0 +1,137 @@
+const util = require('util');
+
+// Lower numbers are more verbose
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Shared by every logger, so the CLI can switch the whole process to readable output
+const config = {
+    level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+    format: process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json',
+};
+
+/**
+ * Change the level or format of every logger
+ * @param {Object} options - Logger options
+ * @param {string} options.level - debug, info, warn or error
+ * @param {string} options.format - 'json' (one object per line) or 'pretty'
+ */
+function configureLogger(options = {}) {
+    if (options.level && LEVELS[options.level]) {
+        config.level = options.level;
+    }
+    if (options.format === 'json' || options.format === 'pretty') {
+        config.format = options.format;
+    }
+}
+
+/**
+ * Turn an Error into plain fields
+ * @param {Error} error - Error to serialize
+ * @returns {Object} { name, message, code, stack }
+ */
+function serializeError(error) {
+    return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+/**
+ * Leveled logger that carries context fields (request ID, preview ID, batch ID...) on every line
+ */
+class Logger {
+    /**
+     * Create a logger
+     * @param {Object} fields - Context fields added to every entry
+     */
+    constructor(fields = {}) {
+        this.fields = fields;
+    }
+
+    /**
+     * Create a logger with extra context fields
+     * @param {Object} fields - Fields to add
+     * @returns {Logger} Child logger
+     */
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields });
+    }
+
+    /**
+     * Write one entry if its level is enabled
+     * @param {string} level - debug, info, warn or error
+     * @param {string} message - Message
+     * @param {Object} fields - Extra fields; an `error` field may be an Error
+     */
+    log(level, message, fields = {}) {
+        if (LEVELS[level] < LEVELS[config.level]) {
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level, msg: message, ...this.fields, ...fields };
+        if (entry.error instanceof Error) {
+            entry.error = serializeError(entry.error);
+        }
+        Object.keys(entry).forEach(key => entry[key] === undefined && delete entry[key]);
+
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${config.format === 'json' ? JSON.stringify(entry) : formatPretty(entry)}\n`);
+    }
+
+    /**
+     * Log at debug level
+     * @param {string} message - Message
+     * @param {Object} fields - Extra fields
+     */
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    /**
+     * Log at info level
+     * @param {string} message - Message
+     * @param {Object} fields - Extra fields
+     */
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    /**
+     * Log at warn level
+     * @param {string} message - Message
+     * @param {Object} fields - Extra fields
+     */
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    /**
+     * Log at error level
+     * @param {string} message - Message
+     * @param {Object} fields - Extra fields
+     */
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+/**
+ * Render an entry as a single readable line
+ * @param {Object} entry - Log entry
+ * @returns {string} e.g. `warn  Navigation error previewId=abc`
+ */
+function formatPretty(entry) {
+    const { time, level, msg, ...fields } = entry;
+    // Serialized errors print their stack on the following lines
+    const stack = fields.error && fields.error.stack ? `\n${fields.error.stack}` : '';
+    if (stack) {
+        delete fields.error;
+    }
+
+    const context = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : util.inspect(value, { breakLength: Infinity, depth: 2 })}`)
+        .join(' ');
+    return `${level.padEnd(5)} ${msg}${context ? ` ${context}` : ''}${stack}`;
+}
+
+// Root logger for code that has no request context
+const logger = new Logger();
+
+module.exports = { logger, Logger, configureLogger };
@@ -0,0 +1,274 @@
+// Capture durations in seconds; full-page captures of heavy previews can take a minute or more
+const CAPTURE_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300];
+
+// HTTP handling time in seconds, captures included
+const HTTP_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60, 120];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set, e.g. `{status="success"}`
+ * @param {Object} labels - Label names and values
+ * @returns {string} Label string, empty when there are no labels
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+/**
+ * A named metric holding one value (or histogram) per label set
+ */
+class Metric {
+    /**
+     * Create a metric
+     * @param {string} type - counter, gauge or histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Function} collect - Called before each scrape to refresh values (default: none)
+     */
+    constructor(type, name, help, collect = null) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+        this.values = new Map();
+    }
+
+    /**
+     * Get the series for a label set, creating it on first use
+     * @param {Object} labels - Label names and values
+     * @param {*} initial - Value for a new series
+     * @returns {Object} { labels, value }
+     */
+    series(labels, initial) {
+        const key = formatLabels(labels);
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels, value: initial });
+        }
+        return this.values.get(key);
+    }
+
+    /**
+     * Add to a counter or gauge
+     * @param {Object} labels - Label set
+     * @param {number} amount - Amount (default: 1)
+     */
+    inc(labels = {}, amount = 1) {
+        this.series(labels, 0).value += amount;
+    }
+
+    /**
+     * Subtract from a gauge
+     * @param {Object} labels - Label set
+     * @param {number} amount - Amount (default: 1)
+     */
+    dec(labels = {}, amount = 1) {
+        this.series(labels, 0).value -= amount;
+    }
+
+    /**
+     * Set a gauge
+     * @param {Object} labels - Label set
+     * @param {number} value - New value
+     */
+    set(labels, value) {
+        this.series(labels, 0).value = value;
+    }
+
+    /**
+     * Render the metric in the Prometheus text format
+     * @returns {string} HELP, TYPE and sample lines
+     */
+    render() {
+        if (this.collect) {
+            this.collect(this);
+        }
+
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.values.forEach(({ labels, value }) => {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Histogram with cumulative buckets, a sum and a count per label set
+ */
+class Histogram extends Metric {
+    /**
+     * Create a histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Array<number>} buckets - Upper bounds, ascending
+     */
+    constructor(name, help, buckets) {
+        super('histogram', name, help);
+        this.buckets = buckets;
+    }
+
+    /**
+     * Record one observation
+     * @param {Object} labels - Label set
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+        const series = this.series(labels, null);
+        if (!series.value) {
+            series.value = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+        }
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.value.counts[index]++;
+            }
+        });
+        series.value.sum += value;
+        series.value.count++;
+    }
+
+    /**
+     * Render the histogram in the Prometheus text format
+     * @returns {string} HELP, TYPE, bucket, sum and count lines
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        this.values.forEach(({ labels, value }) => {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Process-wide metrics registry
+ */
+class MetricsRegistry {
+    /**
+     * Create an empty registry
+     */
+    constructor() {
+        this.metrics = [];
+    }
+
+    /**
+     * Register a counter
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Function} collect - Refreshes values before each scrape (default: none)
+     * @returns {Metric} Counter
+     */
+    counter(name, help, collect) {
+        return this.add(new Metric('counter', name, help, collect));
+    }
+
+    /**
+     * Register a gauge
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Function} collect - Refreshes values before each scrape (default: none)
+     * @returns {Metric} Gauge
+     */
+    gauge(name, help, collect) {
+        return this.add(new Metric('gauge', name, help, collect));
+    }
+
+    /**
+     * Register a histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Array<number>} buckets - Upper bounds, ascending
+     * @returns {Histogram} Histogram
+     */
+    histogram(name, help, buckets) {
+        return this.add(new Histogram(name, help, buckets));
+    }
+
+    /**
+     * Add a metric to the registry
+     * @param {Metric} metric - Metric
+     * @returns {Metric} The same metric
+     */
+    add(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Render every metric in the Prometheus text exposition format
+     * @returns {string} Scrape body
+     */
+    render() {
+        return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+const registry = new MetricsRegistry();
+
+const captureDuration = registry.histogram(
+    'screenshot_capture_duration_seconds',
+    'Time spent capturing one screenshot, including readiness waits and derivatives',
+    CAPTURE_BUCKETS
+);
+const capturesTotal = registry.counter('screenshot_captures_total', 'Finished captures by status and error code');
+const activeCaptures = registry.gauge('screenshot_active_captures', 'Captures currently running');
+const httpDuration = registry.histogram('http_request_duration_seconds', 'HTTP request handling time by route', HTTP_BUCKETS);
+
+registry.gauge('process_resident_memory_bytes', 'Resident set size of the Node process', metric => {
+    metric.set({}, process.memoryUsage().rss);
+});
+registry.gauge('nodejs_heap_used_bytes', 'V8 heap in use', metric => {
+    metric.set({}, process.memoryUsage().heapUsed);
+});
+registry.gauge('nodejs_heap_total_bytes', 'V8 heap allocated', metric => {
+    metric.set({}, process.memoryUsage().heapTotal);
+});
+
+/**
+ * Record a finished capture
+ * @param {Object} result - Result from captureScreenshot
+ * @param {number} seconds - Capture duration
+ */
+function recordCapture(result, seconds) {
+    const status = result.success ? 'success' : 'failure';
+    captureDuration.observe({ status }, seconds);
+    capturesTotal.inc({ status, error_code: result.success ? 'none' : result.errorCode || 'CAPTURE_FAILED' });
+}
+
+/**
+ * Express middleware timing every request by method, route and status
+ * @returns {Function} Express middleware
+ */
+function httpMetrics() {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        res.on('finish', () => {
+            // Route patterns keep IDs out of the label values
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl || 'unmatched';
+            httpDuration.observe(
+                { method: req.method, route, status: res.statusCode },
+                Number(process.hrtime.bigint() - start) / 1e9
+            );
+        });
+        next();
+    };
+}
+
+module.exports = {
+    registry,
+    activeCaptures,
+    recordCapture,
+    httpMetrics,
+};
@@ -0,0 +1,381 @@
+const { schemas } = require('./validation');
+const { ERROR_CODES } = require('./errors');
+const { version } = require('./package.json');
+
+/**
+ * Describe a JSON response
+ * @param {string} description - Response description
+ * @param {Object} schema - Response schema (default: any object)
+ * @returns {Object} OpenAPI response object
+ */
+function jsonResponse(description, schema = { type: 'object' }) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Describe a Server-Sent Events response
+ * @param {string} description - Response description
+ * @returns {Object} OpenAPI response object
+ */
+function eventStreamResponse(description) {
+    return { description, content: { 'text/event-stream': { schema: { type: 'string' } } } };
+}
+
+/**
+ * Describe a JSON request body by schema name
+ * @param {string} name - Schema name in components.schemas
+ * @returns {Object} OpenAPI request body object
+ */
+function jsonBody(name) {
+    return { required: true, content: { 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } } };
+}
+
+// Responses shared by the authenticated endpoints
+const errorResponses = {
+    400: { $ref: '#/components/responses/BadRequest' },
+    401: { $ref: '#/components/responses/Unauthorized' },
+    429: { $ref: '#/components/responses/TooManyRequests' },
+};
+
+// Failed captures answer with the HTTP status of their errorCode
+const captureFailures = {
+    404: jsonResponse('Page not found (PREVIEW_NOT_FOUND)'),
+    422: jsonResponse('Quality checks failed (BLANK_PAGE or BROKEN_RENDER)'),
+    '5XX': jsonResponse('Capture failed, errorCode says why'),
+};
+
+// Single captures are turned away while the scheduler queue is full
+const queueFull = {
+    503: jsonResponse('Capture queue is full, see Retry-After'),
+};
+
+const jobIdParameter = { name: 'jobId', in: 'path', required: true, schema: { type: 'string' }, description: 'Job ID from an async capture' };
+const profileNameParameter = { name: 'name', in: 'path', required: true, schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' }, description: 'Capture profile name' };
+const scheduleIdParameter = { name: 'scheduleId', in: 'path', required: true, schema: { type: 'string' }, description: 'Schedule ID' };
+const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$' }, description: 'Screenshot key, e.g. a preview ID or <id>-mobile' };
+const imageResponse = {
+    description: 'Screenshot file',
+    content: { 'image/png': {}, 'image/jpeg': {}, 'image/webp': {}, 'application/pdf': {} },
+};
+
+// Captures answer with JSON, or with the image itself when response is binary
+const captureFinished = {
+    description: 'Capture finished: JSON for response url or base64 (base64 adds data, mimeType, fileName and fileSize), the image itself for response binary',
+    content: { 'application/json': { schema: { type: 'object' } }, ...imageResponse.content },
+};
+
+/**
+ * Build the OpenAPI document for the HTTP API from the request schemas
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildOpenApiDocument() {
+    const secured = [{ apiKeyHeader: [] }, { bearer: [] }, { apiKeyQuery: [] }];
+    const { BatchListQuery, ...bodySchemas } = schemas;
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Landingsite Screenshot Service',
+            version,
+            description: 'Capture, diff and version screenshots of landing pages. Unknown request fields are rejected with a 400.',
+        },
+        security: secured,
+        paths: {
+            '/api/screenshot': {
+                post: {
+                    summary: 'Capture a single screenshot',
+                    requestBody: jsonBody('ScreenshotRequest'),
+                    responses: {
+                        200: captureFinished,
+                        202: jsonResponse('Accepted with a jobId (async or callbackUrl), follow statusUrl or eventsUrl'),
+                        ...errorResponses,
+                        ...captureFailures,
+                        ...queueFull,
+                    },
+                },
+            },
+            '/api/jobs/{jobId}': {
+                get: {
+                    summary: 'Status of an async capture, with the capture response as `result` once finished',
+                    parameters: [jobIdParameter],
+                    responses: {
+                        200: jsonResponse('Job status'),
+                        404: jsonResponse('Job not found or expired'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/jobs/{jobId}/events': {
+                get: {
+                    summary: 'Stream an async capture: queued, progress (per stage), then completed or failed',
+                    parameters: [jobIdParameter],
+                    responses: {
+                        200: eventStreamResponse('Server-Sent Events; Last-Event-ID resumes after the given event'),
+                        404: jsonResponse('Job not found or expired'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/n8n/screenshot': {
+                post: {
+                    summary: 'Capture a screenshot (optimized for n8n)',
+                    requestBody: jsonBody('N8nScreenshotRequest'),
+                    responses: {
+                        200: captureFinished,
+                        202: jsonResponse('Accepted, the result is sent to callbackUrl'),
+                        ...errorResponses,
+                        ...captureFailures,
+                        ...queueFull,
+                    },
+                },
+            },
+            '/api/diff': {
+                post: {
+                    summary: 'Compare two stored captures, or a fresh capture against its baseline',
+                    requestBody: jsonBody('DiffRequest'),
+                    responses: {
+                        200: jsonResponse('Diff result'),
+                        ...errorResponses,
+                        ...captureFailures,
+                        ...queueFull,
+                        404: jsonResponse('Stored capture or page not found'),
+                        422: jsonResponse('Quality checks failed, or the images have different widths (WIDTH_MISMATCH)'),
+                    },
+                },
+            },
+            '/api/batch': {
+                post: {
+                    summary: 'Process multiple IDs or URLs',
+                    requestBody: jsonBody('BatchRequest'),
+                    responses: {
+                        202: jsonResponse('Batch queued'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/batch/{batchId}/status': {
+                get: {
+                    summary: 'Check batch status',
+                    parameters: [{ name: 'batchId', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: {
+                        200: jsonResponse('Batch status'),
+                        404: jsonResponse('Batch not found'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/batch/{batchId}/report': {
+                get: {
+                    summary: 'Get the report of a finished batch: per-item attempts, durations and errors',
+                    parameters: [{ name: 'batchId', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: {
+                        200: jsonResponse('Batch report'),
+                        404: jsonResponse('Batch not found or report not written yet'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/batch/{batchId}/events': {
+                get: {
+                    summary: 'Stream batch progress: status, progress, item, then complete',
+                    parameters: [{ name: 'batchId', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: {
+                        200: eventStreamResponse('Server-Sent Events'),
+                        404: jsonResponse('Batch not found'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/batches': {
+                get: {
+                    summary: 'List batches',
+                    parameters: Object.entries(BatchListQuery.properties)
+                        .filter(([name]) => name !== 'api_key')
+                        .map(([name, schema]) => ({ name, in: 'query', schema })),
+                    responses: {
+                        200: jsonResponse('Batches, newest first'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/screenshots/{id}/versions': {
+                get: {
+                    summary: 'List the stored versions of a screenshot',
+                    parameters: [idParameter],
+                    responses: {
+                        200: jsonResponse('Versions, newest first'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/screenshots/{id}/latest': {
+                get: {
+                    summary: 'Newest version of a screenshot',
+                    description: 'Accepts an API key or a signed URL.',
+                    parameters: [idParameter],
+                    responses: { 200: imageResponse, 404: jsonResponse('No versions stored') },
+                },
+            },
+            '/api/screenshots/{id}/versions/{version}': {
+                get: {
+                    summary: 'One version of a screenshot',
+                    description: 'Accepts an API key or a signed URL.',
+                    parameters: [idParameter, { name: 'version', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: { 200: imageResponse, 404: jsonResponse('Version not found') },
+                },
+            },
+            '/api/queue': {
+                get: {
+                    summary: 'Capture scheduler status',
+                    responses: {
+                        200: jsonResponse('Running and waiting captures, memory and timings'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/profiles': {
+                get: {
+                    summary: 'List capture profiles',
+                    responses: {
+                        200: jsonResponse('Profiles by name'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/profiles/{name}': {
+                get: {
+                    summary: 'Get a capture profile',
+                    parameters: [profileNameParameter],
+                    responses: {
+                        200: jsonResponse('Profile', { $ref: '#/components/schemas/CaptureProfile' }),
+                        404: jsonResponse('Profile not found'),
+                        ...errorResponses,
+                    },
+                },
+                put: {
+                    summary: 'Create or replace a capture profile',
+                    parameters: [profileNameParameter],
+                    requestBody: jsonBody('CaptureProfile'),
+                    responses: {
+                        200: jsonResponse('Profile replaced'),
+                        201: jsonResponse('Profile created'),
+                        ...errorResponses,
+                    },
+                },
+                delete: {
+                    summary: 'Delete a capture profile',
+                    parameters: [profileNameParameter],
+                    responses: {
+                        204: { description: 'Profile deleted' },
+                        404: jsonResponse('Profile not found'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/schedules': {
+                get: {
+                    summary: 'List recurring capture schedules',
+                    responses: {
+                        200: jsonResponse('Schedules with their next and last run'),
+                        ...errorResponses,
+                    },
+                },
+                post: {
+                    summary: 'Create a recurring capture schedule',
+                    requestBody: jsonBody('ScheduleRequest'),
+                    responses: {
+                        201: jsonResponse('Schedule created'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/schedules/{scheduleId}': {
+                get: {
+                    summary: 'Get a schedule with its run history',
+                    parameters: [scheduleIdParameter],
+                    responses: {
+                        200: jsonResponse('Schedule, next run and recent runs with their diff results'),
+                        404: jsonResponse('Schedule not found'),
+                        ...errorResponses,
+                    },
+                },
+                put: {
+                    summary: 'Replace a schedule, keeping its run history',
+                    parameters: [scheduleIdParameter],
+                    requestBody: jsonBody('ScheduleRequest'),
+                    responses: {
+                        200: jsonResponse('Schedule updated'),
+                        404: jsonResponse('Schedule not found'),
+                        ...errorResponses,
+                    },
+                },
+                delete: {
+                    summary: 'Delete a schedule and its run history',
+                    parameters: [scheduleIdParameter],
+                    responses: {
+                        204: { description: 'Schedule deleted' },
+                        404: jsonResponse('Schedule not found'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/schedules/{scheduleId}/run': {
+                post: {
+                    summary: 'Run a schedule now',
+                    parameters: [scheduleIdParameter],
+                    responses: {
+                        202: jsonResponse('Run started, with its batch status and events URLs'),
+                        404: jsonResponse('Schedule not found'),
+                        409: jsonResponse('Previous run still in progress'),
+                        ...errorResponses,
+                    },
+                },
+            },
+            '/api/openapi.json': {
+                get: {
+                    summary: 'This document',
+                    security: [],
+                    responses: { 200: jsonResponse('OpenAPI document') },
+                },
+            },
+        },
+        components: {
+            schemas: {
+                ...bodySchemas,
+                ErrorCode: {
+                    type: 'string',
+                    enum: Object.keys(ERROR_CODES),
+                    description: 'Why a capture failed, reported as errorCode with retryable',
+                },
+            },
+            responses: {
+                BadRequest: jsonResponse('Invalid request', {
+                    type: 'object',
+                    properties: {
+                        error: { type: 'string' },
+                        details: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    field: { type: 'string' },
+                                    message: { type: 'string' },
+                                    allowed: { type: 'array' },
+                                },
+                            },
+                        },
+                    },
+                }),
+                Unauthorized: jsonResponse('Missing or invalid API key'),
+                TooManyRequests: jsonResponse('Rate limit or concurrent capture quota exceeded, see Retry-After'),
+            },
+            securitySchemes: {
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                bearer: { type: 'http', scheme: 'bearer' },
+                apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+            },
+        },
+    };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,112 @@
+const path = require('path');
+
+/**
+ * Supported output formats
+ * `native` formats are encoded by Chrome; the rest are converted from a PNG capture with sharp
+ */
+const FORMATS = {
+    png: { extension: 'png', contentType: 'image/png', native: true, lossy: false },
+    jpeg: { extension: 'jpg', contentType: 'image/jpeg', native: true, lossy: true },
+    webp: { extension: 'webp', contentType: 'image/webp', native: true, lossy: true },
+    avif: { extension: 'avif', contentType: 'image/avif', native: false, lossy: true },
+    pdf: { extension: 'pdf', contentType: 'application/pdf', native: false, lossy: false },
+};
+
+// Alternative names accepted for a format
+const ALIASES = {
+    jpg: 'jpeg',
+};
+
+// Quality used for lossy formats when none is given
+const DEFAULT_QUALITY = 80;
+
+/**
+ * Normalize a format name
+ * @param {string} format - Format name, e.g. 'PNG' or 'jpg' (default: png)
+ * @returns {string} Canonical format name
+ */
+function normalizeFormat(format) {
+    if (!format) {
+        return 'png';
+    }
+    const name = String(format).toLowerCase();
+    const canonical = Object.hasOwn(ALIASES, name) ? ALIASES[name] : name;
+    if (!Object.hasOwn(FORMATS, canonical)) {
+        throw new Error(`Unsupported format: ${format} (expected one of ${Object.keys(FORMATS).join(', ')})`);
+    }
+    return canonical;
+}
+
+/**
+ * Infer a format from a file extension
+ * @param {string} filePath - Output path
+ * @returns {string|null} Canonical format name, or null if the extension is unknown
+ */
+function formatFromPath(filePath) {
+    const extension = path.extname(filePath || '').slice(1).toLowerCase();
+    const name = Object.hasOwn(ALIASES, extension) ? ALIASES[extension] : extension;
+    if (Object.hasOwn(FORMATS, name)) {
+        return name;
+    }
+    return Object.keys(FORMATS).find(format => FORMATS[format].extension === extension) || null;
+}
+
+/**
+ * Get the file extension for a format
+ * @param {string} format - Format name
+ * @returns {string} Extension without the dot
+ */
+function getExtension(format) {
+    return FORMATS[normalizeFormat(format)].extension;
+}
+
+/**
+ * Get the HTTP content type for a format
+ * @param {string} format - Format name
+ * @returns {string} Content type
+ */
+function getContentType(format) {
+    return FORMATS[normalizeFormat(format)].contentType;
+}
+
+/**
+ * Clamp a quality setting for lossy formats
+ * @param {string} format - Format name
+ * @param {number} quality - Requested quality 1-100
+ * @returns {number|undefined} Quality, or undefined for lossless formats
+ */
+function resolveQuality(format, quality) {
+    if (!FORMATS[normalizeFormat(format)].lossy) {
+        return undefined;
+    }
+    const value = parseInt(quality) || DEFAULT_QUALITY;
+    return Math.min(Math.max(value, 1), 100);
+}
+
+/**
+ * Convert a PNG buffer into a non-native image format with sharp
+ * @param {Buffer} png - PNG capture
+ * @param {string} format - Target format
+ * @param {number} quality - Quality 1-100
+ * @returns {Promise<Buffer>} Encoded image
+ */
+async function convertImage(png, format, quality) {
+    // Loaded lazily so the native module is only paid for when it is needed
+    const sharp = require('sharp');
+    const image = sharp(png, { limitInputPixels: false });
+
+    if (format === 'avif') {
+        return image.avif({ quality }).toBuffer();
+    }
+    throw new Error(`Format ${format} cannot be converted with sharp`);
+}
+
+module.exports = {
+    FORMATS,
+    normalizeFormat,
+    formatFromPath,
+    getExtension,
+    getContentType,
+    resolveQuality,
+    convertImage,
+};
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { decodeToTiles, readBand } = require('./image-bands');
+
+// Default cap on capture height in CSS pixels
+const DEFAULT_MAX_HEIGHT = parseInt(process.env.MAX_CAPTURE_HEIGHT) || 16000;
+
+// Largest image dimension each format can encode, in image pixels
+const FORMAT_PIXEL_LIMITS = {
+    webp: 16383,
+    avif: 16383,
+    jpeg: 65535,
+};
+
+// Rows scanned per band when trimming, keeps raw buffers small on a 512MB box
+const TRIM_BAND_ROWS = 256;
+
+/**
+ * Measure the true document height in CSS pixels
+ * @param {import('puppeteer-core').Page} page - Page
+ * @returns {Promise<number>} Document height
+ */
+function measurePageHeight(page) {
+    return page.evaluate(() => Math.ceil(Math.max(
+        document.body ? document.body.scrollHeight : 0,
+        document.documentElement.scrollHeight,
+        document.body ? document.body.offsetHeight : 0,
+        document.documentElement.offsetHeight
+    )));
+}
+
+/**
+ * Work out the height settings for a capture
+ * @param {Object} options - Capture options
+ * @param {number|string} options.height - 'auto' (default) or a fixed height in CSS pixels
+ * @param {number} options.templateHeight - Legacy alias for a fixed height
+ * @param {number} options.maxHeight - Cap in CSS pixels (default: MAX_CAPTURE_HEIGHT env or 16000)
+ * @param {boolean} options.trimBottom - Trim trailing background-colored rows (default: false)
+ * @param {number} options.trimTolerance - Per-channel color tolerance when trimming (default: 8)
+ * @returns {Object} { fixedHeight, maxHeight, trimBottom, trimTolerance }
+ */
+function resolveHeightOptions(options = {}) {
+    const requested = options.height !== undefined ? options.height : options.templateHeight;
+    let fixedHeight = null;
+    if (requested !== undefined && requested !== null && requested !== 'auto') {
+        fixedHeight = parseInt(requested);
+        if (!(fixedHeight > 0)) {
+            throw new Error('height must be "auto" or a positive number of pixels');
+        }
+    }
+
+    const maxHeight = options.maxHeight !== undefined ? parseInt(options.maxHeight) : DEFAULT_MAX_HEIGHT;
+    if (!(maxHeight > 0)) {
+        throw new Error('maxHeight must be a positive number of pixels');
+    }
+
+    return {
+        fixedHeight,
+        maxHeight,
+        trimBottom: Boolean(options.trimBottom),
+        trimTolerance: options.trimTolerance !== undefined ? parseInt(options.trimTolerance) : 8,
+    };
+}
+
+/**
+ * Choose the capture height from the measured height and the limits
+ * @param {number} measuredHeight - Document height in CSS pixels
+ * @param {Object} heightOptions - From resolveHeightOptions
+ * @param {string} format - Output format
+ * @param {number} deviceScaleFactor - Device pixel ratio
+ * @returns {Object} { height, clipped }
+ */
+function chooseCaptureHeight(measuredHeight, heightOptions, format, deviceScaleFactor) {
+    let limit = heightOptions.maxHeight;
+    if (FORMAT_PIXEL_LIMITS[format]) {
+        limit = Math.min(limit, Math.floor(FORMAT_PIXEL_LIMITS[format] / deviceScaleFactor));
+    }
+
+    const wanted = heightOptions.fixedHeight || measuredHeight;
+    return { height: Math.min(wanted, limit), clipped: wanted > limit };
+}
+
+/**
+ * Check whether a row of raw RGBA pixels matches a color
+ * @param {Buffer} data - Raw pixels
+ * @param {number} offset - Byte offset of the row
+ * @param {number} width - Row width in pixels
+ * @param {Array<number>} color - RGBA reference
+ * @param {number} tolerance - Per-channel tolerance
+ * @returns {boolean} True if every pixel is within tolerance
+ */
+function rowMatches(data, offset, width, color, tolerance) {
+    for (let x = 0; x < width; x++) {
+        const i = offset + x * 4;
+        if (Math.abs(data[i] - color[0]) > tolerance ||
+            Math.abs(data[i + 1] - color[1]) > tolerance ||
+            Math.abs(data[i + 2] - color[2]) > tolerance ||
+            Math.abs(data[i + 3] - color[3]) > tolerance) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Trim trailing rows that match the bottom-left pixel's color
+ * @param {string|Buffer} source - Image file to trim in place, or image data to trim in memory
+ * @param {Object} options - Trim options
+ * @param {string} options.format - Output format used to re-encode
+ * @param {number} options.quality - Quality for lossy formats
+ * @param {number} options.tolerance - Per-channel tolerance (default: 8)
+ * @param {number} options.minHeight - Never trim below this many image pixels (default: 1)
+ * @returns {Promise<Object>} { width, height, trimmed } in image pixels, plus `buffer` with the result for in-memory images
+ */
+async function trimBottom(source, options = {}) {
+    // Loaded lazily so the native module is only paid for when it is needed
+    const sharp = require('sharp');
+    const tolerance = options.tolerance !== undefined ? options.tolerance : 8;
+    const minHeight = Math.max(options.minHeight || 1, 1);
+
+    const input = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+    const { width, height } = await sharp(input, { limitInputPixels: false }).metadata();
+
+    // Decode once; each band is then read without decoding the rows above it again
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trim-bottom-'));
+    let contentBottom = height;
+    try {
+        const tiles = await decodeToTiles(sharp, input, path.join(tmpDir, 'capture.tif'));
+        const bottomRow = await readBand(sharp, tiles, width, height - 1, 1);
+        const color = [bottomRow[0], bottomRow[1], bottomRow[2], bottomRow[3]];
+
+        // Scan upwards in bands until a row differs from the background
+        let top = height;
+        while (top > 0 && contentBottom === top) {
+            const bandTop = Math.max(0, top - TRIM_BAND_ROWS);
+            const rows = top - bandTop;
+            const data = await readBand(sharp, tiles, width, bandTop, rows);
+
+            for (let row = rows - 1; row >= 0; row--) {
+                if (!rowMatches(data, row * width * 4, width, color, tolerance)) {
+                    break;
+                }
+                contentBottom--;
+            }
+            top = bandTop;
+        }
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    // A uniform image has no content edge to trim to, so leave it alone
+    if (contentBottom === 0) {
+        contentBottom = height;
+    }
+    contentBottom = Math.max(contentBottom, Math.min(minHeight, height));
+
+    const trimmed = height - contentBottom;
+    let output = input;
+    if (trimmed > 0) {
+        output = await sharp(input, { limitInputPixels: false })
+            .extract({ left: 0, top: 0, width, height: contentBottom })
+            .toFormat(options.format || 'png', { quality: options.quality })
+            .toBuffer();
+        if (!Buffer.isBuffer(source)) {
+            fs.writeFileSync(source, output);
+        }
+    }
+
+    return { width, height: contentBottom, trimmed, buffer: Buffer.isBuffer(source) ? output : undefined };
+}
+
+module.exports = { measurePageHeight, resolveHeightOptions, chooseCaptureHeight, trimBottom };
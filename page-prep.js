@@ -0,0 +1,317 @@
+const { CaptureError } = require('./errors');
+
+// Clock start used when freezeDate is true
+const DEFAULT_FROZEN_DATE = '2024-01-01T12:00:00.000Z';
+
+// Seed used when freezeRandom is true
+const DEFAULT_RANDOM_SEED = 42;
+
+// Accept buttons of common consent platforms (OneTrust, Cookiebot, Didomi, Quantcast, CookieYes, Complianz, Osano, TrustArc, iubenda, Klaro, Borlabs)
+const CONSENT_BUTTONS = [
+    '#onetrust-accept-btn-handler',
+    '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+    '#CybotCookiebotDialogBodyButtonAccept',
+    '#didomi-notice-agree-button',
+    '.qc-cmp2-summary-buttons button[mode="primary"]',
+    '.cky-btn-accept',
+    '.cmplz-accept',
+    '.osano-cm-accept-all',
+    '#truste-consent-button',
+    '.iubenda-cs-accept-btn',
+    '.cm-btn-success',
+    '#BorlabsCookieBox a[data-cookie-accept]',
+];
+
+// Button labels accepted inside an element that looks like a cookie or consent banner
+const CONSENT_LABELS = [
+    'accept all', 'accept all cookies', 'accept cookies', 'accept', 'allow all', 'allow cookies', 'i agree', 'agree', 'got it', 'ok',
+    'alle akzeptieren', 'akzeptieren', 'tout accepter', 'accepter', 'aceptar todo', 'aceptar', 'accetta tutto', 'accetta', 'alles accepteren',
+];
+
+// Stops CSS animations and transitions where they end, so counters and fade-ins render finished
+const DISABLE_ANIMATIONS_CSS = `
+    *, *::before, *::after {
+        animation-duration: 0s !important;
+        animation-delay: 0s !important;
+        animation-iteration-count: 1 !important;
+        transition-duration: 0s !important;
+        transition-delay: 0s !important;
+        scroll-behavior: auto !important;
+        caret-color: transparent !important;
+    }
+`;
+
+/**
+ * Check a list of CSS selectors
+ * @param {*} value - Option value
+ * @param {string} name - Option name for errors
+ * @returns {Array<string>} Selectors
+ */
+function selectorList(value, name) {
+    if (value === undefined) {
+        return [];
+    }
+    if (!Array.isArray(value) || value.some(selector => typeof selector !== 'string' || !selector.trim())) {
+        throw new Error(`prepare.${name} must be an array of CSS selectors`);
+    }
+    return value;
+}
+
+/**
+ * Resolve page preparation options
+ * @param {Object} options - Preparation options, usually `prepare` from the capture options
+ * @param {Array<string>} options.hide - Selectors made invisible, keeping their space in the layout
+ * @param {Array<string>} options.remove - Selectors taken out of the layout, including ones added later
+ * @param {string} options.css - Extra CSS injected after navigation
+ * @param {string} options.script - JavaScript run in the page once it is ready, may return a promise
+ * @param {boolean} options.disableAnimations - Stop CSS animations, transitions and Web Animations at their end state (default: false)
+ * @param {boolean} options.dismissConsent - Click the accept button of common cookie and consent banners (default: false)
+ * @param {boolean|string} options.freezeDate - Start the page clock at this ISO time, or at 2024-01-01T12:00Z when true (default: real time)
+ * @param {boolean|number} options.freezeRandom - Replace Math.random with a generator seeded with this number, or 42 when true (default: off)
+ * @returns {Object} Resolved options, with `active` false when there is nothing to do
+ */
+function resolvePrepareOptions(options) {
+    options = options || {};
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('prepare must be an object');
+    }
+
+    ['css', 'script'].forEach(name => {
+        if (options[name] !== undefined && typeof options[name] !== 'string') {
+            throw new Error(`prepare.${name} must be a string`);
+        }
+    });
+
+    let frozenDate = null;
+    if (options.freezeDate) {
+        frozenDate = new Date(options.freezeDate === true ? DEFAULT_FROZEN_DATE : options.freezeDate).getTime();
+        if (Number.isNaN(frozenDate)) {
+            throw new Error('prepare.freezeDate must be true or an ISO date');
+        }
+    }
+
+    let randomSeed = null;
+    if (options.freezeRandom !== undefined && options.freezeRandom !== false) {
+        randomSeed = options.freezeRandom === true ? DEFAULT_RANDOM_SEED : parseInt(options.freezeRandom);
+        if (!Number.isFinite(randomSeed)) {
+            throw new Error('prepare.freezeRandom must be true or a number');
+        }
+    }
+
+    const resolved = {
+        hide: selectorList(options.hide, 'hide'),
+        remove: selectorList(options.remove, 'remove'),
+        css: options.css || '',
+        script: options.script || '',
+        disableAnimations: Boolean(options.disableAnimations),
+        dismissConsent: Boolean(options.dismissConsent),
+        frozenDate,
+        randomSeed,
+    };
+    resolved.active = Boolean(resolved.hide.length || resolved.remove.length || resolved.css || resolved.script ||
+        resolved.disableAnimations || resolved.dismissConsent || frozenDate !== null || randomSeed !== null);
+    return resolved;
+}
+
+/**
+ * Install the frozen clock and seeded Math.random; call before navigating so page scripts see them from the start
+ * @param {import('puppeteer-core').Page} page - Page
+ * @param {Object} prepare - From resolvePrepareOptions
+ * @returns {Promise} Resolves once the script is registered
+ */
+async function installDeterminism(page, prepare) {
+    if (prepare.frozenDate === null && prepare.randomSeed === null) {
+        return;
+    }
+    await page.evaluateOnNewDocument((frozenDate, randomSeed) => {
+        if (frozenDate !== null) {
+            // The clock starts at the frozen time and then ticks, so code waiting for time to pass still finishes
+            const RealDate = Date;
+            const started = performance.now();
+            const now = () => frozenDate + Math.floor(performance.now() - started);
+            function FrozenDate(...args) {
+                // Date() without new returns a string
+                if (!new.target) {
+                    return new RealDate(now()).toString();
+                }
+                return new RealDate(...(args.length ? args : [now()]));
+            }
+            FrozenDate.prototype = RealDate.prototype;
+            FrozenDate.now = now;
+            FrozenDate.parse = RealDate.parse;
+            FrozenDate.UTC = RealDate.UTC;
+            window.Date = FrozenDate;
+        }
+        if (randomSeed !== null) {
+            // mulberry32: small, fast and good enough for layout code
+            let state = randomSeed >>> 0;
+            Math.random = () => {
+                state = (state + 0x6D2B79F5) >>> 0;
+                let t = state;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+        }
+    }, prepare.frozenDate, prepare.randomSeed);
+}
+
+/**
+ * Override the viewport meta tag and inject CSS so responsive pages keep their desktop layout
+ * @param {import('puppeteer-core').Page} page - Page
+ * @param {number} width - Device width in CSS pixels
+ * @returns {Promise} Resolves once applied
+ */
+async function forceDesktopLayout(page, width) {
+    await page.evaluate((width) => {
+        // Remove any existing viewport meta tags
+        const existingViewports = document.querySelectorAll('meta[name="viewport"]');
+        existingViewports.forEach(tag => tag.remove());
+
+        // Add our own viewport meta tag
+        const meta = document.createElement('meta');
+        meta.name = 'viewport';
+        meta.content = `width=${width}, initial-scale=1.0`;
+        document.head.appendChild(meta);
+    }, width);
+
+    await page.addStyleTag({
+        content: `
+            /* Force desktop layout */
+            @media (max-width: ${width}px) {
+                body { min-width: ${width}px !important; }
+            }
+            /* Disable responsive behaviors */
+            .container, .container-fluid {
+                width: ${width}px !important;
+                max-width: none !important;
+            }
+            /* Ensure proper scaling */
+            html, body {
+                zoom: 1 !important;
+                -webkit-text-size-adjust: 100% !important;
+            }
+        `
+    });
+}
+
+/**
+ * Inject the preparation CSS right after navigation; style rules also cover elements added later, e.g. chat widgets
+ * @param {import('puppeteer-core').Page} page - Page
+ * @param {Object} prepare - From resolvePrepareOptions
+ * @returns {Promise} Resolves once the styles are in place
+ */
+async function applyPageStyles(page, prepare) {
+    const rules = [];
+    if (prepare.disableAnimations) {
+        rules.push(DISABLE_ANIMATIONS_CSS);
+    }
+    if (prepare.hide.length) {
+        rules.push(`${prepare.hide.join(',\n')} { visibility: hidden !important; }`);
+    }
+    if (prepare.remove.length) {
+        rules.push(`${prepare.remove.join(',\n')} { display: none !important; }`);
+    }
+    if (prepare.css) {
+        rules.push(prepare.css);
+    }
+    if (rules.length) {
+        await page.addStyleTag({ content: rules.join('\n') });
+    }
+}
+
+/**
+ * Click the accept button of a cookie or consent banner, if one is showing
+ * @param {import('puppeteer-core').Page} page - Page
+ * @returns {Promise<string|null>} What was clicked, or null
+ */
+function dismissConsent(page) {
+    return page.evaluate((buttons, labels) => {
+        const visible = element => {
+            const box = element.getBoundingClientRect();
+            return box.width > 0 && box.height > 0 && window.getComputedStyle(element).visibility !== 'hidden';
+        };
+
+        for (const selector of buttons) {
+            const button = document.querySelector(selector);
+            if (button && visible(button)) {
+                button.click();
+                return selector;
+            }
+        }
+
+        // Fall back to a button with an accept label inside something named like a consent banner
+        const banners = Array.from(document.querySelectorAll('[id*="cookie" i], [class*="cookie" i], [id*="consent" i], [class*="consent" i], [id*="gdpr" i], [class*="gdpr" i]'));
+        for (const banner of banners) {
+            const button = Array.from(banner.querySelectorAll('button, a, [role="button"], input[type="button"], input[type="submit"]'))
+                .find(candidate => labels.includes((candidate.innerText || candidate.value || '').trim().toLowerCase()) && visible(candidate));
+            if (button) {
+                button.click();
+                return `${button.tagName.toLowerCase()} "${(button.innerText || button.value).trim()}"`;
+            }
+        }
+        return null;
+    }, CONSENT_BUTTONS, CONSENT_LABELS);
+}
+
+/**
+ * Prepare a loaded page for capture: dismiss consent banners, run the custom script, remove elements
+ * and finish running animations. Call once the page is ready and before scrolling.
+ * @param {import('puppeteer-core').Page} page - Page
+ * @param {Object} prepare - From resolvePrepareOptions
+ * @returns {Promise<Object>} { consent, removed, script } describing what was done
+ */
+async function preparePage(page, prepare) {
+    const report = { consent: null, removed: 0, script: undefined };
+
+    if (prepare.dismissConsent) {
+        report.consent = await dismissConsent(page);
+        if (report.consent) {
+            // Banners usually fade out; give them a moment before continuing
+            await new Promise(resolve => setTimeout(resolve, 300));
+        }
+    }
+
+    if (prepare.script) {
+        // Wrapped in a function so the script can use await and return a value
+        try {
+            report.script = await page.evaluate(`(async () => {\n${prepare.script}\n})()`);
+        } catch (error) {
+            throw new CaptureError('INVALID_REQUEST', `prepare.script failed: ${error.message}`);
+        }
+    }
+
+    if (prepare.remove.length) {
+        report.removed = await page.evaluate(selectors => {
+            const elements = Array.from(document.querySelectorAll(selectors.join(',')));
+            elements.forEach(element => element.remove());
+            return elements.length;
+        }, prepare.remove);
+    }
+
+    if (prepare.disableAnimations) {
+        // Web Animations and JS-started CSS animations ignore the stylesheet, so jump them to the end
+        await page.evaluate(() => {
+            if (document.getAnimations) {
+                document.getAnimations().forEach(animation => {
+                    try {
+                        animation.finish();
+                    } catch (error) {
+                        // Infinite animations cannot finish; pause them instead
+                        animation.pause();
+                    }
+                });
+            }
+        });
+    }
+
+    return report;
+}
+
+module.exports = {
+    resolvePrepareOptions,
+    installDeterminism,
+    forceDesktopLayout,
+    applyPageStyles,
+    preparePage,
+};
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./validation');
+const { logger } = require('./logger');
+
+// Profile names appear in URLs and request bodies
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Whether a value is a plain object, as opposed to an array, null or a primitive
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge options over a base; nested objects such as `prepare` merge key by key, arrays and other values replace
+ * @param {Object} base - Options from a profile
+ * @param {Object} overrides - Options given with the request; undefined values are ignored
+ * @returns {Object} Merged options
+ */
+function mergeOptions(base, overrides) {
+    const merged = { ...base };
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (value === undefined) {
+            return;
+        }
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeOptions(merged[key], value) : value;
+    });
+    return merged;
+}
+
+/**
+ * Named capture option presets, kept in a JSON file of { "<name>": { description, ...options } }
+ *
+ * Profiles hold the options callers would otherwise repeat with every request (device, wait strategy,
+ * format, page preparation, height settings); requests name one with `profile` and override single fields.
+ */
+class ProfileStore {
+    /**
+     * Create a profile store
+     * @param {Object} options - Store options
+     * @param {string} options.file - Profiles file (default: PROFILES_PATH env or ./screenshots/.state/profiles.json)
+     */
+    constructor(options = {}) {
+        this.file = options.file || process.env.PROFILES_PATH || './screenshots/.state/profiles.json';
+        this.profiles = new Map();
+    }
+
+    /**
+     * Check a profile name
+     * @param {string} name - Profile name
+     * @returns {boolean} True when the name is usable
+     */
+    static isValidName(name) {
+        return typeof name === 'string' && NAME_PATTERN.test(name);
+    }
+
+    /**
+     * Read the profiles file; invalid profiles are skipped with a warning
+     * @returns {ProfileStore} this
+     */
+    load() {
+        this.profiles.clear();
+        if (!fs.existsSync(this.file)) {
+            return this;
+        }
+
+        // A broken file stops startup rather than being overwritten by the next change
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read profiles from ${this.file}: ${error.message}`);
+        }
+        if (!isPlainObject(content)) {
+            throw new Error(`${this.file} must contain an object of profiles keyed by name`);
+        }
+        Object.entries(content).forEach(([name, profile]) => {
+            const details = ProfileStore.isValidName(name) ? validate('CaptureProfile', profile) : [{ field: '(name)', message: 'is not a valid profile name' }];
+            if (details) {
+                logger.warn('Skipped invalid capture profile', { file: this.file, profile: name, problems: details });
+                return;
+            }
+            this.profiles.set(name, profile);
+        });
+
+        logger.info('Loaded capture profiles', { file: this.file, profiles: this.profiles.size });
+        return this;
+    }
+
+    /**
+     * Write every profile back to the file, atomically
+     */
+    save() {
+        const directory = path.dirname(this.file);
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+        const tmpFile = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpFile, `${JSON.stringify(Object.fromEntries(this.profiles), null, 2)}\n`);
+        fs.renameSync(tmpFile, this.file);
+    }
+
+    /**
+     * List profiles by name
+     * @returns {Array<Object>} { name, ...profile }
+     */
+    list() {
+        return [...this.profiles.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, profile]) => ({ name, ...profile }));
+    }
+
+    /**
+     * Look up a profile
+     * @param {string} name - Profile name
+     * @returns {Object|null} Profile with its description and options
+     */
+    get(name) {
+        return this.profiles.get(name) || null;
+    }
+
+    /**
+     * Create or replace a profile and persist it
+     * @param {string} name - Profile name
+     * @param {Object} profile - { description, ...capture options }, already validated
+     * @returns {boolean} True when the profile is new
+     */
+    set(name, profile) {
+        if (!ProfileStore.isValidName(name)) {
+            throw new Error('Profile names may only contain letters, digits, - and _ (up to 64)');
+        }
+        const created = !this.profiles.has(name);
+        this.profiles.set(name, profile);
+        this.save();
+        return created;
+    }
+
+    /**
+     * Delete a profile and persist the change
+     * @param {string} name - Profile name
+     * @returns {boolean} True when the profile existed
+     */
+    delete(name) {
+        if (!this.profiles.delete(name)) {
+            return false;
+        }
+        this.save();
+        return true;
+    }
+
+    /**
+     * Merge a profile's options under the given ones
+     * @param {string} name - Profile name
+     * @param {Object} overrides - Options that win over the profile
+     * @returns {Object} Effective options
+     */
+    apply(name, overrides) {
+        const profile = this.get(name);
+        if (!profile) {
+            throw new Error(`Unknown profile: ${name}`);
+        }
+        const { description, ...options } = profile;
+        return mergeOptions(options, overrides);
+    }
+}
+
+module.exports = { ProfileStore, mergeOptions };
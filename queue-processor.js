@@ -1,166 +1,548 @@
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
+const EventEmitter = require('events');
 const { captureScreenshot } = require('./landingsite-screenshot');
+const { getDefaultPool } = require('./browser-pool');
+const { resolveTarget } = require('./target-resolver');
+const { deliverWebhook } = require('./webhooks');
+const { getExtension } = require('./output-formats');
+const { publishResult } = require('./storage');
+const { logger } = require('./logger');
+const { registry } = require('./metrics');
+const { classifyError, resolveRetryPolicy, retryDelay } = require('./errors');
+
+// Queues currently processing, read when metrics are scraped
+const runningQueues = new Set();
+
+registry.gauge('screenshot_queue_depth', 'Batch items waiting to be captured', metric => {
+    metric.set({}, [...runningQueues].reduce((total, queue) => total + queue.pending.length, 0));
+});
+registry.gauge('screenshot_batch_active_jobs', 'Batch items being captured', metric => {
+    metric.set({}, [...runningQueues].reduce((total, queue) => total + queue.activeJobs, 0));
+});
+registry.gauge('screenshot_batches_running', 'Batches being processed', metric => {
+    metric.set({}, runningQueues.size);
+});
 
 /**
  * Queue system for processing multiple screenshot requests
+ *
+ * Emits 'progress' with each capture stage of an item, 'item' with each finished item and 'complete' with the final report.
  */
-class ScreenshotQueue {
+class ScreenshotQueue extends EventEmitter {
     /**
      * Create a new screenshot queue
-     * @param {number} concurrency - Number of concurrent screenshots
-     * @param {number} retries - Number of retry attempts
+     * @param {Object} options - Queue options
+     * @param {string} options.batchId - Unique batch identifier (default: random UUID)
+     * @param {string} options.outputDir - Directory screenshots are written to (default: ./screenshots)
+     * @param {string} options.outputPrefix - Prepended to every file name, so repeated runs get their own files and versions (default: none)
+     * @param {number} options.concurrency - Number of concurrent screenshots (default: 1)
+     * @param {number} options.retries - Number of attempts per item (default: 3)
+     * @param {number} options.retryDelay - Delay before the first retry in ms, doubled per attempt with jitter (default: RETRY_BASE_DELAY env or 1000)
+     * @param {number} options.maxRetryDelay - Longest delay between attempts in ms (default: RETRY_MAX_DELAY env or 30000)
+     * @param {string} options.reportPath - Where run() writes the report (default: <outputDir>/report.json)
+     * @param {Object} options.captureOptions - Options passed to captureScreenshot for every item
+     * @param {import('./browser-pool').BrowserPool} options.pool - Browser pool to capture with (default: shared pool)
+     * @param {import('./scheduler').CaptureScheduler} options.scheduler - Run captures through this scheduler at batch priority (default: none, only `concurrency` limits them)
+     * @param {import('./batch-store').BatchStore} options.store - Persist batch and item state (default: in-memory only)
+     * @param {import('./screenshot-store').ScreenshotStore} options.versions - Keep a versioned copy of every capture (default: none)
+     * @param {Object} options.storage - Storage adapter captures are published to (default: none, files stay local)
+     * @param {string} options.callbackUrl - Receives a signed `batch.completed` webhook when the run finishes
+     * @param {boolean} options.callbackOnItem - Also send `capture.completed`/`capture.failed` for every item
+     * @param {string} options.screenshotUrlPrefix - Public URL prefix for screenshots in webhook payloads
+     * @param {import('./logger').Logger} options.logger - Logger carrying request context (default: root logger)
      */
-    constructor(concurrency = 1, retries = 3) {
-        this.concurrency = concurrency;
-        this.retries = retries;
+    constructor(options = {}) {
+        super();
+        this.batchId = options.batchId || crypto.randomUUID();
+        this.outputDir = options.outputDir || './screenshots';
+        this.outputPrefix = options.outputPrefix || '';
+        this.concurrency = Math.max(1, options.concurrency || 1);
+        this.retryPolicy = resolveRetryPolicy(options);
+        this.retries = this.retryPolicy.retries;
+        this.reportPath = options.reportPath || path.join(this.outputDir, 'report.json');
+        this.captureOptions = options.captureOptions || {};
+        this.pool = options.pool || getDefaultPool();
+        this.scheduler = options.scheduler || null;
+        this.store = options.store || null;
+        this.versions = options.versions || null;
+        this.storage = options.storage || null;
+        this.callbackUrl = options.callbackUrl || null;
+        this.callbackOnItem = Boolean(options.callbackOnItem);
+        this.screenshotUrlPrefix = options.screenshotUrlPrefix || null;
+        this.log = (options.logger || logger).child({ batchId: this.batchId });
+
+        this.createdAt = Date.now();
+        this.items = [];
+        this.pending = [];
         this.activeJobs = 0;
-        this.batchStatuses = {};
-    }
-    
-    /**
-     * Process a batch of IDs
-     * @param {string} batchId - Unique batch identifier
-     * @param {Array<string>} ids - Array of website preview IDs
-     */
-    processBatch(batchId, ids) {
-        // Initialize batch status
-        this.batchStatuses[batchId] = {
-            id: batchId,
-            status: 'processing',
-            total: ids.length,
+        this.running = null;
+
+        this.status = {
+            id: this.batchId,
+            status: 'queued',
+            total: 0,
             completed: 0,
             successful: 0,
             failed: 0,
-            startTime: Date.now(),
+            startTime: null,
             endTime: null,
             results: {
                 success: [],
                 failed: []
-            }
+            },
+            deliveries: []
         };
-        
+    }
+
+    /**
+     * Add a single target to the queue
+     * @param {string|Object} target - Preview ID, URL or { id, url } target
+     * @returns {Object} Queued item
+     */
+    add(target) {
+        // Resolve up front so bad targets are rejected before anything runs
+        const { key, url } = resolveTarget(target, this.captureOptions);
+        const extension = getExtension(this.captureOptions.format);
+
+        const item = {
+            index: this.items.length,
+            id: key,
+            url,
+            status: 'pending',
+            outputPath: path.join(this.outputDir, `${this.outputPrefix}${key}.${extension}`),
+            attempts: [],
+            duration: null,
+            error: null,
+            derivatives: []
+        };
+
+        this.items.push(item);
+        this.pending.push(item);
+        this.status.total++;
+        return item;
+    }
+
+    /**
+     * Add several targets to the queue
+     * @param {Array<string|Object>} targets - Preview IDs, URLs or { id, url } targets
+     * @returns {Array<Object>} Queued items
+     */
+    enqueue(targets) {
+        return targets.map(target => this.add(target));
+    }
+
+    /**
+     * Process every queued item
+     * @returns {Promise<Object>} Report, resolved once all items have finished
+     */
+    run() {
+        if (!this.running) {
+            this.running = this.processQueue().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    /**
+     * Drain the queue with up to `concurrency` workers and write the report
+     * @returns {Promise<Object>} Report
+     */
+    async processQueue() {
         // Create output directory if it doesn't exist
-        const outputDir = './screenshots';
-        if (!fs.existsSync(outputDir)) {
-            fs.mkdirSync(outputDir, { recursive: true });
+        if (!fs.existsSync(this.outputDir)) {
+            fs.mkdirSync(this.outputDir, { recursive: true });
         }
-        
-        // Create a queue of IDs to process
-        const queue = [...ids];
-        
-        // Process function that handles concurrency
-        const processNext = () => {
-            if (queue.length === 0) {
-                // If no more items in queue and no active jobs, we're done
-                if (this.activeJobs === 0) {
-                    const status = this.batchStatuses[batchId];
-                    status.status = 'completed';
-                    status.endTime = Date.now();
-                    status.duration = status.endTime - status.startTime;
-                    
-                    console.log(`Batch ${batchId} completed: ${status.successful} successful, ${status.failed} failed`);
+
+        this.status.status = 'processing';
+        this.status.startTime = this.status.startTime || Date.now();
+        this.persistBatch();
+        this.log.info('Batch started', { total: this.items.length, pending: this.pending.length, concurrency: this.concurrency });
+        runningQueues.add(this);
+
+        const worker = async () => {
+            while (this.pending.length > 0) {
+                const item = this.pending.shift();
+                this.activeJobs++;
+                try {
+                    await this.processItem(item);
+                } finally {
+                    this.activeJobs--;
                 }
-                return;
             }
-            
-            // If we're at max concurrency, wait for a job to finish
-            if (this.activeJobs >= this.concurrency) {
-                return;
-            }
-            
-            // Get the next ID from the queue
-            const id = queue.shift();
-            this.activeJobs++;
-            
-            // Process the ID
-            this.processId(batchId, id, 0)
-                .finally(() => {
-                    this.activeJobs--;
-                    // Process the next item
-                    processNext();
-                });
-            
-            // Try to process more items if we have capacity
-            processNext();
         };
-        
-        // Start processing
-        processNext();
+
+        const workers = [];
+        for (let i = 0; i < this.concurrency; i++) {
+            workers.push(worker());
+        }
+        try {
+            await Promise.all(workers);
+        } finally {
+            runningQueues.delete(this);
+        }
+
+        this.status.status = 'completed';
+        this.status.endTime = Date.now();
+        this.status.duration = this.status.endTime - this.status.startTime;
+        if (this.store) {
+            this.store.updateBatch(this.batchId, { status: 'completed', endTime: this.status.endTime });
+        }
+        this.log.info('Batch completed', {
+            successful: this.status.successful,
+            failed: this.status.failed,
+            durationMs: this.status.duration
+        });
+
+        this.writeReport();
+
+        const report = this.generateReport();
+        this.notify('batch.completed', {
+            ...report,
+            items: report.items.map(item => this.toCallbackItem(item))
+        });
+        this.emit('complete', report);
+        return report;
     }
-    
+
     /**
-     * Process a single ID with retries
-     * @param {string} batchId - Batch identifier
-     * @param {string} id - Website preview ID
-     * @param {number} attempt - Current attempt number
+     * Process a single item, retrying with backoff unless the failure is permanent
+     * @param {Object} item - Queued item
      */
-    async processId(batchId, id, attempt) {
-        const status = this.batchStatuses[batchId];
-        const outputPath = path.join('./screenshots', `${id}.png`);
-        
-        try {
-            console.log(`Processing ID: ${id} (Attempt ${attempt + 1}/${this.retries})`);
-            
-            const result = await captureScreenshot(id, outputPath);
-            
-            if (result.success) {
-                // Success
-                status.results.success.push({
-                    id,
-                    path: outputPath,
-                    attempts: attempt + 1
+    async processItem(item) {
+        item.status = 'processing';
+        const itemStart = Date.now();
+        const log = this.log.child({ previewId: item.id });
+        this.persistItem(item);
+
+        // Resumed items continue from the attempts they already used
+        for (let attempt = item.attempts.length + 1; attempt <= this.retries; attempt++) {
+            log.info('Processing item', { attempt, retries: this.retries });
+            const attemptStart = Date.now();
+
+            let error;
+            let errorCode = null;
+            let retryable = true;
+            try {
+                const capture = () => captureScreenshot({ id: item.id, url: item.url }, item.outputPath, {
+                    ...this.captureOptions,
+                    pool: this.pool,
+                    versionStore: this.versions,
+                    logger: log,
+                    onProgress: event => this.emit('progress', { id: item.id, index: item.index, attempt, ...event })
                 });
-                status.successful++;
-                status.completed++;
-                console.log(`Successfully captured screenshot for ID: ${id}`);
-            } else {
-                // Failure, retry if we haven't reached max attempts
-                if (attempt < this.retries - 1) {
-                    console.log(`Retrying ID: ${id} (${this.retries - attempt - 1} attempts remaining)`);
-                    return this.processId(batchId, id, attempt + 1);
+                // Batch items yield to interactive captures waiting for the same slots
+                const result = await (this.scheduler ? this.scheduler.run(capture, { priority: 'batch', label: item.id }) : capture());
+                if (result.success && this.storage) {
+                    await publishResult(this.storage, result, this.screenshotUrlPrefix);
+                    item.screenshotUrl = result.url;
+                }
+                error = result.success ? null : result.error;
+                // Only the verdict is kept; the full report is in the capture result
+                item.quality = result.quality ? { passed: result.quality.passed, issues: result.quality.issues } : null;
+                if (!result.success) {
+                    errorCode = result.errorCode || 'CAPTURE_FAILED';
+                    retryable = result.retryable !== false;
+                }
+                if (result.version) {
+                    item.version = result.version.version;
+                }
+                if (result.derivatives) {
+                    item.derivatives = result.derivatives.map(derivative => ({
+                        ...derivative,
+                        url: derivative.url || this.toScreenshotUrl(derivative.path)
+                    }));
+                }
+            } catch (err) {
+                // Unexpected error, treated like a failed capture
+                const captureError = classifyError(err);
+                error = captureError.message;
+                errorCode = captureError.code;
+                retryable = captureError.retryable;
+            }
+
+            item.attempts.push({
+                attempt,
+                startTime: attemptStart,
+                duration: Date.now() - attemptStart,
+                error,
+                errorCode
+            });
+            item.error = error;
+            item.errorCode = errorCode;
+
+            if (!error) {
+                item.status = 'success';
+                break;
+            }
+
+            if (!retryable) {
+                log.warn('Not retrying permanent failure', { attempt, errorCode, error });
+                break;
+            }
+
+            if (attempt < this.retries) {
+                const delay = retryDelay(this.retryPolicy, attempt);
+                log.warn('Retrying item', { attempt, remaining: this.retries - attempt, errorCode, error, delayMs: delay });
+                this.persistItem(item);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        if (item.status !== 'success') {
+            item.status = 'failed';
+            item.error = item.error || 'No attempts remaining';
+        }
+
+        // Resumed items keep the time spent before the restart
+        item.duration = (item.duration || 0) + Date.now() - itemStart;
+        this.persistItem(item);
+        this.recordResult(item);
+        if (this.callbackOnItem) {
+            this.notify(item.status === 'success' ? 'capture.completed' : 'capture.failed', this.toCallbackItem(item));
+        }
+        this.emit('item', item);
+    }
+
+    /**
+     * Shape an item for a webhook payload
+     * @param {Object} item - Queued or reported item
+     * @returns {Object} Webhook item
+     */
+    toCallbackItem(item) {
+        const success = item.status === 'success';
+        return {
+            batchId: this.batchId,
+            id: item.id,
+            url: item.url,
+            success,
+            screenshotUrl: success ? item.screenshotUrl || this.toScreenshotUrl(item.outputPath || item.path) : null,
+            derivatives: item.derivatives || [],
+            error: success ? null : item.error,
+            errorCode: success ? null : item.errorCode || null,
+            quality: item.quality || null,
+            attempts: Array.isArray(item.attempts) ? item.attempts.length : item.attempts,
+            duration: item.duration
+        };
+    }
+
+    /**
+     * Map a file in the output directory to its public URL
+     * @param {string} filePath - Screenshot or derivative path
+     * @returns {string|null} URL, or null when no public prefix is configured
+     */
+    toScreenshotUrl(filePath) {
+        return this.screenshotUrlPrefix ? `${this.screenshotUrlPrefix}/${path.basename(filePath)}` : null;
+    }
+
+    /**
+     * Send a webhook in the background and record its delivery log
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload
+     */
+    notify(event, data) {
+        if (!this.callbackUrl) {
+            return;
+        }
+
+        let logged = null;
+        deliverWebhook(this.callbackUrl, event, data, {
+            onAttempt: delivery => {
+                const snapshot = { ...delivery, attempts: [...delivery.attempts] };
+                if (logged) {
+                    this.status.deliveries[this.status.deliveries.indexOf(logged)] = snapshot;
                 } else {
-                    // Max retries reached, mark as failed
-                    status.results.failed.push({
-                        id,
-                        error: result.error,
-                        attempts: attempt + 1
-                    });
-                    status.failed++;
-                    status.completed++;
-                    console.error(`Failed to capture screenshot for ID: ${id} after ${attempt + 1} attempts`);
+                    this.status.deliveries.push(snapshot);
+                }
+                logged = snapshot;
+                if (this.store) {
+                    this.store.saveDelivery(this.batchId, snapshot);
                 }
             }
-        } catch (error) {
-            // Unexpected error, retry if we haven't reached max attempts
-            if (attempt < this.retries - 1) {
-                console.log(`Error processing ID: ${id}, retrying (${this.retries - attempt - 1} attempts remaining)`);
-                return this.processId(batchId, id, attempt + 1);
-            } else {
-                // Max retries reached, mark as failed
-                status.results.failed.push({
-                    id,
-                    error: error.message,
-                    attempts: attempt + 1
-                });
-                status.failed++;
-                status.completed++;
-                console.error(`Failed to process ID: ${id} after ${attempt + 1} attempts: ${error.message}`);
+        }).catch(err => {
+            this.log.error('Webhook errored', { event, error: err.message });
+        });
+    }
+
+    /**
+     * Fold a finished item into the batch status
+     * @param {Object} item - Finished item
+     * @param {boolean} quiet - Skip logging (used when restoring items)
+     */
+    recordResult(item, quiet = false) {
+        const status = this.status;
+        status.completed++;
+
+        if (item.status === 'success') {
+            status.results.success.push({
+                id: item.id,
+                url: item.url,
+                path: item.outputPath,
+                derivatives: item.derivatives || [],
+                attempts: item.attempts.length
+            });
+            status.successful++;
+            if (!quiet) {
+                this.log.info('Item captured', { previewId: item.id, attempts: item.attempts.length });
+            }
+        } else {
+            status.results.failed.push({
+                id: item.id,
+                url: item.url,
+                error: item.error,
+                errorCode: item.errorCode || null,
+                attempts: item.attempts.length
+            });
+            status.failed++;
+            if (!quiet) {
+                this.log.error('Item failed', { previewId: item.id, attempts: item.attempts.length, errorCode: item.errorCode, error: item.error });
             }
         }
     }
-    
+
     /**
-     * Get the status of a batch
+     * Write the whole batch, including options needed to resume it, to the store
+     */
+    persistBatch() {
+        if (!this.store) {
+            return;
+        }
+
+        this.store.saveBatch({
+            id: this.batchId,
+            status: this.status.status,
+            createdAt: this.createdAt,
+            startTime: this.status.startTime,
+            endTime: this.status.endTime,
+            options: {
+                outputDir: this.outputDir,
+                outputPrefix: this.outputPrefix,
+                concurrency: this.concurrency,
+                retries: this.retries,
+                retryDelay: this.retryPolicy.retryDelay,
+                maxRetryDelay: this.retryPolicy.maxRetryDelay,
+                reportPath: this.reportPath,
+                captureOptions: this.captureOptions,
+                callbackUrl: this.callbackUrl,
+                callbackOnItem: this.callbackOnItem,
+                screenshotUrlPrefix: this.screenshotUrlPrefix
+            },
+            deliveries: this.status.deliveries,
+            items: this.items.map(serializeItem)
+        });
+    }
+
+    /**
+     * Write a single item's state to the store
+     * @param {Object} item - Queued item
+     */
+    persistItem(item) {
+        if (this.store) {
+            this.store.saveItem(this.batchId, serializeItem(item));
+        }
+    }
+
+    /**
+     * Re-add an item from a stored batch; unfinished items go back on the queue
+     * @param {Object} saved - Stored item
+     */
+    restoreItem(saved) {
+        const item = { ...saved, index: this.items.length, attempts: saved.attempts || [] };
+        this.items.push(item);
+        this.status.total++;
+
+        if (item.status === 'success' || item.status === 'failed') {
+            this.recordResult(item, true);
+        } else {
+            item.status = 'pending';
+            this.pending.push(item);
+        }
+    }
+
+    /**
+     * Rebuild a queue for a batch that was interrupted by a restart
+     * @param {Object} record - Batch record from the store
+     * @param {Object} options - Extra queue options (e.g. store, pool)
+     * @returns {ScreenshotQueue} Queue ready to run()
+     */
+    static resume(record, options = {}) {
+        const queue = new ScreenshotQueue({ ...record.options, ...options, batchId: record.id });
+        queue.createdAt = record.createdAt;
+        queue.status.startTime = record.startTime;
+        record.items.filter(Boolean).forEach(saved => queue.restoreItem(saved));
+        return queue;
+    }
+
+    /**
+     * Build a report with per-item attempts, durations and errors
+     * @returns {Object} Report
+     */
+    generateReport() {
+        const { id, status, total, completed, successful, failed, startTime, endTime, duration } = this.status;
+        return {
+            batchId: id,
+            status,
+            total,
+            completed,
+            successful,
+            failed,
+            startTime,
+            endTime,
+            duration: duration || null,
+            outputDir: this.outputDir,
+            items: this.items.map(item => ({
+                id: item.id,
+                url: item.url,
+                status: item.status,
+                path: item.status === 'success' ? item.outputPath : null,
+                screenshotUrl: item.status === 'success' ? item.screenshotUrl || null : null,
+                version: item.version || null,
+                derivatives: item.derivatives || [],
+                duration: item.duration,
+                error: item.error,
+                errorCode: item.errorCode || null,
+                quality: item.quality || null,
+                attempts: item.attempts
+            }))
+        };
+    }
+
+    /**
+     * Write the report as JSON
+     * @param {string} reportPath - Destination (default: the queue's reportPath)
+     * @returns {string} Path the report was written to
+     */
+    writeReport(reportPath = this.reportPath) {
+        try {
+            fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+            fs.writeFileSync(reportPath, JSON.stringify(this.generateReport(), null, 2));
+        } catch (err) {
+            this.log.error('Failed to write report', { reportPath, error: err.message });
+        }
+        return reportPath;
+    }
+
+    /**
+     * Get the status of a batch this process is running; finished batches are kept by BatchStore
      * @param {string} batchId - Batch identifier
      * @returns {Object|null} - Batch status or null if not found
      */
     static getBatchStatus(batchId) {
-        return ScreenshotQueue.prototype.batchStatuses[batchId] || null;
+        const queue = [...runningQueues].find(running => running.batchId === batchId);
+        return queue ? queue.status : null;
     }
 }
 
-// Initialize static property to store batch statuses across instances
-ScreenshotQueue.prototype.batchStatuses = {};
+/**
+ * Strip an item down to what is persisted
+ * @param {Object} item - Queued item
+ * @returns {Object} Serializable item
+ */
+function serializeItem(item) {
+    const { index, id, url, status, outputPath, screenshotUrl, version, attempts, duration, error, errorCode, quality, derivatives } = item;
+    return { index, id, url, status, outputPath, screenshotUrl, version, attempts, duration, error, errorCode, quality, derivatives };
+}
 
-module.exports = { ScreenshotQueue };
\ No newline at end of file
+module.exports = { ScreenshotQueue };
@@ -0,0 +1,220 @@
+// Conditions used when a request specifies neither waitFor nor waitTime
+const DEFAULT_CONDITIONS = ['networkIdle', 'fonts', 'images', 'domStable'];
+
+// Conditions re-checked after scrolling, when lazy content starts loading
+const POST_SCROLL_CONDITIONS = ['networkIdle', 'images'];
+
+// Default per-condition timeout
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Readiness strategies, each receiving (page, condition) and resolving with an optional detail
+ */
+const STRATEGIES = {
+    // No requests in flight for `idleTime` ms
+    networkIdle: async (page, condition) => {
+        await page.waitForNetworkIdle({
+            idleTime: condition.idleTime || 500,
+            concurrency: condition.maxInflight || 0,
+            timeout: condition.timeout,
+        });
+    },
+
+    // Every <img> has loaded and been decoded
+    images: async (page, condition) => {
+        await page.waitForFunction(
+            () => Array.from(document.images).every(img => img.complete),
+            { timeout: condition.timeout, polling: 100 }
+        );
+        return page.evaluate(async () => {
+            const images = Array.from(document.images);
+            await Promise.all(images.map(img => img.decode().catch(() => {})));
+            return { images: images.length, broken: images.filter(img => img.naturalWidth === 0).length };
+        });
+    },
+
+    // Web fonts have finished loading
+    fonts: async (page) => {
+        return page.evaluate(async () => {
+            await document.fonts.ready;
+            return { fonts: document.fonts.size, status: document.fonts.status };
+        });
+    },
+
+    // A selector is present (and optionally visible)
+    selector: async (page, condition) => {
+        if (!condition.selector) {
+            throw new Error('selector condition requires a selector');
+        }
+        await page.waitForSelector(condition.selector, {
+            visible: condition.visible !== false,
+            timeout: condition.timeout,
+        });
+        return { selector: condition.selector };
+    },
+
+    // A JS expression evaluated in the page returns a truthy value
+    function: async (page, condition) => {
+        if (!condition.expression) {
+            throw new Error('function condition requires an expression');
+        }
+        await page.waitForFunction(condition.expression, {
+            timeout: condition.timeout,
+            polling: condition.polling || 100,
+        });
+    },
+
+    // No DOM mutations for `window` ms
+    domStable: async (page, condition) => {
+        const stableWindow = condition.window || 1000;
+        return page.evaluate((stableWindow, timeout) => new Promise((resolve, reject) => {
+            let mutations = 0;
+            let timer = setTimeout(done, stableWindow);
+            // Backstop only; the caller races this against the real timeout
+            const deadline = setTimeout(() => {
+                observer.disconnect();
+                clearTimeout(timer);
+                reject(new Error(`DOM still changing after ${timeout}ms`));
+            }, timeout);
+            const observer = new MutationObserver(records => {
+                mutations += records.length;
+                clearTimeout(timer);
+                timer = setTimeout(done, stableWindow);
+            });
+            function done() {
+                observer.disconnect();
+                clearTimeout(deadline);
+                resolve({ mutations });
+            }
+            observer.observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+        }), stableWindow, condition.timeout + 1000);
+    },
+
+    // Fixed sleep, kept for the legacy waitTime option
+    delay: async (page, condition) => {
+        await new Promise(resolve => setTimeout(resolve, condition.ms || 0));
+    },
+};
+
+/**
+ * Normalize readiness conditions from capture options
+ * @param {string|Object|Array} waitFor - Condition names or { type, timeout, ... } objects
+ * @param {number} timeout - Default per-condition timeout in ms
+ * @returns {Array<Object>} Conditions with a type and timeout
+ */
+function normalizeConditions(waitFor, timeout = DEFAULT_TIMEOUT) {
+    const list = Array.isArray(waitFor) ? waitFor : [waitFor];
+    return list.map(condition => {
+        const normalized = typeof condition === 'string' ? { type: condition } : { ...condition };
+        if (!normalized || !Object.hasOwn(STRATEGIES, normalized.type)) {
+            throw new Error(`Unknown wait condition: ${normalized && normalized.type} (expected one of ${Object.keys(STRATEGIES).join(', ')})`);
+        }
+        normalized.timeout = parseInt(normalized.timeout) || timeout;
+        return normalized;
+    });
+}
+
+/**
+ * Work out which conditions a capture waits for
+ * @param {Object} options - Capture options
+ * @param {Array} options.waitFor - Readiness conditions
+ * @param {string} options.waitMode - 'all' (default) waits for every condition, 'any' for the first
+ * @param {number} options.waitTimeout - Default per-condition timeout (default: 15000)
+ * @param {number} options.waitTime - Legacy fixed wait, used when waitFor is not given
+ * @returns {Object} { mode, conditions, postScroll }
+ */
+function resolveReadiness(options = {}) {
+    const timeout = parseInt(options.waitTimeout) || DEFAULT_TIMEOUT;
+    const mode = options.waitMode || 'all';
+    if (!['all', 'any'].includes(mode)) {
+        throw new Error('waitMode must be "all" or "any"');
+    }
+
+    // Keep the old blind sleep behavior for callers that still send waitTime
+    if (!options.waitFor && options.waitTime) {
+        const waitTime = parseInt(options.waitTime);
+        return {
+            mode,
+            conditions: normalizeConditions({ type: 'delay', ms: waitTime, timeout: waitTime + 1000 }),
+            postScroll: normalizeConditions({ type: 'delay', ms: 2000, timeout: 3000 }),
+        };
+    }
+
+    return {
+        mode,
+        conditions: normalizeConditions(options.waitFor || DEFAULT_CONDITIONS, timeout),
+        postScroll: normalizeConditions(POST_SCROLL_CONDITIONS, Math.min(timeout, 5000)),
+    };
+}
+
+/**
+ * Run one condition, never throwing
+ * @param {import('puppeteer-core').Page} page - Page
+ * @param {Object} condition - Normalized condition
+ * @returns {Promise<Object>} { type, status, duration, detail|error }
+ */
+async function runCondition(page, condition) {
+    const start = Date.now();
+    let timer;
+    try {
+        // Every strategy is raced against its own timeout, even those without native support
+        const detail = await Promise.race([
+            STRATEGIES[condition.type](page, condition),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(Object.assign(new Error(`Timed out after ${condition.timeout}ms`), { name: 'TimeoutError' })), condition.timeout);
+            }),
+        ]);
+        return { type: condition.type, status: 'ready', duration: Date.now() - start, detail: detail || undefined };
+    } catch (err) {
+        const status = err.name === 'TimeoutError' ? 'timeout' : 'error';
+        return { type: condition.type, status, duration: Date.now() - start, error: err.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Wait until the page is ready according to the given conditions
+ * @param {import('puppeteer-core').Page} page - Page
+ * @param {Array<Object>} conditions - Normalized conditions
+ * @param {string} mode - 'all' or 'any'
+ * @returns {Promise<Object>} { mode, endedBy, timedOut, duration, conditions }
+ */
+async function waitForReadiness(page, conditions, mode = 'all') {
+    const start = Date.now();
+    const results = new Array(conditions.length);
+    const runs = conditions.map((condition, index) => runCondition(page, condition).then(result => {
+        results[index] = result;
+        return result;
+    }));
+
+    let endedBy;
+    if (mode === 'any') {
+        // The first condition to become ready ends the wait; otherwise wait for all to give up
+        endedBy = await new Promise(resolve => {
+            runs.forEach(run => run.then(result => {
+                if (result.status === 'ready') {
+                    resolve(result.type);
+                }
+            }));
+            Promise.all(runs).then(() => resolve('timeout'));
+        });
+    } else {
+        // The slowest condition ends the wait
+        const finished = [];
+        runs.forEach(run => run.then(result => finished.push(result)));
+        await Promise.all(runs);
+        const last = finished[finished.length - 1];
+        endedBy = finished.every(result => result.status === 'ready') ? last.type : 'timeout';
+    }
+
+    return {
+        mode,
+        endedBy,
+        timedOut: results.filter(result => result && result.status !== 'ready').map(result => result.type),
+        duration: Date.now() - start,
+        conditions: conditions.map((condition, index) => results[index] || { type: condition.type, status: 'pending' }),
+    };
+}
+
+module.exports = { resolveReadiness, waitForReadiness, normalizeConditions, STRATEGIES };
@@ -0,0 +1,258 @@
+const { CaptureError } = require('./errors');
+
+// What happens when a check trips: report it, fail the capture (so batches retry), or skip the checks
+const MODES = ['warn', 'fail', 'off'];
+
+// Entries kept per collected list, so a noisy page cannot bloat results
+const MAX_COLLECTED = 20;
+
+// Width the capture is shrunk to before looking for a dominant color
+const SAMPLE_WIDTH = 64;
+
+/**
+ * Parse a comma-separated selector list from the environment
+ * @param {string} value - e.g. ".error-page, #spinner"
+ * @returns {Array<string>} Selectors
+ */
+function parseSelectors(value) {
+    return String(value || '').split(',').map(selector => selector.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve post-capture quality check options
+ * @param {Object|string|boolean} options - { mode, uniformRatio, minContentHeight, maxFailedImages, maxPageErrors, errorSelectors },
+ *   a mode name, or false to turn the checks off
+ * @param {string} options.mode - warn, fail or off (default: QUALITY_CHECKS env or warn)
+ * @param {number} options.uniformRatio - Share of pixels in one color above which the page counts as blank (default: 0.98)
+ * @param {number} options.minContentHeight - Shortest acceptable document in CSS pixels (default: 100)
+ * @param {number} options.maxFailedImages - Failed images tolerated (default: 0)
+ * @param {number} options.maxPageErrors - Uncaught page errors tolerated (default: unlimited, only reported)
+ * @param {Array<string>} options.errorSelectors - Selectors that mark an error page or a stuck spinner (default: ERROR_SELECTORS env)
+ * @returns {Object} Resolved checks
+ */
+function resolveQualityChecks(options) {
+    if (options === false) {
+        options = { mode: 'off' };
+    } else if (typeof options === 'string') {
+        options = { mode: options };
+    } else {
+        options = options || {};
+    }
+
+    const mode = options.mode || process.env.QUALITY_CHECKS || 'warn';
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown quality check mode: ${mode} (expected ${MODES.join(', ')})`);
+    }
+
+    const errorSelectors = options.errorSelectors !== undefined ? options.errorSelectors : parseSelectors(process.env.ERROR_SELECTORS);
+    if (!Array.isArray(errorSelectors) || errorSelectors.some(selector => typeof selector !== 'string')) {
+        throw new Error('errorSelectors must be an array of CSS selectors');
+    }
+
+    const uniformRatio = options.uniformRatio !== undefined ? Number(options.uniformRatio) : 0.98;
+    if (!(uniformRatio > 0 && uniformRatio <= 1)) {
+        throw new Error('uniformRatio must be between 0 and 1');
+    }
+
+    return {
+        mode,
+        uniformRatio,
+        minContentHeight: options.minContentHeight !== undefined ? parseInt(options.minContentHeight) : 100,
+        maxFailedImages: options.maxFailedImages !== undefined ? parseInt(options.maxFailedImages) : 0,
+        maxPageErrors: options.maxPageErrors !== undefined ? parseInt(options.maxPageErrors) : null,
+        errorSelectors,
+    };
+}
+
+/**
+ * Collect failed images and console/page errors while a page loads
+ *
+ * Attach before navigating; call detach() once the capture is done.
+ *
+ * @param {import('puppeteer-core').Page} page - Page
+ * @returns {Object} { failedImages, consoleErrors, pageErrors, detach }
+ */
+function monitorPage(page) {
+    const monitor = { failedImages: [], consoleErrors: [], pageErrors: [] };
+    const push = (list, entry) => {
+        if (list.length < MAX_COLLECTED) {
+            list.push(entry);
+        }
+    };
+
+    const onRequestFailed = request => {
+        if (request.resourceType() === 'image') {
+            push(monitor.failedImages, { url: request.url(), error: request.failure() ? request.failure().errorText : 'failed' });
+        }
+    };
+    const onResponse = response => {
+        if (response.request().resourceType() === 'image' && response.status() >= 400) {
+            push(monitor.failedImages, { url: response.url(), error: `HTTP ${response.status()}` });
+        }
+    };
+    const onConsole = message => {
+        if (message.type() === 'error') {
+            push(monitor.consoleErrors, message.text());
+        }
+    };
+    const onPageError = error => {
+        push(monitor.pageErrors, error.message);
+    };
+
+    page.on('requestfailed', onRequestFailed);
+    page.on('response', onResponse);
+    page.on('console', onConsole);
+    page.on('pageerror', onPageError);
+
+    monitor.detach = () => {
+        page.off('requestfailed', onRequestFailed);
+        page.off('response', onResponse);
+        page.off('console', onConsole);
+        page.off('pageerror', onPageError);
+    };
+    return monitor;
+}
+
+/**
+ * Find error-state selectors that are visible on the page
+ * @param {import('puppeteer-core').Page} page - Page
+ * @param {Array<string>} selectors - CSS selectors
+ * @returns {Promise<Array<string>>} Selectors that matched a visible element
+ */
+function findErrorSelectors(page, selectors) {
+    if (!selectors.length) {
+        return Promise.resolve([]);
+    }
+    return page.evaluate(list => list.filter(selector => {
+        let elements;
+        try {
+            elements = Array.from(document.querySelectorAll(selector));
+        } catch (error) {
+            return false;
+        }
+        return elements.some(element => {
+            const style = window.getComputedStyle(element);
+            const box = element.getBoundingClientRect();
+            return style.display !== 'none' && style.visibility !== 'hidden' && box.width > 0 && box.height > 0;
+        });
+    }), selectors);
+}
+
+/**
+ * Measure how much of an image is a single color
+ * @param {string|Buffer} filePath - Captured image file, or its data for captures kept in memory
+ * @returns {Promise<Object>} { ratio, color } where color is the dominant #rrggbb
+ */
+async function measureUniformity(filePath) {
+    // Loaded lazily so the native module is only paid for when it is needed
+    const sharp = require('sharp');
+    const { data, info } = await sharp(filePath, { limitInputPixels: false })
+        .resize({ width: SAMPLE_WIDTH })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    // Bucket colors to 4 bits per channel so JPEG noise and anti-aliasing still count as one color
+    const buckets = new Map();
+    let best = 0;
+    let bestKey = 0;
+    for (let i = 0; i < data.length; i += info.channels) {
+        const key = (data[i] >> 4) << 8 | (data[i + 1] >> 4) << 4 | data[i + 2] >> 4;
+        const count = (buckets.get(key) || 0) + 1;
+        buckets.set(key, count);
+        if (count > best) {
+            best = count;
+            bestKey = key;
+        }
+    }
+
+    const channel = shift => (((bestKey >> shift) & 15) * 17).toString(16).padStart(2, '0');
+    return {
+        ratio: Number((best / (data.length / info.channels)).toFixed(4)),
+        color: `#${channel(8)}${channel(4)}${channel(0)}`,
+    };
+}
+
+/**
+ * Run the quality checks on a finished capture
+ * @param {Object} capture - What was observed
+ * @param {string|Buffer} capture.filePath - Captured image file or data, or null for PDFs
+ * @param {number} capture.measuredHeight - Document height in CSS pixels
+ * @param {Object} capture.monitor - From monitorPage
+ * @param {Array<string>} capture.errorSelectors - Matched error selectors
+ * @param {Object} checks - From resolveQualityChecks
+ * @returns {Promise<Object>} { passed, mode, issues, failedImages, consoleErrors, pageErrors, uniformity }
+ */
+async function evaluateQuality(capture, checks) {
+    const issues = [];
+    const { monitor } = capture;
+
+    const uniformity = capture.filePath ? await measureUniformity(capture.filePath) : null;
+    if (uniformity && uniformity.ratio >= checks.uniformRatio) {
+        issues.push({
+            check: 'uniform',
+            code: 'BLANK_PAGE',
+            message: `Capture is ${Math.round(uniformity.ratio * 100)}% ${uniformity.color}`,
+        });
+    }
+
+    if (capture.measuredHeight < checks.minContentHeight) {
+        issues.push({
+            check: 'contentHeight',
+            code: 'BLANK_PAGE',
+            message: `Page is only ${capture.measuredHeight}px tall (minimum ${checks.minContentHeight}px)`,
+        });
+    }
+
+    capture.errorSelectors.forEach(selector => {
+        issues.push({ check: 'errorSelector', code: 'BROKEN_RENDER', message: `Error selector is visible: ${selector}` });
+    });
+
+    if (monitor.failedImages.length > checks.maxFailedImages) {
+        issues.push({
+            check: 'failedImages',
+            code: 'BROKEN_RENDER',
+            message: `${monitor.failedImages.length} images failed to load`,
+        });
+    }
+
+    if (checks.maxPageErrors !== null && monitor.pageErrors.length > checks.maxPageErrors) {
+        issues.push({
+            check: 'pageErrors',
+            code: 'BROKEN_RENDER',
+            message: `${monitor.pageErrors.length} uncaught page errors`,
+        });
+    }
+
+    return {
+        passed: issues.length === 0,
+        mode: checks.mode,
+        issues,
+        failedImages: monitor.failedImages,
+        consoleErrors: monitor.consoleErrors,
+        pageErrors: monitor.pageErrors,
+        uniformity,
+    };
+}
+
+/**
+ * Turn a failed quality report into an error when the checks are set to fail
+ * @param {Object} quality - From evaluateQuality
+ * @returns {CaptureError|null} Error for the first issue, or null when the capture may be kept
+ */
+function qualityError(quality) {
+    if (quality.passed || quality.mode !== 'fail') {
+        return null;
+    }
+    const [first] = quality.issues;
+    return new CaptureError(first.code, quality.issues.map(issue => issue.message).join('; '));
+}
+
+module.exports = {
+    resolveQualityChecks,
+    monitorPage,
+    findErrorSelectors,
+    measureUniformity,
+    evaluateQuality,
+    qualityError,
+};
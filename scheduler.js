@@ -0,0 +1,313 @@
+const { logger } = require('./logger');
+const { registry } = require('./metrics');
+
+// Lower numbers run first; interactive single captures go ahead of batch items
+const PRIORITIES = {
+    interactive: 0,
+    batch: 10,
+};
+
+// Assumed capture time until real captures have been timed
+const DEFAULT_DURATION_MS = 20000;
+
+// Weight of the newest duration in the running average
+const DURATION_SMOOTHING = 0.2;
+
+// How often a memory-deferred job re-checks when nothing finishes in the meantime
+const MEMORY_RECHECK_MS = 1000;
+
+const memoryDeferrals = registry.counter('screenshot_scheduler_memory_deferrals_total', 'Times captures were held because the process was over its memory limit');
+const rejections = registry.counter('screenshot_scheduler_rejections_total', 'Captures turned away because the scheduler queue was full');
+
+/**
+ * Process-wide capture scheduler: a global concurrency cap, priorities and memory-aware admission
+ *
+ * Every capture the API server runs goes through one scheduler, so simultaneous requests
+ * queue up instead of each starting its own browser work.
+ */
+class CaptureScheduler {
+    /**
+     * Create a scheduler
+     * @param {Object} options - Scheduler options
+     * @param {number} options.concurrency - Captures running at once (default: SCHEDULER_CONCURRENCY env or 2)
+     * @param {number} options.maxQueue - Waiting captures before isFull() reports true (default: SCHEDULER_MAX_QUEUE env or 100)
+     * @param {number} options.maxRssMb - Hold new captures while the Node process RSS is above this, unless nothing runs
+     *   (default: SCHEDULER_MAX_RSS_MB env or 400, 0 to disable). Chrome runs in its own processes, so its memory is not counted
+     * @param {Function} options.memoryUsage - Returns { rss } in bytes (default: process.memoryUsage)
+     */
+    constructor(options = {}) {
+        const number = (value, envValue, fallback) => {
+            const parsed = parseInt(value !== undefined ? value : envValue);
+            return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+        };
+        this.concurrency = Math.max(1, number(options.concurrency, process.env.SCHEDULER_CONCURRENCY, 2));
+        this.maxQueue = number(options.maxQueue, process.env.SCHEDULER_MAX_QUEUE, 100);
+        this.maxRssMb = number(options.maxRssMb, process.env.SCHEDULER_MAX_RSS_MB, 400);
+        this.memoryUsage = options.memoryUsage || (() => process.memoryUsage());
+
+        this.waiting = [];
+        this.running = new Set();
+        this.sequence = 0;
+        this.averageMs = DEFAULT_DURATION_MS;
+        this.recheckTimer = null;
+        this.holding = false;
+        this.stats = {
+            completed: 0,
+            failed: 0,
+            rejected: 0,
+            memoryDeferrals: 0,
+        };
+    }
+
+    /**
+     * Turn a priority name or number into a number
+     * @param {string|number} priority - interactive, batch or a number (default: interactive)
+     * @returns {number} Priority, lower runs first
+     */
+    static priorityValue(priority) {
+        if (priority === undefined) {
+            return PRIORITIES.interactive;
+        }
+        if (typeof priority === 'number') {
+            return priority;
+        }
+        if (PRIORITIES[priority] === undefined) {
+            throw new Error(`Unknown priority: ${priority} (expected ${Object.keys(PRIORITIES).join(', ')} or a number)`);
+        }
+        return PRIORITIES[priority];
+    }
+
+    /**
+     * Whether new work should be turned away: single captures, batches and scheduled runs alike
+     * @returns {boolean} True when maxQueue captures are already waiting
+     */
+    isFull() {
+        return this.maxQueue > 0 && this.waiting.length >= this.maxQueue;
+    }
+
+    /**
+     * Count a capture turned away because the queue was full
+     */
+    recordRejection() {
+        this.stats.rejected++;
+        rejections.inc();
+    }
+
+    /**
+     * Queue a task; it starts once a slot is free, higher-priority work has started and memory allows
+     * @param {Function} task - Async function doing the capture
+     * @param {Object} options - Job options
+     * @param {string|number} options.priority - interactive (default), batch or a number, lower runs first
+     * @param {string} options.label - Shown in status and logs, e.g. a preview ID
+     * @returns {Object} Job with `promise` (the task's result), `id`, `priority` and `enqueuedAt`
+     */
+    schedule(task, options = {}) {
+        const job = {
+            id: ++this.sequence,
+            priority: CaptureScheduler.priorityValue(options.priority),
+            label: options.label || null,
+            task,
+            enqueuedAt: Date.now(),
+            startedAt: null,
+        };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+
+        // Keep the queue ordered by priority, first come first served within one priority
+        const index = this.waiting.findIndex(waiting => waiting.priority > job.priority);
+        if (index === -1) {
+            this.waiting.push(job);
+        } else {
+            this.waiting.splice(index, 0, job);
+        }
+
+        this.pump();
+        return job;
+    }
+
+    /**
+     * Schedule a task and wait for its result
+     * @param {Function} task - Async function doing the capture
+     * @param {Object} options - Same as schedule()
+     * @returns {Promise<*>} Whatever the task resolves to
+     */
+    run(task, options) {
+        return this.schedule(task, options).promise;
+    }
+
+    /**
+     * Whether memory allows another capture to start
+     *
+     * Only the Node process is measured; screenshot buffers and image processing
+     * live here, while the browser's own processes are kept in check by the pool's
+     * page and recycle limits.
+     *
+     * @returns {boolean} True when under the limit, or when nothing is running (so work never stalls completely)
+     */
+    memoryAllows() {
+        if (!this.maxRssMb || this.running.size === 0) {
+            return true;
+        }
+        return this.memoryUsage().rss / 1024 / 1024 <= this.maxRssMb;
+    }
+
+    /**
+     * Start waiting jobs while slots and memory allow
+     */
+    pump() {
+        while (this.waiting.length > 0 && this.running.size < this.concurrency) {
+            if (!this.memoryAllows()) {
+                // Count and log once per stretch over the limit, not on every re-check
+                if (!this.holding) {
+                    this.holding = true;
+                    this.stats.memoryDeferrals++;
+                    memoryDeferrals.inc();
+                    logger.warn('Holding capture, process over memory limit', {
+                        rssMb: Math.round(this.memoryUsage().rss / 1024 / 1024),
+                        maxRssMb: this.maxRssMb,
+                        running: this.running.size,
+                        waiting: this.waiting.length
+                    });
+                }
+                // A finishing job pumps again; the timer covers memory freed by garbage collection alone
+                if (!this.recheckTimer) {
+                    this.recheckTimer = setTimeout(() => {
+                        this.recheckTimer = null;
+                        this.pump();
+                    }, MEMORY_RECHECK_MS);
+                    this.recheckTimer.unref();
+                }
+                return;
+            }
+            this.holding = false;
+            this.start(this.waiting.shift());
+        }
+    }
+
+    /**
+     * Run one job and pump the queue once it settles
+     * @param {Object} job - Scheduled job
+     */
+    start(job) {
+        job.startedAt = Date.now();
+        this.running.add(job);
+
+        Promise.resolve()
+            .then(() => job.task())
+            .then(result => {
+                this.stats.completed++;
+                job.resolve(result);
+            }, error => {
+                this.stats.failed++;
+                job.reject(error);
+            })
+            .finally(() => {
+                const duration = Date.now() - job.startedAt;
+                this.averageMs = Math.round(this.averageMs * (1 - DURATION_SMOOTHING) + duration * DURATION_SMOOTHING);
+                this.running.delete(job);
+                this.pump();
+            });
+    }
+
+    /**
+     * Estimate how long until a number of queued captures ahead of you have started
+     * @param {number} ahead - Captures that start before yours
+     * @returns {number} Milliseconds
+     */
+    estimateStart(ahead) {
+        const freeSlots = Math.max(0, this.concurrency - this.running.size);
+        if (ahead < freeSlots) {
+            return 0;
+        }
+        // Each wave of `concurrency` captures takes about one average capture
+        return (Math.floor((ahead - freeSlots) / this.concurrency) + 1) * this.averageMs;
+    }
+
+    /**
+     * Where a job stands
+     * @param {Object} job - Scheduled job
+     * @returns {Object} { state, position, etaMs, waitedMs }; position counts from 1 and is null once running
+     */
+    describe(job) {
+        if (job.startedAt) {
+            const elapsed = Date.now() - job.startedAt;
+            return {
+                state: this.running.has(job) ? 'running' : 'finished',
+                position: null,
+                etaMs: this.running.has(job) ? Math.max(0, this.averageMs - elapsed) : 0,
+                waitedMs: job.startedAt - job.enqueuedAt,
+            };
+        }
+        const ahead = this.waiting.indexOf(job);
+        return {
+            state: 'queued',
+            position: ahead + 1,
+            etaMs: this.estimateStart(ahead) + this.averageMs,
+            waitedMs: Date.now() - job.enqueuedAt,
+        };
+    }
+
+    /**
+     * Estimate how long a batch needs for its remaining items
+     * @param {number} remaining - Items not finished yet
+     * @param {number} concurrency - The batch's own worker count
+     * @returns {number} Milliseconds
+     */
+    estimateBatch(remaining, concurrency) {
+        if (remaining <= 0) {
+            return 0;
+        }
+        // Interactive captures and other batches share the slots, so count the work queued ahead
+        const lanes = Math.max(1, Math.min(concurrency, this.concurrency));
+        return this.estimateStart(this.waiting.length) + Math.ceil(remaining / lanes) * this.averageMs;
+    }
+
+    /**
+     * Snapshot of the scheduler state
+     * @returns {Object} Scheduler status
+     */
+    getStatus() {
+        const byPriority = {};
+        this.waiting.forEach(job => {
+            const name = Object.keys(PRIORITIES).find(key => PRIORITIES[key] === job.priority) || String(job.priority);
+            byPriority[name] = (byPriority[name] || 0) + 1;
+        });
+        return {
+            concurrency: this.concurrency,
+            running: this.running.size,
+            waiting: this.waiting.length,
+            waitingByPriority: byPriority,
+            maxQueue: this.maxQueue,
+            maxRssMb: this.maxRssMb,
+            rssMb: Math.round(this.memoryUsage().rss / 1024 / 1024),
+            averageCaptureMs: this.averageMs,
+            ...this.stats,
+        };
+    }
+}
+
+let defaultScheduler = null;
+
+/**
+ * Get the process-wide scheduler, creating it on first use
+ * @param {Object} options - Scheduler options, only used when the scheduler is created
+ * @returns {CaptureScheduler} Shared scheduler
+ */
+function getDefaultScheduler(options = {}) {
+    if (!defaultScheduler) {
+        defaultScheduler = new CaptureScheduler(options);
+    }
+    return defaultScheduler;
+}
+
+registry.gauge('screenshot_scheduler_running', 'Captures running in the shared scheduler', metric => {
+    metric.set({}, defaultScheduler ? defaultScheduler.running.size : 0);
+});
+registry.gauge('screenshot_scheduler_waiting', 'Captures waiting in the shared scheduler, by priority', metric => {
+    const byPriority = defaultScheduler ? defaultScheduler.getStatus().waitingByPriority : {};
+    Object.keys(PRIORITIES).forEach(name => metric.set({ priority: name }, byPriority[name] || 0));
+});
+
+module.exports = { CaptureScheduler, PRIORITIES, getDefaultScheduler };
@@ -0,0 +1,478 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ScreenshotQueue } = require('./queue-processor');
+const { parseCron, nextRun } = require('./cron');
+const { resolveDiffOptions, compareImages, getDiffPath } = require('./visual-diff');
+const { deliverWebhook } = require('./webhooks');
+const { writeAtomic } = require('./screenshot-store');
+const { validate } = require('./validation');
+const { logger } = require('./logger');
+const { registry } = require('./metrics');
+
+// Longest the timer sleeps, so clock changes and long gaps between runs are noticed
+const MAX_TIMER_MS = 60000;
+
+const runsTotal = registry.counter('screenshot_schedule_runs_total', 'Scheduled capture runs, by status');
+
+/**
+ * Strip the fields the server keeps with a schedule, leaving its definition as given to /api/schedules
+ * @param {Object} record - Stored schedule
+ * @returns {Object} Definition
+ */
+function scheduleDefinition(record) {
+    const { id: _id, screenshotUrlPrefix: _prefix, createdAt: _createdAt, updatedAt: _updatedAt, runs: _runs, ...definition } = record;
+    return definition;
+}
+
+/**
+ * Recurring capture schedules, kept in a JSON file of { "<id>": { cron, ids, urls, ..., runs } }
+ *
+ * Each schedule keeps its definition as given to /api/schedules plus the history of its last runs.
+ */
+class ScheduleStore {
+    /**
+     * Create a schedule store
+     * @param {Object} options - Store options
+     * @param {string} options.file - Schedules file (default: SCHEDULES_PATH env or ./screenshots/.state/schedules.json)
+     * @param {number} options.maxRuns - Runs kept per schedule (default: SCHEDULE_HISTORY env or 20)
+     */
+    constructor(options = {}) {
+        this.file = options.file || process.env.SCHEDULES_PATH || './screenshots/.state/schedules.json';
+        this.maxRuns = parseInt(options.maxRuns || process.env.SCHEDULE_HISTORY) || 20;
+        this.schedules = new Map();
+    }
+
+    /**
+     * Read the schedules file; invalid schedules are skipped with a warning
+     * @returns {ScheduleStore} this
+     */
+    load() {
+        this.schedules.clear();
+        if (!fs.existsSync(this.file)) {
+            return this;
+        }
+
+        // A broken file stops startup rather than being overwritten by the next change
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read schedules from ${this.file}: ${error.message}`);
+        }
+
+        let interrupted = 0;
+        Object.entries(content || {}).forEach(([id, record]) => {
+            const definition = scheduleDefinition(record);
+            let details = validate('ScheduleRequest', definition);
+            if (!details) {
+                try {
+                    parseCron(definition.cron);
+                } catch (error) {
+                    details = [{ field: 'cron', message: error.message }];
+                }
+            }
+            if (details) {
+                logger.warn('Skipped invalid schedule', { file: this.file, scheduleId: id, problems: details });
+                return;
+            }
+
+            // Runs cut short by a restart; their batches resume on their own but are not diffed
+            const runs = (record.runs || []).map(run => {
+                if (run.status !== 'running') {
+                    return run;
+                }
+                interrupted++;
+                return { ...run, status: 'interrupted' };
+            });
+            this.schedules.set(id, { ...record, id, runs });
+        });
+
+        if (interrupted > 0) {
+            this.save();
+        }
+        logger.info('Loaded schedules', { file: this.file, schedules: this.schedules.size, interrupted });
+        return this;
+    }
+
+    /**
+     * Write every schedule back to the file, atomically
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        writeAtomic(this.file, `${JSON.stringify(Object.fromEntries(this.schedules), null, 2)}\n`);
+    }
+
+    /**
+     * List schedules, oldest first
+     * @returns {Array<Object>} Stored schedules
+     */
+    list() {
+        return [...this.schedules.values()].sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Look up a schedule
+     * @param {string} id - Schedule ID
+     * @returns {Object|null} Stored schedule
+     */
+    get(id) {
+        return this.schedules.get(id) || null;
+    }
+
+    /**
+     * Create a schedule, or replace the definition of an existing one and keep its history
+     * @param {string|null} id - Schedule ID, or null for a new schedule
+     * @param {Object} definition - Validated request body
+     * @param {string} screenshotUrlPrefix - Public URL prefix for screenshots in webhook payloads
+     * @returns {Object} Stored schedule
+     */
+    set(id, definition, screenshotUrlPrefix) {
+        const existing = id ? this.schedules.get(id) : null;
+        const now = Date.now();
+        const record = {
+            id: id || crypto.randomUUID(),
+            ...definition,
+            screenshotUrlPrefix: screenshotUrlPrefix || null,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            runs: existing ? existing.runs : [],
+        };
+        this.schedules.set(record.id, record);
+        this.save();
+        return record;
+    }
+
+    /**
+     * Delete a schedule and its history
+     * @param {string} id - Schedule ID
+     * @returns {boolean} True when the schedule existed
+     */
+    delete(id) {
+        if (!this.schedules.delete(id)) {
+            return false;
+        }
+        this.save();
+        return true;
+    }
+
+    /**
+     * Add or replace a run in a schedule's history, newest first
+     * @param {string} id - Schedule ID; runs of deleted schedules are dropped
+     * @param {Object} run - Run record with its `runId`
+     */
+    saveRun(id, run) {
+        const schedule = this.schedules.get(id);
+        if (!schedule) {
+            return;
+        }
+        schedule.runs = [run, ...schedule.runs.filter(other => other.runId !== run.runId)]
+            .sort((a, b) => b.startedAt - a.startedAt)
+            .slice(0, this.maxRuns);
+        this.save();
+    }
+}
+
+/**
+ * Runs schedules when their cron expression is due
+ *
+ * Every run is a batch through ScreenshotQueue, so it shows up under /api/batch like any other,
+ * shares the capture scheduler at batch priority and resumes after a restart. Runs that miss
+ * their time while the server is down are not caught up.
+ */
+class ScheduleRunner {
+    /**
+     * Create a schedule runner
+     * @param {Object} options - Runner options
+     * @param {ScheduleStore} options.store - Schedules to run
+     * @param {import('./profiles').ProfileStore} options.profiles - Resolves each schedule's profile when it runs
+     * @param {import('./screenshot-store').ScreenshotStore} options.versions - Version store; runs are diffed against the previous version
+     * @param {Object} options.queueOptions - Passed to every ScreenshotQueue, e.g. { store, storage, scheduler }
+     * @param {Object} options.captureOptions - Added to every schedule's capture options, e.g. { allowFileUrls }
+     * @param {Function} options.fileUrl - Turns (filePath, screenshotUrlPrefix) into a public URL for webhooks (default: none)
+     * @param {Function} options.onBatch - Called with each run's queue before it starts
+     */
+    constructor(options = {}) {
+        this.store = options.store;
+        this.profiles = options.profiles || null;
+        this.versions = options.versions || null;
+        this.queueOptions = options.queueOptions || {};
+        this.captureOptions = options.captureOptions || {};
+        this.fileUrl = options.fileUrl || (() => null);
+        this.onBatch = options.onBatch || null;
+
+        this.nextRuns = new Map();
+        this.active = new Map();
+        this.timer = null;
+    }
+
+    /**
+     * Work out every schedule's next run and start the timer
+     */
+    start() {
+        this.store.list().forEach(schedule => this.refresh(schedule.id, false));
+        this.arm();
+    }
+
+    /**
+     * Stop the timer; runs in progress carry on
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Recalculate a schedule's next run after it was created, changed or deleted
+     * @param {string} id - Schedule ID
+     * @param {boolean} rearm - Reset the timer afterwards (default: true)
+     */
+    refresh(id, rearm = true) {
+        const schedule = this.store.get(id);
+        if (schedule && schedule.enabled !== false) {
+            this.nextRuns.set(id, nextRun(schedule.cron));
+        } else {
+            this.nextRuns.delete(id);
+        }
+        if (rearm) {
+            this.arm();
+        }
+    }
+
+    /**
+     * When a schedule runs next
+     * @param {string} id - Schedule ID
+     * @returns {Date|null} Next run, or null when disabled
+     */
+    nextRunAt(id) {
+        return this.nextRuns.get(id) || null;
+    }
+
+    /**
+     * Sleep until the earliest due schedule, at most MAX_TIMER_MS
+     */
+    arm() {
+        clearTimeout(this.timer);
+        const times = [...this.nextRuns.values()].map(date => date.getTime());
+        if (!times.length) {
+            this.timer = null;
+            return;
+        }
+        const delay = Math.min(Math.max(0, Math.min(...times) - Date.now()), MAX_TIMER_MS);
+        this.timer = setTimeout(() => this.tick(), delay);
+        this.timer.unref();
+    }
+
+    /**
+     * Start every schedule that is due and move it on to its next time
+     */
+    tick() {
+        const now = Date.now();
+        this.nextRuns.forEach((date, id) => {
+            if (date.getTime() > now) {
+                return;
+            }
+            this.nextRuns.set(id, nextRun(this.store.get(id).cron, now));
+            this.trigger(id, 'cron');
+        });
+        this.arm();
+    }
+
+    /**
+     * Start a run of a schedule now
+     * @param {string} id - Schedule ID
+     * @param {string} trigger - cron or manual
+     * @returns {Object|null} Run record; status is skipped while the previous run is still going or the capture queue is full, failed when it could not start
+     */
+    trigger(id, trigger) {
+        const schedule = this.store.get(id);
+        if (!schedule) {
+            return null;
+        }
+        const log = logger.child({ scheduleId: id });
+        const run = {
+            runId: crypto.randomUUID(),
+            trigger,
+            status: 'running',
+            batchId: null,
+            startedAt: Date.now(),
+            finishedAt: null,
+            total: 0,
+            successful: 0,
+            failed: 0,
+            error: null,
+            diff: null,
+        };
+
+        if (this.active.has(id)) {
+            log.warn('Skipping scheduled run, previous run still in progress', { batchId: this.active.get(id).batchId });
+            return this.finish(schedule, { ...run, status: 'skipped', error: 'Previous run still in progress' }, log);
+        }
+        const scheduler = this.queueOptions.scheduler;
+        if (scheduler && scheduler.isFull()) {
+            scheduler.recordRejection();
+            log.warn('Skipping scheduled run, capture queue is full', { waiting: scheduler.waiting.length });
+            return this.finish(schedule, { ...run, status: 'skipped', error: 'Capture queue is full' }, log);
+        }
+
+        let queue;
+        try {
+            queue = this.createQueue(schedule, log);
+        } catch (error) {
+            log.error('Scheduled run could not start', { error: error.message });
+            return this.finish(schedule, { ...run, status: 'failed', error: error.message }, log);
+        }
+
+        run.batchId = queue.batchId;
+        run.total = queue.items.length;
+        this.active.set(id, queue);
+        this.store.saveRun(id, run);
+        log.info('Scheduled run started', { trigger, batchId: queue.batchId, items: queue.items.length });
+        if (this.onBatch) {
+            this.onBatch(queue);
+        }
+
+        queue.run()
+            .then(async report => {
+                run.successful = report.successful;
+                run.failed = report.failed;
+                if (schedule.diff) {
+                    run.diff = await this.diffRun(schedule, report, log);
+                }
+                run.status = 'completed';
+            })
+            .catch(error => {
+                log.error('Scheduled run failed', { batchId: queue.batchId, error });
+                run.status = 'failed';
+                run.error = error.message;
+            })
+            .finally(() => {
+                this.active.delete(id);
+                this.finish(schedule, run, log);
+            });
+        return run;
+    }
+
+    /**
+     * Build the batch for one run of a schedule
+     * @param {Object} schedule - Stored schedule
+     * @param {import('./logger').Logger} log - Logger carrying the schedule ID
+     * @returns {ScreenshotQueue} Queue with every target added
+     */
+    createQueue(schedule, log) {
+        // The profile is resolved on every run, so changes to it apply from the next run on
+        const options = schedule.profile
+            ? this.profiles.apply(schedule.profile, schedule.options || {})
+            : { ...schedule.options };
+        const batchId = crypto.randomUUID();
+
+        const queue = new ScreenshotQueue({
+            ...this.queueOptions,
+            batchId,
+            outputDir: './screenshots',
+            outputPrefix: schedule.outputPrefix,
+            concurrency: schedule.concurrency,
+            retries: schedule.retries,
+            retryDelay: schedule.retryDelay,
+            reportPath: this.queueOptions.store.reportPath(batchId),
+            captureOptions: { ...options, ...this.captureOptions },
+            versions: this.versions,
+            screenshotUrlPrefix: schedule.screenshotUrlPrefix,
+            logger: log
+        });
+        queue.enqueue([...(schedule.ids || []), ...(schedule.urls || []).map(url => ({ url }))]);
+        return queue;
+    }
+
+    /**
+     * Compare every capture of a run with the version the previous run stored
+     * @param {Object} schedule - Stored schedule
+     * @param {Object} report - Report from ScreenshotQueue.run()
+     * @param {import('./logger').Logger} log - Logger carrying the schedule ID
+     * @returns {Promise<Object>} { compared, changed, firstCaptures, errors, changes }; changes lists the captures that differ
+     */
+    async diffRun(schedule, report, log) {
+        const diffOptions = resolveDiffOptions(schedule.diff === true ? {} : schedule.diff);
+        const summary = { compared: 0, changed: 0, firstCaptures: 0, errors: 0, changes: [] };
+
+        for (const item of report.items) {
+            if (item.status !== 'success' || !item.version || !this.versions) {
+                continue;
+            }
+            const key = path.basename(item.path, path.extname(item.path));
+            const versions = this.versions.listVersions(key);
+            const index = versions.findIndex(record => record.version === item.version);
+            const current = versions[index];
+            const previous = index === -1 ? null : versions[index + 1];
+            if (!previous) {
+                summary.firstCaptures++;
+                continue;
+            }
+
+            summary.compared++;
+            // Byte-identical files need no pixel comparison
+            if (current.hash === previous.hash) {
+                continue;
+            }
+            try {
+                const diff = await compareImages(
+                    this.versions.resolvePath(previous),
+                    this.versions.resolvePath(current),
+                    getDiffPath(item.path),
+                    diffOptions
+                );
+                if (!diff.identical) {
+                    summary.changed++;
+                    summary.changes.push({
+                        id: item.id,
+                        version: current.version,
+                        previousVersion: previous.version,
+                        mismatchPercentage: diff.mismatchPercentage,
+                        regions: diff.regions.length,
+                        diffPath: diff.diffPath
+                    });
+                }
+            } catch (error) {
+                summary.errors++;
+                log.warn('Could not diff scheduled capture', { previewId: item.id, error: error.message });
+            }
+        }
+
+        log.info('Scheduled run diffed', { compared: summary.compared, changed: summary.changed });
+        return summary;
+    }
+
+    /**
+     * Record a finished run and send its webhook
+     * @param {Object} schedule - Stored schedule
+     * @param {Object} run - Run record
+     * @param {import('./logger').Logger} log - Logger carrying the schedule ID
+     * @returns {Object} The run
+     */
+    finish(schedule, run, log) {
+        run.finishedAt = Date.now();
+        this.store.saveRun(schedule.id, run);
+        runsTotal.inc({ status: run.status });
+        if (run.status !== 'skipped') {
+            log.info('Scheduled run finished', { status: run.status, batchId: run.batchId, successful: run.successful, failed: run.failed });
+        }
+
+        if (schedule.callbackUrl) {
+            const changes = run.diff ? run.diff.changes.map(({ diffPath, ...change }) => ({
+                ...change,
+                diffUrl: this.fileUrl(diffPath, schedule.screenshotUrlPrefix)
+            })) : [];
+            deliverWebhook(schedule.callbackUrl, 'schedule.completed', {
+                scheduleId: schedule.id,
+                name: schedule.name || null,
+                ...run,
+                diff: run.diff ? { ...run.diff, changes } : null
+            }).catch(error => {
+                log.error('Webhook errored', { event: 'schedule.completed', error: error.message });
+            });
+        }
+        return run;
+    }
+}
+
+module.exports = { ScheduleStore, ScheduleRunner, scheduleDefinition };
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { formatFromPath, getContentType } = require('./output-formats');
+const { logger } = require('./logger');
+
+// Keys are file stems like `<id>` or `<id>-mobile`, never paths
+const KEY_PATTERN = /^[a-zA-Z0-9_-][a-zA-Z0-9_.-]*$/;
+
+/**
+ * Versioned screenshot storage
+ *
+ * Every capture of a key is copied to `versions/<key>/<version>.<ext>` and listed,
+ * newest first, in `versions/<key>/manifest.json`. Files and manifests are written
+ * to a temporary name and renamed into place, so readers never see a partial file,
+ * and saves of the same key run one after another, so none is lost from the manifest.
+ */
+class ScreenshotStore {
+    /**
+     * Create a new screenshot store
+     * @param {Object} options - Store options
+     * @param {string} options.dir - Screenshots directory (default: ./screenshots)
+     * @param {number} options.keepVersions - Versions kept per key, 0 for unlimited (default: SCREENSHOT_KEEP_VERSIONS env or 10)
+     * @param {number} options.maxAgeDays - Drop versions older than this, 0 to disable (default: SCREENSHOT_MAX_AGE_DAYS env or 0)
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || './screenshots';
+        this.keepVersions = parseCount(options.keepVersions, process.env.SCREENSHOT_KEEP_VERSIONS, 10);
+        this.maxAgeDays = parseCount(options.maxAgeDays, process.env.SCREENSHOT_MAX_AGE_DAYS, 0);
+        // Tail of the save chain of every key with a save in progress
+        this.saving = new Map();
+    }
+
+    /**
+     * Check that a key is safe to use as a directory name
+     * @param {string} key - Screenshot key
+     * @returns {boolean} True if valid
+     */
+    static isValidKey(key) {
+        return typeof key === 'string' && KEY_PATTERN.test(key);
+    }
+
+    /**
+     * Get the version directory of a key
+     * @param {string} key - Screenshot key
+     * @returns {string} Directory path
+     */
+    versionDir(key) {
+        if (!ScreenshotStore.isValidKey(key)) {
+            throw new Error(`Invalid screenshot key: ${key}`);
+        }
+        return path.join(this.dir, 'versions', key);
+    }
+
+    /**
+     * List the versions of a key
+     * @param {string} key - Screenshot key
+     * @returns {Array<Object>} Version records, newest first
+     */
+    listVersions(key) {
+        const manifestPath = path.join(this.versionDir(key), 'manifest.json');
+        if (!fs.existsSync(manifestPath)) {
+            return [];
+        }
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8')).versions;
+    }
+
+    /**
+     * Get one version of a key
+     * @param {string} key - Screenshot key
+     * @param {string} version - Version ID, or 'latest'
+     * @returns {Object|null} Version record
+     */
+    getVersion(key, version) {
+        const versions = this.listVersions(key);
+        if (version === 'latest') {
+            return versions[0] || null;
+        }
+        return versions.find(record => record.version === version) || null;
+    }
+
+    /**
+     * Get the absolute file path of a version
+     * @param {Object} record - Version record
+     * @returns {string} File path
+     */
+    resolvePath(record) {
+        return path.resolve(this.dir, record.file);
+    }
+
+    /**
+     * Store a finished capture as a new version of its key
+     *
+     * Saves of one key wait for the previous one, so each reads the manifest the
+     * last one wrote. Given a temporary file, the capture is versioned from it and
+     * then renamed onto filePath in the same step, so concurrent captures of a key
+     * cannot swap bytes and the newest version is always the file in place.
+     *
+     * @param {string} filePath - Capture, e.g. screenshots/abc.png (key: abc)
+     * @param {Object} metadata - { id, targetUrl, format, device, dimensions, options } recorded with the version
+     * @param {string} [tmpPath] - Finished capture still waiting to be renamed onto filePath
+     * @returns {Promise<Object>} Version record
+     */
+    saveVersion(filePath, metadata = {}, tmpPath = null) {
+        const key = path.basename(filePath, path.extname(filePath));
+        const previous = this.saving.get(key) || Promise.resolve();
+        // A failed save does not stop the ones queued behind it
+        const saved = previous.catch(() => {}).then(() => this.writeVersion(filePath, key, metadata, tmpPath));
+        this.saving.set(key, saved);
+
+        saved.catch(() => {}).then(() => {
+            if (this.saving.get(key) === saved) {
+                this.saving.delete(key);
+            }
+        });
+        return saved;
+    }
+
+    /**
+     * Copy a capture into the version directory and add it to the manifest
+     * @param {string} filePath - Capture
+     * @param {string} key - Screenshot key
+     * @param {Object} metadata - See saveVersion
+     * @param {string|null} tmpPath - See saveVersion
+     * @returns {Promise<Object>} Version record
+     */
+    async writeVersion(filePath, key, metadata, tmpPath) {
+        const extension = path.extname(filePath);
+        const dir = this.versionDir(key);
+        await fs.promises.mkdir(dir, { recursive: true });
+
+        const versions = this.listVersions(key);
+        const createdAt = Date.now();
+
+        // Timestamp IDs sort by age; a suffix keeps same-millisecond captures apart
+        let version = new Date(createdAt).toISOString().replace(/[:.]/g, '-');
+        if (versions.some(record => record.version === version)) {
+            version = `${version}-${versions.filter(record => record.version.startsWith(version)).length}`;
+        }
+
+        const data = await fs.promises.readFile(tmpPath || filePath);
+        const versionPath = path.join(dir, `${version}${extension}`);
+        await writeAtomicAsync(versionPath, data);
+        if (tmpPath) {
+            await fs.promises.rename(tmpPath, filePath);
+        }
+
+        const format = metadata.format || formatFromPath(filePath);
+        const record = {
+            version,
+            key,
+            id: metadata.id || key,
+            file: path.relative(this.dir, versionPath).split(path.sep).join('/'),
+            format,
+            contentType: format ? getContentType(format) : 'application/octet-stream',
+            size: data.length,
+            hash: `sha256:${crypto.createHash('sha256').update(data).digest('hex')}`,
+            createdAt,
+            targetUrl: metadata.targetUrl || null,
+            device: metadata.device || null,
+            dimensions: metadata.dimensions || null,
+            // Round-trip so only plain JSON values end up in the manifest
+            options: metadata.options ? JSON.parse(JSON.stringify(metadata.options)) : {}
+        };
+
+        const kept = this.applyRetention([record, ...versions]);
+        await writeAtomicAsync(path.join(dir, 'manifest.json'), JSON.stringify({ key, versions: kept }, null, 2));
+        logger.debug('Stored screenshot version', { key, version, kept: kept.length });
+        return record;
+    }
+
+    /**
+     * Delete versions beyond the retention policy; the newest version is always kept
+     * @param {Array<Object>} versions - Version records, newest first
+     * @returns {Array<Object>} Versions kept
+     */
+    applyRetention(versions) {
+        const cutoff = this.maxAgeDays > 0 ? Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+        const kept = [];
+
+        versions.forEach((record, index) => {
+            const tooMany = this.keepVersions > 0 && index >= this.keepVersions;
+            const tooOld = index > 0 && record.createdAt < cutoff;
+            if (tooMany || tooOld) {
+                fs.rmSync(this.resolvePath(record), { force: true });
+            } else {
+                kept.push(record);
+            }
+        });
+
+        return kept;
+    }
+}
+
+/**
+ * Parse a non-negative count from an option, an env var or a default
+ * @param {*} value - Explicit option
+ * @param {string} envValue - Environment variable value
+ * @param {number} fallback - Default
+ * @returns {number} Count
+ */
+function parseCount(value, envValue, fallback) {
+    const parsed = parseInt(value !== undefined ? value : envValue);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Write a file via a temporary name and a rename
+ * @param {string} filePath - Destination
+ * @param {Buffer|string} data - Contents
+ */
+function writeAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, data);
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Write a file via a temporary name and a rename, without blocking the event loop
+ * @param {string} filePath - Destination
+ * @param {Buffer|string} data - Contents
+ * @returns {Promise<void>}
+ */
+async function writeAtomicAsync(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+module.exports = { ScreenshotStore, writeAtomic };
@@ -0,0 +1,366 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { formatFromPath, getContentType } = require('./output-formats');
+
+// Longest presigned URL lifetime SigV4 allows (7 days)
+const MAX_URL_EXPIRY = 7 * 24 * 60 * 60;
+
+/**
+ * Storage adapters
+ *
+ * Captures are always rendered to the local screenshots directory first. An adapter
+ * then publishes them and decides which URL clients get back. Every adapter has:
+ *
+ *   name                                  'local' or 's3'
+ *   upload(filePath, key, contentType)    Promise, stores the file under key
+ *   getUrl(key, baseUrl)                  Promise<string|null>, URL clients can fetch
+ *   remove(key)                           Promise, deletes the stored object
+ *
+ * Keys are paths relative to the screenshots directory, e.g. `abc.png` or `abc-hero.png`.
+ */
+
+/**
+ * Local filesystem storage, served by express.static under /screenshots
+ */
+class LocalStorage {
+    /**
+     * Create a new local storage adapter
+     * @param {Object} options - Adapter options
+     * @param {string} options.dir - Screenshots directory (default: ./screenshots)
+     * @param {string} options.publicUrl - Public URL prefix of the directory (default: the request's /screenshots URL)
+     * @param {Function} options.signUrl - Adds an access signature to returned URLs (default: none)
+     */
+    constructor(options = {}) {
+        this.name = 'local';
+        this.dir = options.dir || './screenshots';
+        this.publicUrl = options.publicUrl || process.env.PUBLIC_SCREENSHOT_URL || null;
+        this.signUrl = options.signUrl || (url => url);
+    }
+
+    async upload(filePath, key) {
+        // Captures already live in the directory; anything else is copied in
+        const destination = path.join(this.dir, key);
+        if (path.resolve(filePath) !== path.resolve(destination)) {
+            fs.mkdirSync(path.dirname(destination), { recursive: true });
+            fs.copyFileSync(filePath, destination);
+        }
+    }
+
+    async getUrl(key, baseUrl) {
+        const prefix = this.publicUrl || baseUrl;
+        return prefix ? this.signUrl(`${prefix}/${key}`) : null;
+    }
+
+    async remove(key) {
+        fs.rmSync(path.join(this.dir, key), { force: true });
+    }
+}
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, R2, Spaces...) signed with AWS Signature V4
+ */
+class S3Storage {
+    /**
+     * Create a new S3 storage adapter
+     * @param {Object} options - Adapter options, each falling back to its S3_* env var
+     * @param {string} options.bucket - Bucket name (S3_BUCKET)
+     * @param {string} options.region - Region (S3_REGION, default: us-east-1)
+     * @param {string} options.endpoint - Endpoint for non-AWS services, e.g. http://localhost:9000 (S3_ENDPOINT)
+     * @param {boolean} options.forcePathStyle - Use endpoint/bucket/key URLs (S3_FORCE_PATH_STYLE, default: true with a custom endpoint)
+     * @param {string} options.accessKeyId - Access key (S3_ACCESS_KEY_ID or AWS_ACCESS_KEY_ID)
+     * @param {string} options.secretAccessKey - Secret key (S3_SECRET_ACCESS_KEY or AWS_SECRET_ACCESS_KEY)
+     * @param {string} options.prefix - Key prefix inside the bucket (S3_PREFIX)
+     * @param {string} options.publicUrl - Public URL prefix (e.g. a CDN); presigned URLs are returned when unset (S3_PUBLIC_URL)
+     * @param {number} options.urlExpiry - Presigned URL lifetime in seconds (S3_URL_EXPIRY, default: 3600, max: 604800)
+     */
+    constructor(options = {}) {
+        const env = process.env;
+        this.name = 's3';
+        this.bucket = options.bucket || env.S3_BUCKET;
+        this.region = options.region || env.S3_REGION || 'us-east-1';
+        this.endpoint = (options.endpoint || env.S3_ENDPOINT || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+        const pathStyle = options.forcePathStyle !== undefined ? options.forcePathStyle : env.S3_FORCE_PATH_STYLE;
+        this.forcePathStyle = pathStyle !== undefined ? String(pathStyle) === 'true' : Boolean(options.endpoint || env.S3_ENDPOINT);
+        this.accessKeyId = options.accessKeyId || env.S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID;
+        this.secretAccessKey = options.secretAccessKey || env.S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY;
+        this.prefix = (options.prefix || env.S3_PREFIX || '').replace(/^\/+|\/+$/g, '');
+        this.publicUrl = (options.publicUrl || env.S3_PUBLIC_URL || '').replace(/\/+$/, '') || null;
+        this.urlExpiry = Math.min(parseInt(options.urlExpiry || env.S3_URL_EXPIRY) || 3600, MAX_URL_EXPIRY);
+
+        if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+            throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+    }
+
+    /**
+     * Build the URL of an object
+     * @param {string} key - Key relative to the prefix
+     * @returns {URL} Object URL without a query string
+     */
+    objectUrl(key) {
+        const objectKey = (this.prefix ? `${this.prefix}/${key}` : key).split('/').map(encodeRfc3986).join('/');
+        const url = new URL(this.endpoint);
+        if (this.forcePathStyle) {
+            url.pathname = `${url.pathname.replace(/\/+$/, '')}/${this.bucket}/${objectKey}`;
+        } else {
+            url.hostname = `${this.bucket}.${url.hostname}`;
+            url.pathname = `/${objectKey}`;
+        }
+        return url;
+    }
+
+    /**
+     * Compute a SigV4 signature
+     * @param {string} method - HTTP method
+     * @param {URL} url - Request URL, including any query parameters to sign
+     * @param {Object} headers - Headers to sign, lower-case names
+     * @param {string} payloadHash - Hex SHA-256 of the body, or UNSIGNED-PAYLOAD
+     * @param {Date} date - Request time
+     * @returns {Object} { signature, signedHeaders, credential, amzDate }
+     */
+    sign(method, url, headers, payloadHash, date) {
+        const amzDate = toAmzDate(date);
+        const dateStamp = amzDate.slice(0, 8);
+        const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+        const names = Object.keys(headers).sort();
+        const canonicalHeaders = names.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+        const signedHeaders = names.join(';');
+        const canonicalQuery = Array.from(url.searchParams.entries())
+            .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+            .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+            .map(([name, value]) => `${name}=${value}`)
+            .join('&');
+
+        const canonicalRequest = [method, url.pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+        let key = hmac(`AWS4${this.secretAccessKey}`, dateStamp);
+        key = hmac(key, this.region);
+        key = hmac(key, 's3');
+        key = hmac(key, 'aws4_request');
+
+        return {
+            signature: crypto.createHmac('sha256', key).update(stringToSign).digest('hex'),
+            signedHeaders,
+            credential: `${this.accessKeyId}/${scope}`,
+            amzDate
+        };
+    }
+
+    /**
+     * Send a signed request
+     * @param {string} method - HTTP method
+     * @param {string} key - Object key
+     * @param {Object} options - { body: readable stream factory, contentLength, contentType, payloadHash }
+     * @returns {Promise<number>} HTTP status code
+     */
+    request(method, key, options = {}) {
+        const url = this.objectUrl(key);
+        const payloadHash = options.payloadHash || sha256('');
+        const date = new Date();
+        const signed = {
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': toAmzDate(date)
+        };
+        const { signature, signedHeaders, credential } = this.sign(method, url, signed, payloadHash, date);
+
+        const headers = {
+            ...signed,
+            Authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        };
+        if (options.contentType) {
+            headers['Content-Type'] = options.contentType;
+        }
+        headers['Content-Length'] = options.contentLength || 0;
+
+        return new Promise((resolve, reject) => {
+            const client = url.protocol === 'https:' ? https : http;
+            const req = client.request(url, { method, headers, timeout: 60000 }, res => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => {
+                    body += chunk;
+                });
+                res.on('end', () => {
+                    if (res.statusCode >= 300) {
+                        const code = /<Code>([^<]+)<\/Code>/.exec(body);
+                        reject(new Error(`S3 ${method} ${key} failed: HTTP ${res.statusCode}${code ? ` ${code[1]}` : ''}`));
+                    } else {
+                        resolve(res.statusCode);
+                    }
+                });
+            });
+
+            req.on('timeout', () => req.destroy(new Error('S3 request timed out')));
+            req.on('error', reject);
+            if (options.body) {
+                const body = options.body();
+                body.on('error', error => req.destroy(error));
+                body.pipe(req);
+            } else {
+                req.end();
+            }
+        });
+    }
+
+    async upload(filePath, key, contentType) {
+        const payloadHash = await hashFile(filePath);
+        await this.request('PUT', key, {
+            body: () => fs.createReadStream(filePath),
+            contentLength: fs.statSync(filePath).size,
+            contentType,
+            payloadHash
+        });
+    }
+
+    async getUrl(key) {
+        if (this.publicUrl) {
+            return `${this.publicUrl}/${key}`;
+        }
+        return this.presign(key, this.urlExpiry);
+    }
+
+    async remove(key) {
+        await this.request('DELETE', key);
+    }
+
+    /**
+     * Build a presigned GET URL
+     * @param {string} key - Object key
+     * @param {number} expiresIn - Lifetime in seconds
+     * @returns {string} URL
+     */
+    presign(key, expiresIn) {
+        const url = this.objectUrl(key);
+        const date = new Date();
+        const amzDate = toAmzDate(date);
+        url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+        url.searchParams.set('X-Amz-Credential', `${this.accessKeyId}/${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`);
+        url.searchParams.set('X-Amz-Date', amzDate);
+        url.searchParams.set('X-Amz-Expires', String(expiresIn));
+        url.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+        const { signature } = this.sign('GET', url, { host: url.host }, 'UNSIGNED-PAYLOAD', date);
+        url.searchParams.set('X-Amz-Signature', signature);
+        return url.toString();
+    }
+}
+
+/**
+ * Format a date as a SigV4 timestamp
+ * @param {Date} date - Date
+ * @returns {string} e.g. 20261019T120000Z
+ */
+function toAmzDate(date) {
+    return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * Percent-encode a string the way SigV4 expects
+ * @param {string} value - Value
+ * @returns {string} Encoded value
+ */
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Hex SHA-256 of a string
+ * @param {string} value - Value
+ * @returns {string} Digest
+ */
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * HMAC-SHA256
+ * @param {string|Buffer} key - Key
+ * @param {string} value - Value
+ * @returns {Buffer} Digest
+ */
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+/**
+ * Hex SHA-256 of a file, streamed so large captures are not loaded twice
+ * @param {string} filePath - File
+ * @returns {Promise<string>} Digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Create the storage adapter selected by config
+ * @param {Object} options - { driver, ...adapter options }
+ * @param {string} options.driver - 'local' or 's3' (default: STORAGE_DRIVER env or local)
+ * @returns {LocalStorage|S3Storage} Adapter
+ */
+function createStorage(options = {}) {
+    const driver = (options.driver || process.env.STORAGE_DRIVER || 'local').toLowerCase();
+    if (driver === 'local') {
+        return new LocalStorage(options);
+    }
+    if (driver === 's3') {
+        return new S3Storage(options);
+    }
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver} (expected local or s3)`);
+}
+
+/**
+ * Publish one capture file and get its URL
+ * @param {Object} storage - Storage adapter
+ * @param {string} filePath - File inside the screenshots directory
+ * @param {string} baseUrl - Public URL prefix of the screenshots directory, used by local storage
+ * @returns {Promise<string|null>} URL
+ */
+async function publishFile(storage, filePath, baseUrl) {
+    const key = path.basename(filePath);
+    const format = formatFromPath(filePath);
+    await storage.upload(filePath, key, format ? getContentType(format) : 'application/octet-stream');
+    return storage.getUrl(key, baseUrl);
+}
+
+/**
+ * Publish a capture result with its derivatives and per-device images, adding a `url` to each
+ * @param {Object} storage - Storage adapter
+ * @param {Object} result - Result from captureScreenshot or captureDevices
+ * @param {string} baseUrl - Public URL prefix of the screenshots directory, used by local storage
+ * @returns {Promise<Object>} The same result
+ */
+async function publishResult(storage, result, baseUrl) {
+    if (!result || !result.success && !result.images) {
+        return result;
+    }
+
+    for (const image of result.images || [result]) {
+        if (!image.success || !image.outputPath) {
+            continue;
+        }
+        image.url = await publishFile(storage, image.outputPath, baseUrl);
+        for (const derivative of image.derivatives || []) {
+            derivative.url = await publishFile(storage, derivative.path, baseUrl);
+        }
+    }
+
+    if (result.images) {
+        const first = result.images.find(image => image.url);
+        result.url = first ? first.url : null;
+    }
+    return result;
+}
+
+module.exports = { LocalStorage, S3Storage, createStorage, publishFile, publishResult };
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Schemes that are captured as-is instead of being resolved from an ID
+const URL_PATTERN = /^(https?|file):\/\//i;
+
+/**
+ * Registry of named resolvers that turn a site ID into a capturable URL
+ * Each resolver receives (id, options) and returns a URL string
+ */
+const resolvers = {};
+
+/**
+ * Register a resolver for a site builder
+ * @param {string} name - Resolver name referenced by `resolver` options
+ * @param {Function|string} resolver - Function (id, options) => url, or a URL template containing `{id}`
+ */
+function registerResolver(name, resolver) {
+    if (typeof resolver === 'string') {
+        const template = resolver;
+        resolver = (id, options = {}) => expandTemplate(options.baseUrl || template, id);
+    }
+    if (typeof resolver !== 'function') {
+        throw new Error(`Resolver "${name}" must be a function or URL template`);
+    }
+    resolvers[name] = resolver;
+}
+
+/**
+ * Substitute an ID into a URL template, appending it if there is no placeholder
+ * @param {string} template - URL template, e.g. https://example.com/preview?id={id}
+ * @param {string} id - Site ID
+ * @returns {string} URL
+ */
+function expandTemplate(template, id) {
+    const encoded = encodeURIComponent(id);
+    return template.includes('{id}') ? template.split('{id}').join(encoded) : `${template}${encoded}`;
+}
+
+/**
+ * List the names of all registered resolvers
+ * @returns {Array<string>} Resolver names
+ */
+function listResolvers() {
+    return Object.keys(resolvers);
+}
+
+/**
+ * Check whether a string is a full URL rather than an ID
+ * @param {string} value - ID or URL
+ * @returns {boolean} True for http(s) and file URLs
+ */
+function isUrl(value) {
+    return typeof value === 'string' && URL_PATTERN.test(value);
+}
+
+/**
+ * Build a filesystem-safe key for a target, used to name output files
+ * @param {string} url - Target URL
+ * @returns {string} Key such as `example.com-pricing-1a2b3c4d`
+ */
+function urlToKey(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+    const slug = url
+        .replace(URL_PATTERN, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9.]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+    return slug ? `${slug}-${hash}` : hash;
+}
+
+/**
+ * Check that a URL may be captured
+ * @param {string} url - URL given with the target or returned by a resolver
+ * @param {boolean} allowFileUrls - Accept file:// URLs
+ * @throws {Error} When the scheme is not http(s) or file, or file URLs are not allowed
+ */
+function checkUrl(url, allowFileUrls) {
+    if (!isUrl(url)) {
+        throw new Error(`Invalid URL: ${url} (expected http://, https:// or file://)`);
+    }
+    if (!allowFileUrls && /^file:/i.test(url)) {
+        throw new Error('file:// URLs are not allowed');
+    }
+}
+
+/**
+ * Resolve a capture target into the URL to load and a key for naming output
+ * @param {string|Object} target - Preview ID, full URL, or { id, url, resolver, baseUrl }
+ * @param {Object} options - Resolution options
+ * @param {string} options.resolver - Resolver for bare IDs (default: DEFAULT_RESOLVER env or 'landingsite')
+ * @param {string} options.baseUrl - Override the resolver's URL template
+ * @param {boolean} options.allowFileUrls - Accept file:// URLs (default: true)
+ * @returns {Object} { key, url, id, resolver }
+ */
+function resolveTarget(target, options = {}) {
+    const spec = typeof target === 'object' && target !== null ? target : { value: target };
+    const allowFileUrls = options.allowFileUrls !== undefined ? options.allowFileUrls : true;
+
+    let url = spec.url;
+    let id = spec.id;
+
+    // A bare string can be either an ID or a URL
+    if (spec.value !== undefined) {
+        if (isUrl(spec.value)) {
+            url = spec.value;
+        } else {
+            id = spec.value;
+        }
+    }
+
+    if (url) {
+        checkUrl(url, allowFileUrls);
+        return { key: id || urlToKey(url), url, id: id || null, resolver: null };
+    }
+
+    if (id === undefined || id === null || id === '') {
+        throw new Error('Missing ID or URL');
+    }
+    id = String(id);
+
+    const resolverName = spec.resolver || options.resolver || process.env.DEFAULT_RESOLVER || 'landingsite';
+    if (!Object.hasOwn(resolvers, resolverName)) {
+        throw new Error(`Unknown resolver: ${resolverName}`);
+    }
+
+    // A baseUrl override can point anywhere, so the resolved URL goes through the same checks
+    const resolved = resolvers[resolverName](id, { baseUrl: spec.baseUrl || options.baseUrl });
+    checkUrl(resolved, allowFileUrls);
+
+    return {
+        key: id,
+        url: resolved,
+        id,
+        resolver: resolverName,
+    };
+}
+
+// Built-in resolvers
+registerResolver('landingsite', process.env.LANDINGSITE_BASE_URL || 'https://app.landingsite.ai/website-preview?id={id}');
+
+// Extra resolvers from env, e.g. RESOLVERS='{"staging":"https://staging.example.com/preview/{id}"}'
+if (process.env.RESOLVERS) {
+    try {
+        const extra = JSON.parse(process.env.RESOLVERS);
+        Object.keys(extra).forEach(name => registerResolver(name, extra[name]));
+    } catch (err) {
+        logger.warn('Ignoring invalid RESOLVERS config', { error: err.message });
+    }
+}
+
+module.exports = { resolveTarget, registerResolver, listResolvers, isUrl };
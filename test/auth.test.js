@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ApiAuth } = require('../auth');
+const { configureLogger } = require('../logger');
+
+configureLogger({ level: 'error' });
+
+/**
+ * Minimal stand-in for an Express request
+ * @param {string} url - Request URL
+ * @returns {Object} Request
+ */
+function fakeRequest(url) {
+    const parsed = new URL(url, 'http://localhost');
+    return {
+        originalUrl: url,
+        query: Object.fromEntries(parsed.searchParams),
+        get: () => undefined
+    };
+}
+
+/**
+ * Minimal stand-in for an Express response that records what was sent
+ * @returns {Object} Response with `statusCode`, `body` and `headers`
+ */
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+/**
+ * Run the screenshot access middleware on a URL
+ * @param {ApiAuth} auth - Auth layer
+ * @param {string} url - Request URL
+ * @returns {Object} { passed, res }
+ */
+function access(auth, url) {
+    const res = fakeResponse();
+    let passed = false;
+    auth.screenshotAccess()(fakeRequest(url), res, () => {
+        passed = true;
+    });
+    return { passed, res };
+}
+
+const keys = [{ name: 'n8n', key: 'secret-key', maxConcurrent: 2 }];
+
+test('a signed screenshot URL is accepted and a tampered one rejected', () => {
+    const auth = new ApiAuth({ keys, signingSecret: 'signing-secret' });
+    const signed = auth.signUrl('/screenshots/abc.png');
+
+    assert.strictEqual(access(auth, signed).passed, true);
+    const tampered = access(auth, signed.replace(/signature=./, 'signature=0'));
+    assert.strictEqual(tampered.passed, false);
+    assert.strictEqual(tampered.res.statusCode, 403);
+});
+
+test('a multibyte signature of the right string length is rejected, not a server error', () => {
+    const auth = new ApiAuth({ keys, signingSecret: 'signing-secret' });
+    const signed = new URL(auth.signUrl('/screenshots/abc.png'), 'http://localhost');
+    signed.searchParams.set('signature', 'é'.repeat(64));
+
+    const { passed, res } = access(auth, `${signed.pathname}${signed.search}`);
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 403);
+});
+
+test('capture slots beyond the quota answer 429, requests larger than the quota 400', () => {
+    const auth = new ApiAuth({ keys });
+    const req = { apiKey: auth.keys.values().next().value };
+
+    const release = auth.reserveCaptures(req, fakeResponse(), 2);
+    assert.strictEqual(typeof release, 'function');
+
+    const busy = fakeResponse();
+    assert.strictEqual(auth.reserveCaptures(req, busy), null);
+    assert.strictEqual(busy.statusCode, 429);
+    assert.strictEqual(busy.headers['Retry-After'], 5);
+
+    release();
+    const tooLarge = fakeResponse();
+    assert.strictEqual(auth.reserveCaptures(req, tooLarge, 3), null);
+    assert.strictEqual(tooLarge.statusCode, 400);
+    assert.strictEqual(tooLarge.headers['Retry-After'], undefined);
+    assert.match(tooLarge.body.error, /quota is 2/);
+});
@@ -0,0 +1,230 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { BrowserPool } = require('../browser-pool');
+const { configureLogger } = require('../logger');
+
+configureLogger({ level: 'error' });
+
+/**
+ * Stand-in for a puppeteer Browser that counts its contexts
+ */
+class FakeBrowser extends EventEmitter {
+    constructor() {
+        super();
+        this.connected = true;
+        this.contexts = 0;
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    process() {
+        return null;
+    }
+
+    async createBrowserContext() {
+        this.contexts++;
+        return {
+            newPage: async () => ({ browser: this }),
+            close: async () => {}
+        };
+    }
+
+    async close() {
+        this.disconnect();
+    }
+
+    // What Chrome does when it exits or crashes
+    disconnect() {
+        if (this.connected) {
+            this.connected = false;
+            this.emit('disconnected');
+        }
+    }
+}
+
+/**
+ * Create a pool whose launches hand out fake browsers
+ * @param {Object} options - BrowserPool options
+ * @returns {Object} { pool, browsers } with every browser launched so far
+ */
+function createPool(options = {}) {
+    const browsers = [];
+    const pool = new BrowserPool({
+        ...options,
+        launch: async () => {
+            const browser = new FakeBrowser();
+            browsers.push(browser);
+            return browser;
+        }
+    });
+    return { pool, browsers };
+}
+
+test('pages share one browser up to maxPagesPerBrowser', async () => {
+    const { pool, browsers } = createPool({ maxBrowsers: 1, maxPagesPerBrowser: 2 });
+
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    assert.strictEqual(browsers.length, 1);
+    assert.strictEqual(first.page.browser, second.page.browser);
+    assert.strictEqual(pool.entries[0].active, 2);
+
+    await first.release();
+    await second.release();
+    const third = await pool.acquire();
+    assert.strictEqual(browsers.length, 1, 'a released slot is reused instead of launching');
+    assert.strictEqual(browsers[0].contexts, 3, 'every lease gets its own context');
+
+    await third.release();
+    await pool.close();
+});
+
+test('an acquire waits for a free page slot', async () => {
+    const { pool, browsers } = createPool({ maxBrowsers: 1, maxPagesPerBrowser: 1 });
+
+    const first = await pool.acquire();
+    let acquired = false;
+    const waiting = pool.acquire().then(lease => {
+        acquired = true;
+        return lease;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(acquired, false);
+    assert.strictEqual(pool.getStatus().waiting, 1);
+
+    await first.release();
+    const second = await waiting;
+    assert.strictEqual(second.page.browser, browsers[0]);
+
+    await second.release();
+    await pool.close();
+});
+
+test('a released slot goes to the longest waiting acquirer', async () => {
+    const { pool } = createPool({ maxBrowsers: 1, maxPagesPerBrowser: 1 });
+
+    const first = await pool.acquire();
+    const waiting = pool.acquire();
+    await new Promise(resolve => setImmediate(resolve));
+
+    // A newcomer arrives after the slot is freed but before it is handed out
+    let late;
+    const maybeRecycle = pool.maybeRecycle.bind(pool);
+    pool.maybeRecycle = entry => {
+        late = pool.acquire();
+        return maybeRecycle(entry);
+    };
+    await first.release();
+    pool.maybeRecycle = maybeRecycle;
+
+    const second = await waiting;
+    assert.strictEqual(pool.getStatus().waiting, 1, 'the newcomer queues behind');
+
+    await second.release();
+    const third = await late;
+    await third.release();
+    await pool.close();
+});
+
+test('releasing a lease twice frees one slot', async () => {
+    const { pool } = createPool({ maxPagesPerBrowser: 2 });
+
+    const lease = await pool.acquire();
+    await lease.release();
+    await lease.release();
+    assert.strictEqual(pool.entries[0].active, 0);
+    assert.strictEqual(pool.stats.captures, 1);
+
+    await pool.close();
+});
+
+test('a browser is recycled after maxCapturesPerBrowser captures', async () => {
+    const { pool, browsers } = createPool({ maxBrowsers: 1, maxPagesPerBrowser: 1, maxCapturesPerBrowser: 2 });
+
+    await pool.withPage(async () => {});
+    await pool.withPage(async () => {});
+    assert.strictEqual(browsers[0].isConnected(), false, 'the browser is closed once its last page is released');
+    assert.strictEqual(pool.entries.length, 0);
+    assert.strictEqual(pool.stats.recycled, 1);
+    assert.strictEqual(pool.stats.crashed, 0, 'closing a retired browser is not a crash');
+
+    const lease = await pool.acquire();
+    assert.strictEqual(browsers.length, 2);
+    assert.strictEqual(lease.page.browser, browsers[1]);
+
+    await lease.release();
+    await pool.close();
+});
+
+test('a retiring browser finishes its open pages before closing', async () => {
+    const { pool, browsers } = createPool({ maxBrowsers: 1, maxPagesPerBrowser: 2, maxCapturesPerBrowser: 1 });
+
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    await first.release();
+    assert.strictEqual(pool.entries[0].retiring, true);
+    assert.strictEqual(browsers[0].isConnected(), true, 'still serving the second page');
+
+    await second.release();
+    assert.strictEqual(browsers[0].isConnected(), false);
+    assert.strictEqual(pool.stats.recycled, 1);
+
+    await pool.close();
+});
+
+test('a crashed browser is replaced and waiting acquirers are served', async () => {
+    const { pool, browsers } = createPool({ maxBrowsers: 1, maxPagesPerBrowser: 1 });
+
+    await pool.acquire();
+    const waiting = pool.acquire();
+    browsers[0].disconnect();
+
+    const lease = await waiting;
+    assert.strictEqual(browsers.length, 2);
+    assert.strictEqual(lease.page.browser, browsers[1]);
+    assert.strictEqual(pool.stats.crashed, 1);
+    assert.deepStrictEqual(pool.entries.map(entry => entry.browser), [browsers[1]]);
+
+    await lease.release();
+    await pool.close();
+});
+
+test('waiters are rejected when a crashed browser cannot be restarted', async () => {
+    let launches = 0;
+    const browsers = [];
+    const pool = new BrowserPool({
+        maxBrowsers: 1,
+        maxPagesPerBrowser: 1,
+        launch: async () => {
+            if (++launches > 1) {
+                throw new Error('Chrome failed to start');
+            }
+            const browser = new FakeBrowser();
+            browsers.push(browser);
+            return browser;
+        }
+    });
+
+    await pool.acquire();
+    const waiting = pool.acquire();
+    browsers[0].disconnect();
+
+    await assert.rejects(waiting, /Chrome failed to start/);
+    await pool.close();
+});
+
+test('a closed pool refuses new acquisitions and rejects waiters', async () => {
+    const { pool, browsers } = createPool({ maxBrowsers: 1, maxPagesPerBrowser: 1 });
+
+    await pool.acquire();
+    const waiting = pool.acquire();
+    await pool.close();
+
+    await assert.rejects(waiting, /Browser pool is closed/);
+    await assert.rejects(pool.acquire(), /Browser pool is closed/);
+    assert.strictEqual(browsers[0].isConnected(), false);
+    assert.strictEqual(pool.stats.crashed, 0);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { captureScreenshot } = require('../landingsite-screenshot');
+const { ScreenshotStore } = require('../screenshot-store');
+const { configureLogger } = require('../logger');
+
+configureLogger({ level: 'error' });
+
+/**
+ * Stand-in for a puppeteer Page whose screenshot writes the given bytes
+ * @param {Function} render - Resolves with the bytes of the capture
+ * @returns {Object} Page
+ */
+function fakePage(render) {
+    const noop = async () => {};
+    return {
+        target: () => ({ createCDPSession: async () => ({ send: noop }) }),
+        on: () => {},
+        setCacheEnabled: noop,
+        setDefaultNavigationTimeout: () => {},
+        setUserAgent: noop,
+        setViewport: noop,
+        setRequestInterception: noop,
+        evaluateOnNewDocument: noop,
+        addStyleTag: noop,
+        waitForNetworkIdle: noop,
+        waitForFunction: noop,
+        goto: async () => ({ status: () => 200 }),
+        // Scrolling and readiness results are ignored; the page height is 600px
+        evaluate: async () => 600,
+        screenshot: async ({ path: filePath }) => {
+            const data = await render();
+            fs.writeFileSync(filePath, data);
+            return data;
+        }
+    };
+}
+
+/**
+ * Pool handing out one fake page per acquire, rendering with the next renderer in turn
+ * @param {Array<Function>} renders - Renderers, one per capture
+ * @returns {Object} Pool
+ */
+function fakePool(renders) {
+    return {
+        acquire: async () => ({ page: fakePage(renders.shift()), release: async () => {} })
+    };
+}
+
+const sha256 = data => `sha256:${crypto.createHash('sha256').update(data).digest('hex')}`;
+
+test('concurrent captures of one key each version their own bytes', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-test-'));
+    try {
+        const versionStore = new ScreenshotStore({ dir });
+        const outputPath = path.join(dir, 'site.png');
+        const first = Buffer.from('first capture');
+        const second = Buffer.from('second capture');
+
+        // The second capture finishes while the first one is being saved
+        let firstSaving;
+        const saving = new Promise(resolve => {
+            firstSaving = resolve;
+        });
+        const options = {
+            versionStore,
+            waitFor: [{ type: 'delay', ms: 0 }],
+            qualityChecks: 'off'
+        };
+        const pool = fakePool([async () => first, async () => {
+            await saving;
+            return second;
+        }]);
+
+        const [a, b] = await Promise.all([
+            captureScreenshot('https://example.com', outputPath, {
+                ...options,
+                pool,
+                onProgress: event => event.stage === 'saving' && firstSaving()
+            }),
+            captureScreenshot('https://example.com', outputPath, { ...options, pool })
+        ]);
+
+        assert.strictEqual(a.success, true, a.error);
+        assert.strictEqual(b.success, true, b.error);
+        assert.strictEqual(a.version.hash, sha256(first));
+        assert.strictEqual(b.version.hash, sha256(second));
+
+        // The newest version is the file in place
+        const versions = versionStore.listVersions('site');
+        assert.deepStrictEqual(versions.map(record => record.hash), [sha256(second), sha256(first)]);
+        assert.strictEqual(sha256(fs.readFileSync(outputPath)), versions[0].hash);
+        versions.forEach(record => {
+            assert.strictEqual(sha256(fs.readFileSync(versionStore.resolvePath(record))), record.hash);
+        });
+        assert.deepStrictEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
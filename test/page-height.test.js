@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { trimBottom } = require('../page-height');
+
+/**
+ * Create a white PNG with a gray block covering the top rows
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} contentRows - Rows covered by the block, 0 for a uniform image
+ * @returns {Promise<Buffer>} PNG data
+ */
+function createCapture(width, height, contentRows) {
+    const image = sharp({ create: { width, height, channels: 3, background: '#ffffff' } });
+    if (contentRows > 0) {
+        image.composite([{
+            input: { create: { width: 10, height: contentRows, channels: 3, background: '#808080' } },
+            top: 0,
+            left: width - 10
+        }]);
+    }
+    return image.png().toBuffer();
+}
+
+test('trailing background rows are trimmed, spanning several bands', async () => {
+    const input = await createCapture(40, 1000, 300);
+
+    const result = await trimBottom(input, { minHeight: 100 });
+    assert.deepStrictEqual({ width: result.width, height: result.height, trimmed: result.trimmed }, { width: 40, height: 300, trimmed: 700 });
+    const { width, height } = await sharp(result.buffer).metadata();
+    assert.deepStrictEqual({ width, height }, { width: 40, height: 300 });
+});
+
+test('trimming never goes above minHeight', async () => {
+    const input = await createCapture(40, 1000, 50);
+
+    const result = await trimBottom(input, { minHeight: 200 });
+    assert.strictEqual(result.height, 200);
+    assert.strictEqual(result.trimmed, 800);
+});
+
+test('a uniform image is left alone', async () => {
+    const input = await createCapture(40, 1000, 0);
+
+    const result = await trimBottom(input, { minHeight: 100 });
+    assert.strictEqual(result.height, 1000);
+    assert.strictEqual(result.trimmed, 0);
+    assert.strictEqual(result.buffer, input);
+});
+
+test('a file is trimmed in place', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trim-test-'));
+    try {
+        const filePath = path.join(dir, 'capture.png');
+        fs.writeFileSync(filePath, await createCapture(40, 600, 300));
+
+        const result = await trimBottom(filePath, { format: 'png' });
+        assert.strictEqual(result.trimmed, 300);
+        assert.strictEqual(result.buffer, undefined);
+        assert.strictEqual((await sharp(filePath).metadata()).height, 300);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
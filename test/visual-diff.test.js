@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { compareImages } = require('../visual-diff');
+const { CaptureError, httpStatusFor } = require('../errors');
+
+/**
+ * Write a white PNG, optionally with a black square in the top-left corner
+ * @param {string} filePath - Destination
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {boolean} marked - Draw the square
+ * @returns {Promise<string>} filePath
+ */
+async function writeImage(filePath, width, height, marked = false) {
+    const image = sharp({ create: { width, height, channels: 3, background: '#ffffff' } });
+    if (marked) {
+        image.composite([{ input: { create: { width: 10, height: 10, channels: 3, background: '#000000' } }, top: 0, left: 0 }]);
+    }
+    await image.png().toFile(filePath);
+    return filePath;
+}
+
+/**
+ * Run a test body with a temporary directory
+ * @param {Function} fn - Receives the directory
+ * @returns {Promise<void>}
+ */
+async function withTempDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'visual-diff-test-'));
+    try {
+        await fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('changed pixels and rows present in only one image are counted', () => withTempDir(async dir => {
+    const before = await writeImage(path.join(dir, 'before.png'), 40, 30);
+    const after = await writeImage(path.join(dir, 'after.png'), 40, 40, true);
+
+    const diff = await compareImages(before, after, path.join(dir, 'diff.png'));
+    assert.strictEqual(diff.identical, false);
+    assert.strictEqual(diff.mismatchedPixels, 10 * 10 + 10 * 40);
+    assert.deepStrictEqual({ width: diff.width, height: diff.height }, { width: 40, height: 40 });
+
+    const { width, height } = await sharp(diff.diffPath).metadata();
+    assert.deepStrictEqual({ width, height }, { width: 40, height: 40 });
+}));
+
+test('images of different widths are rejected with WIDTH_MISMATCH', () => withTempDir(async dir => {
+    const before = await writeImage(path.join(dir, 'before.png'), 40, 30);
+    const after = await writeImage(path.join(dir, 'after.png'), 50, 30);
+
+    await assert.rejects(compareImages(before, after, path.join(dir, 'diff.png')), error => {
+        assert.ok(error instanceof CaptureError);
+        assert.strictEqual(error.code, 'WIDTH_MISMATCH');
+        assert.strictEqual(error.message, 'Cannot compare images of different widths (40px vs 50px)');
+        assert.strictEqual(httpStatusFor(error.code), 422);
+        return true;
+    });
+    assert.strictEqual(fs.existsSync(path.join(dir, 'diff.png')), false);
+}));
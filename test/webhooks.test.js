@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { deliverWebhook, signPayload, isValidCallbackUrl } = require('../webhooks');
+const { configureLogger } = require('../logger');
+
+configureLogger({ level: 'error' });
+
+/**
+ * Start a local webhook receiver
+ * @param {Array<number>} statuses - Status code for each request in turn; the last one repeats
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+async function startReceiver(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ method: req.method, headers: req.headers, body, at: Date.now() });
+            res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+test('signPayload is an HMAC-SHA256 of the timestamp and body', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000000.{"a":1}').digest('hex');
+    assert.strictEqual(signPayload('secret', '1700000000000', '{"a":1}'), `sha256=${expected}`);
+});
+
+test('a delivery is signed over the timestamp and the raw body', async () => {
+    const receiver = await startReceiver([200]);
+    try {
+        const delivery = await deliverWebhook(receiver.url, 'batch.completed', { batchId: 'b1' }, { secret: 'shh' });
+
+        assert.strictEqual(delivery.status, 'delivered');
+        assert.strictEqual(receiver.requests.length, 1);
+        const { method, headers, body } = receiver.requests[0];
+        assert.strictEqual(method, 'POST');
+        assert.strictEqual(headers['content-type'], 'application/json');
+        assert.strictEqual(headers['x-webhook-event'], 'batch.completed');
+        assert.strictEqual(headers['x-webhook-id'], delivery.id);
+
+        const expected = crypto.createHmac('sha256', 'shh').update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+        assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+
+        const payload = JSON.parse(body);
+        assert.strictEqual(payload.id, delivery.id);
+        assert.strictEqual(payload.event, 'batch.completed');
+        assert.strictEqual(String(payload.timestamp), headers['x-webhook-timestamp']);
+        assert.deepStrictEqual(payload.data, { batchId: 'b1' });
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('server errors are retried with exponential backoff until delivered', async () => {
+    const receiver = await startReceiver([500, 503, 200]);
+    try {
+        const delivery = await deliverWebhook(receiver.url, 'capture.completed', {}, { secret: 'shh', backoff: 40 });
+
+        assert.strictEqual(delivery.status, 'delivered');
+        assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 503, 200]);
+        assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.error), ['HTTP 500', 'HTTP 503', null]);
+        assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.attempt), [1, 2, 3]);
+
+        // Delays of 40ms and then 80ms between the attempts
+        const [first, second, third] = receiver.requests.map(request => request.at);
+        assert.ok(second - first >= 40, `first retry after ${second - first}ms`);
+        assert.ok(third - second >= 80, `second retry after ${third - second}ms`);
+
+        // Every attempt sends the same delivery
+        assert.strictEqual(new Set(receiver.requests.map(request => request.headers['x-webhook-id'])).size, 1);
+        assert.strictEqual(new Set(receiver.requests.map(request => request.body)).size, 1);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('a delivery fails after the last attempt and every attempt is logged', async () => {
+    const receiver = await startReceiver([429]);
+    const snapshots = [];
+    try {
+        const delivery = await deliverWebhook(receiver.url, 'batch.completed', {}, {
+            secret: 'shh',
+            attempts: 3,
+            backoff: 1,
+            onAttempt: record => snapshots.push({ status: record.status, attempts: record.attempts.length })
+        });
+
+        assert.strictEqual(delivery.status, 'failed');
+        assert.strictEqual(receiver.requests.length, 3);
+        assert.deepStrictEqual(snapshots, [
+            { status: 'pending', attempts: 1 },
+            { status: 'pending', attempts: 2 },
+            { status: 'failed', attempts: 3 }
+        ]);
+        delivery.attempts.forEach(attempt => {
+            assert.strictEqual(attempt.statusCode, 429);
+            assert.strictEqual(typeof attempt.at, 'number');
+            assert.strictEqual(typeof attempt.duration, 'number');
+        });
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('a client error other than 408 or 429 is not retried', async () => {
+    const receiver = await startReceiver([400, 200]);
+    try {
+        const delivery = await deliverWebhook(receiver.url, 'batch.completed', {}, { secret: 'shh', backoff: 1 });
+
+        assert.strictEqual(delivery.status, 'failed');
+        assert.strictEqual(receiver.requests.length, 1);
+        assert.strictEqual(delivery.attempts[0].error, 'HTTP 400');
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('network errors are recorded and retried', async () => {
+    // Find a port nothing listens on
+    const receiver = await startReceiver([200]);
+    const url = receiver.url;
+    await receiver.close();
+
+    const delivery = await deliverWebhook(url, 'batch.completed', {}, { secret: 'shh', attempts: 2, backoff: 1 });
+
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(delivery.attempts.length, 2);
+    delivery.attempts.forEach(attempt => {
+        assert.strictEqual(attempt.statusCode, null);
+        assert.match(attempt.error, /ECONNREFUSED/);
+    });
+});
+
+test('isValidCallbackUrl only accepts http and https URLs', () => {
+    assert.strictEqual(isValidCallbackUrl('https://example.com/hook'), true);
+    assert.strictEqual(isValidCallbackUrl('http://127.0.0.1:8080'), true);
+    assert.strictEqual(isValidCallbackUrl('file:///etc/passwd'), false);
+    assert.strictEqual(isValidCallbackUrl('javascript:alert(1)'), false);
+    assert.strictEqual(isValidCallbackUrl(undefined), false);
+});
@@ -0,0 +1,417 @@
+const Ajv = require('ajv');
+const { FORMATS } = require('./output-formats');
+const { DEVICE_PRESETS } = require('./devices');
+const { STRATEGIES } = require('./readiness');
+const { MAX_REGIONS } = require('./capture-regions');
+
+// Upper bounds that keep one request from exhausting the instance
+const LIMITS = {
+    timeout: 300000,
+    waitTime: 60000,
+    waitTimeout: 120000,
+    height: 65535,
+    batchItems: parseInt(process.env.MAX_BATCH_ITEMS) || 500,
+    concurrency: parseInt(process.env.MAX_BATCH_CONCURRENCY) || 4,
+    retries: 5,
+};
+
+const formats = Object.keys(FORMATS).concat('jpg');
+const integer = (minimum, maximum, description) => ({ type: 'integer', minimum, maximum, description });
+
+// Either-or fields use if/then/else rather than oneOf so errors point at the real problem
+const either = (test, then, otherwise, description) => ({ if: { type: test }, then, else: otherwise, description });
+
+// Preview IDs are UUIDs, but custom resolvers may use any short slug
+const idSchema = { type: 'string', pattern: '^[A-Za-z0-9_-]{1,128}$', description: 'Preview ID, turned into a URL by the resolver' };
+const urlSchema = { type: 'string', pattern: '^(https?|file)://', maxLength: 2048, description: 'Full URL to capture' };
+const callbackUrlSchema = { type: 'string', pattern: '^https?://', maxLength: 2048, description: 'Receives a signed webhook when the capture finishes' };
+const responseSchema = {
+    type: 'string',
+    enum: ['url', 'binary', 'base64'],
+    description: 'url links to the stored file (default), binary answers with the image itself, base64 embeds it as data in the JSON',
+};
+const storeSchema = { type: 'boolean', description: 'false skips writing anything to disk; needs response binary or base64' };
+
+const deviceSchema = either(
+    'string',
+    { enum: Object.keys(DEVICE_PRESETS) },
+    {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            preset: { type: 'string', enum: Object.keys(DEVICE_PRESETS) },
+            name: { type: 'string', maxLength: 64 },
+            width: integer(1, 3840),
+            height: integer(1, 10000),
+            deviceScaleFactor: { type: 'number', exclusiveMinimum: 0, maximum: 4 },
+            isMobile: { type: 'boolean' },
+            hasTouch: { type: 'boolean' },
+            userAgent: { type: 'string', maxLength: 512 },
+        },
+    },
+    'Device preset name or custom viewport'
+);
+
+const waitConditionSchema = either(
+    'string',
+    { enum: Object.keys(STRATEGIES) },
+    {
+        type: 'object',
+        required: ['type'],
+        additionalProperties: false,
+        properties: {
+            type: { type: 'string', enum: Object.keys(STRATEGIES) },
+            timeout: integer(100, LIMITS.waitTimeout),
+            selector: { type: 'string', maxLength: 1024 },
+            visible: { type: 'boolean' },
+            expression: { type: 'string', maxLength: 4096 },
+            polling: integer(10, 10000),
+            idleTime: integer(0, 30000),
+            maxInflight: integer(0, 100),
+            window: integer(0, 30000),
+            ms: integer(0, LIMITS.waitTime),
+        },
+    }
+);
+
+const derivativesSchema = {
+    type: 'object',
+    additionalProperties: false,
+    description: 'Hero crop, thumbnails, crops and tiles written next to the capture',
+    properties: {
+        hero: either('boolean', {}, { type: 'object', additionalProperties: false, properties: { height: integer(1, LIMITS.height) } }),
+        thumbnails: { type: 'array', maxItems: 10, items: integer(1, 3840) },
+        crops: {
+            type: 'array',
+            maxItems: 10,
+            items: {
+                type: 'object',
+                required: ['width', 'height'],
+                additionalProperties: false,
+                properties: {
+                    name: { type: ['string', 'integer'] },
+                    left: integer(0, LIMITS.height),
+                    top: integer(0, LIMITS.height),
+                    width: integer(1, LIMITS.height),
+                    height: integer(1, LIMITS.height),
+                },
+            },
+        },
+        tiles: { type: 'object', required: ['height'], additionalProperties: false, properties: { height: integer(1, LIMITS.height) } },
+        format: { type: 'string', enum: formats.filter(format => format !== 'pdf') },
+        quality: integer(1, 100),
+    },
+};
+
+const selectorSchema = { type: 'string', minLength: 1, maxLength: 1024 };
+
+// One image per entry; only the single-capture endpoints accept a list
+const selectorsSchema = {
+    type: 'array',
+    minItems: 1,
+    maxItems: MAX_REGIONS,
+    items: either(
+        'string',
+        selectorSchema,
+        {
+            type: 'object',
+            required: ['selector'],
+            additionalProperties: false,
+            properties: { name: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' }, selector: selectorSchema },
+        }
+    ),
+    description: 'Capture one image per selector, written as <id>-<name>.<ext>',
+};
+
+const prepareSchema = {
+    type: 'object',
+    additionalProperties: false,
+    description: 'Page preparation before capture: hide or remove elements, inject CSS/JS, stop animations, dismiss consent banners',
+    properties: {
+        hide: { type: 'array', maxItems: 50, items: selectorSchema, description: 'Made invisible, keeping their space' },
+        remove: { type: 'array', maxItems: 50, items: selectorSchema, description: 'Taken out of the layout' },
+        css: { type: 'string', maxLength: 65536, description: 'Extra CSS injected after navigation' },
+        script: { type: 'string', maxLength: 65536, description: 'JavaScript run once the page is ready, may use await' },
+        disableAnimations: { type: 'boolean', description: 'Stop CSS animations, transitions and Web Animations at their end state' },
+        dismissConsent: { type: 'boolean', description: 'Click the accept button of common cookie and consent banners' },
+        freezeDate: either('boolean', {}, { type: 'string', maxLength: 64 }, 'Start the page clock at this ISO time, or 2024-01-01T12:00Z when true'),
+        freezeRandom: either('boolean', {}, { type: 'integer' }, 'Seed Math.random with this number, or 42 when true'),
+    },
+};
+
+/**
+ * Options every capture endpoint accepts
+ */
+const captureProperties = {
+    profile: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$', description: 'Capture profile whose options apply first; fields given here override them' },
+    resolver: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$', description: 'Resolver used to turn IDs into URLs' },
+    baseUrl: { type: 'string', pattern: '^https?://', maxLength: 2048, description: 'Override the resolver URL template (http or https), e.g. https://staging.example.com/preview?id={id}' },
+    timeout: integer(1000, LIMITS.timeout, 'Navigation timeout in ms'),
+    format: { type: 'string', enum: formats, description: 'Output format' },
+    quality: integer(1, 100, 'Quality for lossy formats'),
+    device: deviceSchema,
+    waitFor: either('array', { maxItems: 10, items: waitConditionSchema }, waitConditionSchema, 'Readiness conditions'),
+    waitMode: { type: 'string', enum: ['all', 'any'] },
+    waitTimeout: integer(100, LIMITS.waitTimeout, 'Default per-condition timeout in ms'),
+    waitTime: integer(0, LIMITS.waitTime, 'Legacy fixed wait in ms'),
+    height: either('string', { enum: ['auto'] }, integer(1, LIMITS.height), "'auto' to measure the page, or a fixed height in CSS pixels"),
+    templateHeight: integer(1, LIMITS.height, 'Legacy alias for a fixed height'),
+    maxHeight: integer(1, LIMITS.height, 'Cap on the capture height in CSS pixels'),
+    trimBottom: { type: 'boolean', description: 'Trim trailing background-colored rows' },
+    trimTolerance: integer(0, 255, 'Per-channel color tolerance when trimming'),
+    derivatives: derivativesSchema,
+    qualityChecks: either(
+        'string',
+        { enum: ['warn', 'fail', 'off'] },
+        {
+            type: ['object', 'boolean'],
+            additionalProperties: false,
+            properties: {
+                mode: { type: 'string', enum: ['warn', 'fail', 'off'] },
+                uniformRatio: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+                minContentHeight: integer(0, LIMITS.height),
+                maxFailedImages: integer(0, 1000),
+                maxPageErrors: integer(0, 1000),
+                errorSelectors: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 256 } },
+            },
+        },
+        "Blank/broken render checks: 'warn' reports issues, 'fail' fails the capture so batches retry, 'off' skips them"
+    ),
+    selector: { ...selectorSchema, description: 'Capture only the first visible element matching this selector' },
+    clip: {
+        type: 'object',
+        required: ['width', 'height'],
+        additionalProperties: false,
+        description: 'Capture only this rectangle of the page, in CSS pixels',
+        properties: {
+            x: integer(0, LIMITS.height),
+            y: integer(0, LIMITS.height),
+            width: integer(1, LIMITS.height),
+            height: integer(1, LIMITS.height),
+        },
+    },
+    padding: integer(0, 1000, 'Extra CSS pixels around the element or rectangle'),
+    scrollIntoView: { type: 'boolean', description: 'Scroll the element into view and wait for lazy content first (default: true)' },
+    scrollWait: integer(0, 10000, 'Pause after scrolling an element into view in ms'),
+    prepare: prepareSchema,
+};
+
+// Profiles hold capture options, but cannot name another profile
+const { profile: _profile, ...profileProperties } = captureProperties;
+
+// Batch and schedule targets
+const batchTargetsSchema = {
+    type: 'array',
+    maxItems: LIMITS.batchItems,
+    items: either(
+        'string',
+        { pattern: '^([A-Za-z0-9_-]{1,128}|(https?|file)://.+)$', maxLength: 2048 },
+        { type: 'object', additionalProperties: false, properties: { id: idSchema, url: urlSchema } },
+        'Preview ID, URL or { id, url }'
+    ),
+};
+
+const diffProperties = {
+    threshold: { type: 'number', minimum: 0, maximum: 1, description: 'Per-pixel color threshold, smaller is more sensitive' },
+    includeAA: { type: 'boolean', description: 'Count anti-aliased pixels as changes' },
+};
+
+/**
+ * Request schemas, keyed by name
+ */
+const schemas = {
+    ScreenshotRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            id: idSchema,
+            url: urlSchema,
+            callbackUrl: callbackUrlSchema,
+            async: { type: 'boolean', description: 'Answer 202 with a job ID right away; poll /api/jobs/{jobId} or stream /api/jobs/{jobId}/events' },
+            response: responseSchema,
+            store: storeSchema,
+            devices: { type: 'array', minItems: 1, maxItems: 5, items: deviceSchema, description: 'Capture one image per device' },
+            selectors: selectorsSchema,
+            ...captureProperties,
+        },
+    },
+    N8nScreenshotRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            id: idSchema,
+            url: urlSchema,
+            callbackUrl: callbackUrlSchema,
+            response: responseSchema,
+            store: storeSchema,
+            selectors: selectorsSchema,
+            ...captureProperties,
+        },
+    },
+    CaptureProfile: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            description: { type: 'string', maxLength: 500, description: 'What the profile is for' },
+            ...profileProperties,
+        },
+    },
+    DiffRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            before: { type: 'string', maxLength: 2048, description: 'Stored capture file name or screenshot URL' },
+            after: { type: 'string', maxLength: 2048, description: 'Stored capture file name or screenshot URL' },
+            id: idSchema,
+            url: urlSchema,
+            updateBaseline: { type: 'boolean', description: 'Replace the baseline with the new capture' },
+            ...diffProperties,
+            ...captureProperties,
+        },
+    },
+    BatchRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            ids: batchTargetsSchema,
+            urls: { type: 'array', maxItems: LIMITS.batchItems, items: urlSchema },
+            concurrency: integer(1, LIMITS.concurrency, 'Captures run at once'),
+            retries: integer(1, LIMITS.retries, 'Attempts per item'),
+            retryDelay: integer(0, 60000, 'Delay before the first retry in ms, doubled per attempt with jitter'),
+            callbackUrl: callbackUrlSchema,
+            callbackOnItem: { type: 'boolean', description: 'Also send a webhook for every item' },
+            ...captureProperties,
+        },
+    },
+    ScheduleRequest: {
+        type: 'object',
+        required: ['cron'],
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', maxLength: 200, description: 'What the schedule captures' },
+            cron: { type: 'string', maxLength: 100, description: 'minute hour day-of-month month day-of-week, or @hourly, @daily, @weekly, @monthly; server time zone' },
+            enabled: { type: 'boolean', description: 'false keeps the schedule without running it (default: true)' },
+            ids: batchTargetsSchema,
+            urls: { type: 'array', maxItems: LIMITS.batchItems, items: urlSchema },
+            profile: captureProperties.profile,
+            options: { type: 'object', additionalProperties: false, properties: profileProperties, description: 'Capture options, applied over the profile' },
+            outputPrefix: { type: 'string', pattern: '^[A-Za-z0-9_-][A-Za-z0-9_.-]{0,63}$', description: 'Prepended to every file name, e.g. nightly- writes nightly-<id>.png' },
+            concurrency: integer(1, LIMITS.concurrency, 'Captures run at once'),
+            retries: integer(1, LIMITS.retries, 'Attempts per item'),
+            retryDelay: integer(0, 60000, 'Delay before the first retry in ms, doubled per attempt with jitter'),
+            diff: either(
+                'boolean',
+                {},
+                { type: 'object', additionalProperties: false, properties: diffProperties },
+                'Compare every capture with the one from the previous run'
+            ),
+            callbackUrl: { ...callbackUrlSchema, description: 'Receives a signed schedule.completed webhook after every run' },
+        },
+    },
+    BatchListQuery: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['queued', 'processing', 'completed'] },
+            limit: integer(1, 100),
+            offset: integer(0),
+            api_key: { type: 'string' },
+        },
+        additionalProperties: false,
+    },
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+// Query strings arrive as text, so their numbers are coerced
+const queryAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
+
+const validators = {};
+
+/**
+ * Get the compiled validator for a schema
+ * @param {string} name - Schema name
+ * @param {boolean} coerce - Coerce strings to numbers and booleans (for query strings)
+ * @returns {Function} Ajv validate function
+ */
+function getValidator(name, coerce = false) {
+    const cacheKey = `${name}:${coerce}`;
+    if (!validators[cacheKey]) {
+        if (!schemas[name]) {
+            throw new Error(`Unknown schema: ${name}`);
+        }
+        validators[cacheKey] = (coerce ? queryAjv : ajv).compile(schemas[name]);
+    }
+    return validators[cacheKey];
+}
+
+/**
+ * Turn Ajv errors into { field, message } pairs
+ * @param {Array<Object>} errors - Ajv errors
+ * @returns {Array<Object>} Details, one per problem
+ */
+function formatErrors(errors) {
+    const details = [];
+    errors.forEach(error => {
+        // The failing then/else branch reports the real problem
+        if (error.keyword === 'if') {
+            return;
+        }
+
+        const field = error.keyword === 'additionalProperties'
+            ? `${error.instancePath}/${error.params.additionalProperty}`
+            : error.instancePath;
+        const message = error.keyword === 'additionalProperties' ? 'is not a supported field' : error.message;
+
+        const detail = { field: field.replace(/^\//, '').replace(/\//g, '.') || '(body)', message };
+        if (error.keyword === 'enum') {
+            detail.allowed = error.params.allowedValues;
+        }
+        if (!details.some(other => other.field === detail.field && other.message === detail.message)) {
+            details.push(detail);
+        }
+    });
+    return details;
+}
+
+/**
+ * Validate a value against a named schema
+ * @param {string} name - Schema name
+ * @param {*} value - Value to check
+ * @param {boolean} coerce - Coerce query-string values
+ * @returns {Array<Object>|null} Error details, or null when valid
+ */
+function validate(name, value, coerce = false) {
+    const check = getValidator(name, coerce);
+    return check(value) ? null : formatErrors(check.errors);
+}
+
+/**
+ * Middleware that rejects a request body (or query) not matching a schema with a structured 400
+ * @param {string} name - Schema name
+ * @param {string} source - 'body' (default) or 'query'
+ * @returns {Function} Express middleware
+ */
+function validateRequest(name, source = 'body') {
+    return (req, res, next) => {
+        const value = source === 'query' ? { ...req.query } : req.body;
+        if (source === 'body' && (!value || typeof value !== 'object' || Array.isArray(value))) {
+            return res.status(400).json({ error: 'Request body must be a JSON object', details: [] });
+        }
+
+        const details = validate(name, value, source === 'query');
+        if (details) {
+            const first = details[0];
+            return res.status(400).json({
+                error: `Invalid request: ${first.field} ${first.message}`,
+                details,
+            });
+        }
+
+        if (source === 'query') {
+            // Keep the coerced numbers
+            Object.assign(req.query, value);
+        }
+        next();
+    };
+}
+
+module.exports = { schemas, LIMITS, validate, validateRequest };
@@ -0,0 +1,360 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const pixelmatch = require('pixelmatch');
+const { decodeToTiles, readBand } = require('./image-bands');
+const { CaptureError } = require('./errors');
+
+// Where baselines and diff images live, alongside the captures
+const BASELINE_DIR = process.env.BASELINE_DIR || './screenshots/baselines';
+const DIFF_DIR = process.env.DIFF_DIR || './screenshots/diffs';
+
+// Rows compared per band; only one band of each image and of the diff is held in memory at a time
+const DIFF_BAND_ROWS = 1024;
+
+// Changed pixels are grouped into cells of this size before being merged into regions
+const REGION_CELL = 32;
+
+// Most regions reported for one diff
+const MAX_REGIONS = 100;
+
+// Color pixelmatch paints changed pixels with
+const DIFF_COLOR = [255, 0, 0];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC-32 lookup table for PNG chunks
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+/**
+ * Validate diff options
+ * @param {Object} options - Diff options
+ * @param {number} options.threshold - Per-pixel color threshold 0-1, smaller is more sensitive (default: 0.1)
+ * @param {boolean} options.includeAA - Count anti-aliased pixels as changes (default: false)
+ * @returns {Object} { threshold, includeAA }
+ */
+function resolveDiffOptions(options = {}) {
+    const threshold = options.threshold !== undefined ? Number(options.threshold) : 0.1;
+    if (!(threshold >= 0 && threshold <= 1)) {
+        throw new Error('threshold must be between 0 and 1');
+    }
+    return { threshold, includeAA: Boolean(options.includeAA) };
+}
+
+/**
+ * Build a PNG chunk with its length and CRC
+ * @param {string} type - Chunk type, e.g. IDAT
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk
+ */
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'ascii');
+    data.copy(chunk, 8);
+
+    let crc = -1;
+    for (let i = 4; i < 8 + data.length; i++) {
+        crc = CRC_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+    }
+    chunk.writeInt32BE(~crc, 8 + data.length);
+    return chunk;
+}
+
+/**
+ * Writes an RGBA PNG one band of rows at a time, so the whole image is never held in memory
+ */
+class PngBandWriter {
+    /**
+     * Create the file and write the PNG header
+     * @param {string} filePath - Where to write the PNG
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     */
+    constructor(filePath, width, height) {
+        this.width = width;
+        this.fd = fs.openSync(filePath, 'w');
+        this.deflate = zlib.createDeflate();
+        this.deflate.on('data', data => fs.writeSync(this.fd, pngChunk('IDAT', data)));
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        // 8 bits per channel, RGBA, default compression, filter and interlacing
+        header[8] = 8;
+        header[9] = 6;
+        fs.writeSync(this.fd, PNG_SIGNATURE);
+        fs.writeSync(this.fd, pngChunk('IHDR', header));
+    }
+
+    /**
+     * Append rows to the image
+     * @param {Buffer} pixels - Raw RGBA pixels, whole rows
+     * @returns {Promise<void>}
+     */
+    async write(pixels) {
+        const stride = this.width * 4;
+        const rows = pixels.length / stride;
+        // Every row starts with its filter type, 0 (none)
+        const filtered = Buffer.alloc(rows * (stride + 1));
+        for (let row = 0; row < rows; row++) {
+            pixels.copy(filtered, row * (stride + 1) + 1, row * stride, (row + 1) * stride);
+        }
+        if (!this.deflate.write(filtered)) {
+            await once(this.deflate, 'drain');
+        }
+    }
+
+    /**
+     * Flush the compressed data and finish the file
+     * @returns {Promise<void>}
+     */
+    async end() {
+        this.deflate.end();
+        await once(this.deflate, 'end');
+        fs.writeSync(this.fd, pngChunk('IEND', Buffer.alloc(0)));
+        this.close();
+    }
+
+    /**
+     * Close the file, also after a failure
+     */
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+/**
+ * Merge changed grid cells into bounding boxes
+ * @param {Uint8Array} cells - 1 for every cell containing a change
+ * @param {number} columns - Cells per row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Array<Object>} { x, y, width, height } in image pixels, top to bottom
+ */
+function cellsToRegions(cells, columns, width, height) {
+    const rows = cells.length / columns;
+    const regions = [];
+
+    for (let start = 0; start < cells.length; start++) {
+        if (cells[start] !== 1) {
+            continue;
+        }
+
+        // Flood fill the touching cells (including diagonals) into one box
+        let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+        const stack = [start];
+        cells[start] = 2;
+        while (stack.length) {
+            const cell = stack.pop();
+            const cx = cell % columns;
+            const cy = (cell - cx) / columns;
+            minX = Math.min(minX, cx);
+            maxX = Math.max(maxX, cx);
+            minY = Math.min(minY, cy);
+            maxY = Math.max(maxY, cy);
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = cx + dx;
+                    const ny = cy + dy;
+                    if (nx >= 0 && nx < columns && ny >= 0 && ny < rows && cells[ny * columns + nx] === 1) {
+                        cells[ny * columns + nx] = 2;
+                        stack.push(ny * columns + nx);
+                    }
+                }
+            }
+        }
+
+        const x = minX * REGION_CELL;
+        const y = minY * REGION_CELL;
+        regions.push({
+            x,
+            y,
+            width: Math.min((maxX + 1) * REGION_CELL, width) - x,
+            height: Math.min((maxY + 1) * REGION_CELL, height) - y
+        });
+    }
+
+    return regions.sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Compare two captures pixel by pixel and write a diff image
+ *
+ * Rows that exist in only one image (the page got longer or shorter) count as changed.
+ * Both images are decoded once into temporary files and compared in bands of
+ * DIFF_BAND_ROWS rows, and the diff PNG is written band by band, so the pixels
+ * held in memory do not grow with the page height.
+ *
+ * @param {string} beforePath - Earlier capture or baseline
+ * @param {string} afterPath - Newer capture
+ * @param {string} diffPath - Where to write the diff PNG
+ * @param {Object} options - See resolveDiffOptions
+ * @returns {Promise<Object>} { identical, width, height, mismatchedPixels, mismatchPercentage, regions, regionsTruncated, diffPath }
+ */
+async function compareImages(beforePath, afterPath, diffPath, options = {}) {
+    // Loaded lazily so the native module is only paid for when it is needed
+    const sharp = require('sharp');
+    const { threshold, includeAA } = resolveDiffOptions(options);
+
+    const before = await sharp(beforePath, { limitInputPixels: false }).metadata();
+    const after = await sharp(afterPath, { limitInputPixels: false }).metadata();
+    if (before.width !== after.width) {
+        throw new CaptureError('WIDTH_MISMATCH', `Cannot compare images of different widths (${before.width}px vs ${after.width}px)`);
+    }
+
+    const width = before.width;
+    const height = Math.max(before.height, after.height);
+    const overlap = Math.min(before.height, after.height);
+    const columns = Math.ceil(width / REGION_CELL);
+    const cells = new Uint8Array(columns * Math.ceil(height / REGION_CELL));
+    let mismatchedPixels = 0;
+
+    fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'visual-diff-'));
+    const writer = new PngBandWriter(diffPath, width, height);
+    try {
+        const beforeTiles = await decodeToTiles(sharp, beforePath, path.join(tmpDir, 'before.tif'));
+        const afterTiles = await decodeToTiles(sharp, afterPath, path.join(tmpDir, 'after.tif'));
+
+        for (let top = 0; top < overlap; top += DIFF_BAND_ROWS) {
+            const rows = Math.min(DIFF_BAND_ROWS, overlap - top);
+            const band = Buffer.alloc(width * rows * 4);
+            mismatchedPixels += pixelmatch(
+                await readBand(sharp, beforeTiles, width, top, rows),
+                await readBand(sharp, afterTiles, width, top, rows),
+                band,
+                width,
+                rows,
+                { threshold, includeAA, diffColor: DIFF_COLOR }
+            );
+
+            // Changed pixels are the only pure red ones, the rest is drawn in gray or yellow
+            for (let i = 0; i < band.length; i += 4) {
+                if (band[i] === DIFF_COLOR[0] && band[i + 1] === DIFF_COLOR[1] && band[i + 2] === DIFF_COLOR[2]) {
+                    const pixel = i / 4;
+                    const x = pixel % width;
+                    const y = top + (pixel - x) / width;
+                    cells[Math.floor(y / REGION_CELL) * columns + Math.floor(x / REGION_CELL)] = 1;
+                }
+            }
+            await writer.write(band);
+        }
+
+        // Rows present in only one of the images
+        if (height > overlap) {
+            const changed = Buffer.alloc(width * Math.min(DIFF_BAND_ROWS, height - overlap) * 4, Buffer.from([...DIFF_COLOR, 255]));
+            for (let top = overlap; top < height; top += DIFF_BAND_ROWS) {
+                const rows = Math.min(DIFF_BAND_ROWS, height - top);
+                await writer.write(changed.subarray(0, width * rows * 4));
+            }
+            cells.fill(1, Math.floor(overlap / REGION_CELL) * columns);
+            mismatchedPixels += (height - overlap) * width;
+        }
+
+        await writer.end();
+    } finally {
+        writer.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    const regions = cellsToRegions(cells, columns, width, height);
+    return {
+        identical: mismatchedPixels === 0,
+        width,
+        height,
+        beforeHeight: before.height,
+        afterHeight: after.height,
+        mismatchedPixels,
+        mismatchPercentage: Number((mismatchedPixels / (width * height) * 100).toFixed(3)),
+        regions: regions.slice(0, MAX_REGIONS),
+        regionsTruncated: regions.length > MAX_REGIONS,
+        diffPath
+    };
+}
+
+/**
+ * Get the baseline path for a capture, keyed by the capture's file name
+ * @param {string} capturePath - e.g. screenshots/abc.png
+ * @param {string} baselineDir - Baseline directory (default: BASELINE_DIR env or ./screenshots/baselines)
+ * @returns {string} Baseline path
+ */
+function getBaselinePath(capturePath, baselineDir = BASELINE_DIR) {
+    return path.join(baselineDir, path.basename(capturePath));
+}
+
+/**
+ * Get the diff image path for a capture
+ * @param {string} capturePath - e.g. screenshots/abc.png
+ * @param {string} diffDir - Diff directory (default: DIFF_DIR env or ./screenshots/diffs)
+ * @returns {string} Diff path, always a PNG
+ */
+function getDiffPath(capturePath, diffDir = DIFF_DIR) {
+    const name = path.basename(capturePath, path.extname(capturePath));
+    return path.join(diffDir, `${name}.png`);
+}
+
+/**
+ * Store a capture as the baseline for its file name
+ * @param {string} capturePath - Capture to promote
+ * @param {string} baselineDir - Baseline directory
+ * @returns {string} Baseline path
+ */
+function saveBaseline(capturePath, baselineDir = BASELINE_DIR) {
+    const baselinePath = getBaselinePath(capturePath, baselineDir);
+    fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+
+    // Copy then rename so a half-written baseline is never compared against
+    const tmpPath = `${baselinePath}.tmp`;
+    fs.copyFileSync(capturePath, tmpPath);
+    fs.renameSync(tmpPath, baselinePath);
+    return baselinePath;
+}
+
+/**
+ * Compare a capture against its stored baseline
+ *
+ * The first capture of a file name becomes its baseline and nothing is compared.
+ *
+ * @param {string} capturePath - New capture
+ * @param {Object} options - Diff options
+ * @param {boolean} options.updateBaseline - Replace the baseline with this capture afterwards (default: false)
+ * @param {string} options.baselineDir - Baseline directory
+ * @param {string} options.diffDir - Diff directory
+ * @returns {Promise<Object>} Diff result plus { baselinePath, baselineCreated, baselineUpdated }
+ */
+async function compareWithBaseline(capturePath, options = {}) {
+    const baselinePath = getBaselinePath(capturePath, options.baselineDir);
+
+    if (!fs.existsSync(baselinePath)) {
+        saveBaseline(capturePath, options.baselineDir);
+        return { baselinePath, baselineCreated: true, baselineUpdated: false };
+    }
+
+    const diff = await compareImages(baselinePath, capturePath, getDiffPath(capturePath, options.diffDir), options);
+    if (options.updateBaseline) {
+        saveBaseline(capturePath, options.baselineDir);
+    }
+
+    return { ...diff, baselinePath, baselineCreated: false, baselineUpdated: Boolean(options.updateBaseline) };
+}
+
+module.exports = {
+    resolveDiffOptions,
+    compareImages,
+    compareWithBaseline,
+    saveBaseline,
+    getBaselinePath,
+    getDiffPath,
+};
@@ -0,0 +1,153 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Status codes worth retrying; other 4xx responses mean the receiver rejected the payload
+const RETRYABLE_STATUS = [408, 429];
+
+let warnedUnsigned = false;
+
+/**
+ * Sign a webhook body with HMAC-SHA256
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Timestamp sent alongside the body
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value, e.g. `sha256=ab12...`
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * POST a JSON body once
+ * @param {string} url - Receiver URL
+ * @param {string} body - Raw JSON body
+ * @param {Object} headers - Extra headers
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Promise<number>} HTTP status code
+ */
+function postJson(url, body, headers, timeout) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'landingsite-screenshot-webhook',
+                ...headers
+            },
+            timeout
+        }, res => {
+            // Drain the response so the socket is released
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeout}ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Deliver a signed webhook, retrying with exponential backoff
+ * @param {string} url - Receiver URL (http:// or https://)
+ * @param {string} event - Event name, e.g. `batch.completed`
+ * @param {Object} data - Event payload
+ * @param {Object} options - Delivery options
+ * @param {string} options.secret - HMAC secret (default: WEBHOOK_SECRET env)
+ * @param {number} options.attempts - Maximum delivery attempts (default: 5)
+ * @param {number} options.backoff - Delay before the first retry in ms, doubled each time (default: 1000)
+ * @param {number} options.timeout - Per-request timeout in ms (default: 10000)
+ * @param {Function} options.onAttempt - Called with the delivery record after every attempt
+ * @returns {Promise<Object>} Delivery record with status and per-attempt log
+ */
+async function deliverWebhook(url, event, data, options = {}) {
+    const secret = options.secret || process.env.WEBHOOK_SECRET;
+    const maxAttempts = options.attempts || 5;
+    const backoff = options.backoff !== undefined ? options.backoff : 1000;
+    const timeout = options.timeout || 10000;
+
+    const deliveryId = crypto.randomBytes(8).toString('hex');
+    const timestamp = Date.now().toString();
+    const body = JSON.stringify({ id: deliveryId, event, timestamp: Number(timestamp), data });
+
+    const headers = {
+        'X-Webhook-Id': deliveryId,
+        'X-Webhook-Event': event,
+        'X-Webhook-Timestamp': timestamp
+    };
+    if (secret) {
+        headers['X-Webhook-Signature'] = signPayload(secret, timestamp, body);
+    } else if (!warnedUnsigned) {
+        warnedUnsigned = true;
+        logger.warn('WEBHOOK_SECRET is not set, webhooks are sent unsigned');
+    }
+
+    const delivery = {
+        id: deliveryId,
+        event,
+        url,
+        status: 'pending',
+        attempts: []
+    };
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const start = Date.now();
+        let statusCode = null;
+        let error = null;
+
+        try {
+            statusCode = await postJson(url, body, headers, timeout);
+            if (statusCode < 200 || statusCode >= 300) {
+                error = `HTTP ${statusCode}`;
+            }
+        } catch (err) {
+            error = err.message;
+        }
+
+        delivery.attempts.push({ attempt, at: start, duration: Date.now() - start, statusCode, error });
+
+        if (!error) {
+            delivery.status = 'delivered';
+        } else if (statusCode && statusCode < 500 && !RETRYABLE_STATUS.includes(statusCode)) {
+            delivery.status = 'failed';
+        } else if (attempt === maxAttempts) {
+            delivery.status = 'failed';
+        }
+
+        if (options.onAttempt) {
+            options.onAttempt(delivery);
+        }
+
+        if (delivery.status !== 'pending') {
+            break;
+        }
+
+        const delay = backoff * Math.pow(2, attempt - 1);
+        logger.warn('Webhook delivery failed, retrying', { event, url, error, delayMs: delay });
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (delivery.status === 'failed') {
+        logger.error('Webhook delivery failed', { event, url, attempts: delivery.attempts.length });
+    } else {
+        logger.info('Webhook delivered', { event, url });
+    }
+
+    return delivery;
+}
+
+/**
+ * Check that a callback URL can be delivered to
+ * @param {string} url - Callback URL
+ * @returns {boolean} True for http(s) URLs
+ */
+function isValidCallbackUrl(url) {
+    return typeof url === 'string' && /^https?:\/\/[^/]+/i.test(url);
+}
+
+module.exports = { deliverWebhook, signPayload, isValidCallbackUrl };